@@ -0,0 +1,33 @@
+const { getStorageUsage, sweepFiles } = require('../services/fileSweeper');
+
+// Report disk usage of generated files and the retention settings
+const getStorage = async (req, res) => {
+  try {
+    res.json(await getStorageUsage());
+  } catch (error) {
+    console.error('Storage usage report failed:', error);
+    res.status(500).json({
+      error: 'Failed to measure storage usage',
+      details: error.message
+    });
+  }
+};
+
+// Run the retention sweep right away instead of waiting for the interval
+const runSweep = async (req, res) => {
+  try {
+    const stats = await sweepFiles();
+    res.json({ success: true, sweep: stats });
+  } catch (error) {
+    console.error('Manual sweep failed:', error);
+    res.status(500).json({
+      error: 'Failed to sweep files',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  getStorage,
+  runSweep
+};
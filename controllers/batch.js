@@ -0,0 +1,183 @@
+const path = require('path');
+const fsp = require('fs').promises;
+const { uploadDir } = require('../middleware/upload');
+const { progressFor } = require('../services/progress');
+const { registerOutput } = require('../services/fileRegistry');
+const { createDownloadUrl } = require('../services/downloadTokens');
+const { runOnFiles, withoutUrls, discardFiles } = require('../services/operationRunner');
+const { createZip, extractZip } = require('../utils');
+const { compressPDF, protectPDF, unprotectPDF, pdfToImage } = require('./pdfOperations');
+
+const MAX_BATCH_FILES = 500;
+
+// Single-file operations that can be run over a batch
+const BATCH_OPERATIONS = {
+  compress: compressPDF,
+  protect: protectPDF,
+  unprotect: unprotectPDF,
+  'pdf-to-image': pdfToImage
+};
+
+const isZip = (file) => file.mimetype.includes('zip') || path.extname(file.originalname).toLowerCase() === '.zip';
+
+// Give every file in the output ZIP its own name: "a.pdf", "a (2).pdf", ...
+const uniqueName = (name, taken) => {
+  const extension = path.extname(name);
+  const base = name.slice(0, name.length - extension.length);
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${base} (${n})${extension}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+};
+
+// Batch function: run one operation with the same options on many PDFs,
+// uploaded as files and/or ZIP archives. Returns a ZIP of the results with
+// a manifest of what succeeded and what failed.
+const runBatch = async (req, res) => {
+  const uploads = req.files || [];
+  const inputs = [];  // { path, filename } of every file to process
+  const created = []; // registry keys of the per-file outputs
+  let manifestPath;
+
+  try {
+    console.log('Batch request received');
+    if (uploads.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const { operation, ...options } = req.body;
+    const handler = Object.hasOwn(BATCH_OPERATIONS, operation) ? BATCH_OPERATIONS[operation] : null;
+    if (!handler) {
+      return res.status(400).json({
+        error: 'Invalid batch operation',
+        details: `operation must be one of ${Object.keys(BATCH_OPERATIONS).join(', ')}`
+      });
+    }
+
+    // Unpack ZIP archives next to the uploads
+    for (const file of uploads) {
+      if (!isZip(file)) {
+        inputs.push({ path: file.path, filename: file.originalname });
+        continue;
+      }
+      try {
+        const entries = await extractZip(file.path, uploadDir, { maxFiles: MAX_BATCH_FILES });
+        inputs.push(...entries.map(entry => ({ path: entry.path, filename: entry.name })));
+        console.log(`Extracted ${entries.length} files from ${file.originalname}`);
+      } catch (zipError) {
+        console.log(`Could not read ZIP ${file.originalname}:`, zipError.message);
+        return res.status(400).json({
+          error: `Could not read ZIP archive ${file.originalname}`,
+          details: zipError.message
+        });
+      }
+    }
+
+    if (inputs.length === 0) {
+      return res.status(400).json({ error: 'No files to process', details: 'The ZIP archives were empty' });
+    }
+    if (inputs.length > MAX_BATCH_FILES) {
+      return res.status(400).json({
+        error: 'Too many files',
+        details: `A batch can hold at most ${MAX_BATCH_FILES} files, got ${inputs.length}`
+      });
+    }
+
+    const progress = progressFor(req);
+    console.log(`Running ${operation} on ${inputs.length} files`);
+
+    const manifest = [];
+    const zipEntries = [];
+    const takenNames = new Set(['manifest.json']);
+
+    // One file at a time, a failure only affects its own entry
+    for (const [index, input] of inputs.entries()) {
+      progress.page(operation, index + 1, inputs.length);
+
+      let result;
+      try {
+        result = await runOnFiles(handler, req, [input], { as: 'file', options });
+      } catch (err) {
+        console.error(`Batch ${operation} failed on ${input.filename}:`, err);
+        result = { statusCode: 500, body: { error: 'Operation failed', details: err.message }, outputs: [], created: [] };
+      }
+      created.push(...result.created);
+
+      if (result.statusCode >= 400 || result.outputs.length === 0) {
+        manifest.push({
+          file: input.filename,
+          status: 'failed',
+          error: result.body?.error || 'Operation produced no files',
+          details: result.body?.details
+        });
+        continue;
+      }
+
+      const names = result.outputs.map(output => {
+        const name = uniqueName(output.filename, takenNames);
+        zipEntries.push({ path: output.path, name });
+        return name;
+      });
+      manifest.push({
+        file: input.filename,
+        status: 'succeeded',
+        outputs: names,
+        result: withoutUrls(result.body)
+      });
+    }
+
+    const succeeded = manifest.filter(entry => entry.status === 'succeeded').length;
+    const failed = manifest.length - succeeded;
+    console.log(`Batch ${operation} finished: ${succeeded} succeeded, ${failed} failed`);
+
+    if (succeeded === 0) {
+      return res.status(400).json({
+        error: 'None of the files could be processed',
+        operation,
+        total: manifest.length,
+        succeeded,
+        failed,
+        manifest
+      });
+    }
+
+    // The results go out as one ZIP, with the manifest inside it as well
+    progress.update({ stage: 'archiving', message: 'Creating ZIP archive' });
+    const timestamp = Date.now();
+    manifestPath = path.join(uploadDir, `batch-manifest-${timestamp}.json`);
+    await fsp.writeFile(manifestPath, JSON.stringify({ operation, total: manifest.length, succeeded, failed, files: manifest }, null, 2));
+
+    const zipPath = path.join(uploadDir, `batch-${timestamp}.zip`);
+    await createZip(zipPath, [...zipEntries, { path: manifestPath, name: 'manifest.json' }]);
+    await registerOutput(req, zipPath, 'batch', `${operation}-batch.zip`);
+
+    res.json({
+      success: true,
+      message: `${operation} finished for ${succeeded} of ${manifest.length} files`,
+      operation,
+      total: manifest.length,
+      succeeded,
+      failed,
+      zipUrl: createDownloadUrl(zipPath, { owner: req.user?.id }),
+      manifest
+    });
+  } catch (error) {
+    console.error('Batch error:', error);
+    res.status(500).json({
+      error: 'Batch processing failed',
+      details: error.message
+    });
+  } finally {
+    // Only the ZIP is kept: drop the uploads, unpacked files and the
+    // individual results
+    const leftovers = [...uploads.map(file => file.path), ...inputs.map(input => input.path), manifestPath].filter(Boolean);
+    await Promise.all(leftovers.map(file => fsp.unlink(file).catch(() => {})));
+    await discardFiles(created);
+  }
+};
+
+module.exports = {
+  runBatch
+};
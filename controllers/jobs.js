@@ -0,0 +1,27 @@
+const { getJob: findJob, listJobs: findJobs, toPublicJob } = require('../services/jobQueue');
+
+// Get status, result URLs and errors for a single job
+const getJob = (req, res) => {
+  const job = findJob(req.params.id);
+  if (!job || job.owner !== req.user.id) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(toPublicJob(job));
+};
+
+// List recent jobs, newest first
+const listJobs = (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const jobs = findJobs({ owner: req.user.id, status: req.query.status, limit });
+
+  res.json({
+    count: jobs.length,
+    jobs: jobs.map(toPublicJob)
+  });
+};
+
+module.exports = {
+  getJob,
+  listJobs
+};
@@ -4,34 +4,57 @@ const fsp = require('fs').promises;
 const { uploadDir } = require('../middleware/upload');
 const { execFile } = require('child_process');
 const util = require('util');
+const crypto = require('crypto');
 const sharp = require('sharp');
+const { progressFor } = require('../services/progress');
+const { registerOutput, listFiles, isOwnedBy } = require('../services/fileRegistry');
+const { createDownloadUrl, verifyDownloadToken } = require('../services/downloadTokens');
 
 const execFilePromise = util.promisify(execFile);
 
 // Fix: Use separate names for PDF libraries to avoid conflict
 const PDFKit = require('pdfkit');
-const { PDFDocument } = require('pdf-lib');
+const { PDFDocument, PDFPage, PDFName, PDFDict, PDFArray, PDFRef, PDFNumber, PDFString, PDFHexString, PageSizes, degrees } = require('pdf-lib');
+const { parsePageRanges, parseNumberOption, createZip, outputName } = require('../utils');
+const { LEVELS: COMPRESSION_LEVELS, compressDocument, removeUnusedObjects } = require('../services/pdfCompressor');
+const { openPdf, renderPage } = require('../services/pdfRenderer');
+const { writeMultiPageTiff } = require('../services/tiff');
+const { discardFiles } = require('../services/operationRunner');
+const { readMetadata, normalizeMetadataChanges, applyMetadata, stripMetadata } = require('../services/pdfMetadata');
+const { describeFields, fillFields } = require('../services/pdfForms');
+const { loadPkcs12, signPdf, verifySignatures } = require('../services/pdfSignature');
+const { PERMISSION_FLAGS, encryptArgs, decryptArgs, runQpdf } = require('../services/qpdf');
+const { inspectEncryption, checkPassword } = require('../services/pdfEncryption');
+const {
+  POSITIONS,
+  embedStandardFont,
+  parseColor,
+  toEncodableText,
+  getVisibleBox,
+  placementCenters,
+  drawCenteredText,
+  drawCenteredImage
+} = require('../services/pageStamper');
 
 // List merged PDFs function
 const listMergedPDFs = async (req, res) => {
   try {
-    const files = await fs.readdir(uploadDir);
+    // Only the caller's own merged files are listed
+    const files = listFiles({ owner: req.user.id, type: 'merged' });
     const pdfFiles = [];
 
     // Process files asynchronously
-    for (const file of files) {
-      if (file.endsWith('.pdf') && file.startsWith('merged-')) {
-        try {
-          const stats = await fs.stat(path.join(uploadDir, file));
-          pdfFiles.push({
-            name: file,
-            url: `/uploads/${file}`,
-            date: stats.mtime
-          });
-        } catch (err) {
-          console.error(`Error processing file ${file}:`, err);
-          // Skip problematic files but continue processing others
-        }
+    for (const { key: file, filename, owner } of files) {
+      try {
+        const stats = await fsp.stat(path.join(uploadDir, file));
+        pdfFiles.push({
+          name: filename,
+          url: createDownloadUrl(file, { owner }),
+          date: stats.mtime
+        });
+      } catch (err) {
+        console.error(`Error processing file ${file}:`, err);
+        // Skip problematic files but continue processing others
       }
     }
 
@@ -45,54 +68,166 @@ const listMergedPDFs = async (req, res) => {
   }
 };
 
-// PDF Merge function
+// Read the merge plan: which pages of which upload go into the merged
+// document, in order. `file` is the upload's index (0-based, as in the
+// order_N fields) or its filename; pages defaults to the whole file.
+//   [{ "file": 0, "pages": "2-5" }, { "file": "b.pdf" }, { "file": 2, "pages": "last", "rotate": 90, "label": "Appendix" }]
+// Without a plan every file is used whole, ordered by the order_N fields.
+const readMergePlan = (body, files) => {
+  let plan = body.plan;
+  if (plan === undefined || plan === '') {
+    const ordered = files.map((file, index) => {
+      const orderIndex = parseInt(body[`order_${index}`]);
+      return { file: index, order: isNaN(orderIndex) ? index : orderIndex };
+    });
+    ordered.sort((a, b) => a.order - b.order);
+    return ordered.map(({ file }) => ({ file, rotate: 0 }));
+  }
+
+  if (typeof plan === 'string') {
+    try {
+      plan = JSON.parse(plan);
+    } catch (err) {
+      throw new Error('plan must be valid JSON');
+    }
+  }
+  if (!Array.isArray(plan) || plan.length === 0) {
+    throw new Error('plan must be a non-empty array');
+  }
+
+  return plan.map((rawEntry, i) => {
+    const entry = rawEntry !== null && typeof rawEntry === 'object' ? rawEntry : { file: rawEntry };
+    const where = `Plan entry ${i + 1}`;
+
+    let index = -1;
+    if (typeof entry.file === 'number') {
+      index = entry.file;
+    } else if (typeof entry.file === 'string') {
+      const matches = files.flatMap((file, fileIndex) => (file.originalname === entry.file ? [fileIndex] : []));
+      if (matches.length > 1) {
+        throw new Error(`${where}: more than one upload is named "${entry.file}", use its index instead`);
+      }
+      index = matches.length === 1 ? matches[0] : (/^\d+$/.test(entry.file) ? Number(entry.file) : -1);
+    }
+    if (!(Number.isInteger(index) && index >= 0 && index < files.length)) {
+      throw new Error(`${where}: file must be an upload index (0-${files.length - 1}) or an uploaded filename`);
+    }
+
+    const rotate = entry.rotate === undefined ? 0 : ((parseInt(entry.rotate) % 360) + 360) % 360;
+    if (![0, 90, 180, 270].includes(rotate)) {
+      throw new Error(`${where}: rotate must be 0, 90, 180 or 270`);
+    }
+
+    return {
+      file: index,
+      pages: entry.pages === undefined || entry.pages === '' ? undefined : entry.pages,
+      rotate,
+      label: typeof entry.label === 'string' && entry.label.trim() ? entry.label.trim() : undefined
+    };
+  });
+};
+
+// Replace the document outline with one top-level bookmark per entry
+// ({ title, pageIndex }), each opening its page fitted to the window
+const setOutline = (pdfDoc, entries) => {
+  const { context } = pdfDoc;
+  const pages = pdfDoc.getPages();
+  const outlineRef = context.nextRef();
+  const itemRefs = entries.map(() => context.nextRef());
+
+  entries.forEach(({ title, pageIndex }, i) => {
+    const item = context.obj({
+      Title: PDFHexString.fromText(title),
+      Parent: outlineRef,
+      Dest: [pages[pageIndex].ref, PDFName.of('Fit')]
+    });
+    if (i > 0) item.set(PDFName.of('Prev'), itemRefs[i - 1]);
+    if (i < entries.length - 1) item.set(PDFName.of('Next'), itemRefs[i + 1]);
+    context.assign(itemRefs[i], item);
+  });
+
+  context.assign(outlineRef, context.obj({
+    Type: 'Outlines',
+    First: itemRefs[0],
+    Last: itemRefs[itemRefs.length - 1],
+    Count: entries.length
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), outlineRef);
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+};
+
+// PDF Merge function: whole files or selected pages of each, with a
+// bookmark per source and optional blank separator pages
 const mergePDFs = async (req, res) => {
   try {
+    // A plan can pick several parts of a single file
+    const hasPlan = req.body.plan !== undefined && req.body.plan !== '';
+
     // Validate input files
-    if (!req.files || req.files.length < 2) {
+    if (!req.files || req.files.length < (hasPlan ? 1 : 2)) {
       return res.status(400).json({
-        error: 'At least 2 PDFs required for merging',
+        error: hasPlan ? 'At least 1 PDF required for merging' : 'At least 2 PDFs required for merging',
         details: `Received ${req.files?.length || 0} files`
       });
     }
 
+    let plan;
+    try {
+      plan = readMergePlan(req.body, req.files);
+    } catch (validationError) {
+      return res.status(400).json({ error: 'Invalid merge plan', details: validationError.message });
+    }
+
+    const addBookmarks = req.body.bookmarks !== false && req.body.bookmarks !== 'false';
+    const addSeparators = req.body.separator === true || req.body.separator === 'true';
+
+    const progress = progressFor(req);
+
     // Fix: Create PDFDocument using pdf-lib
     const mergedPdf = await PDFDocument.create();
-    const tempFiles = [];
+    const tempFiles = []; // Outputs to remove if the merge fails
     const fileDetails = [];
+    const sources = [];
+    const loadedDocs = new Map(); // upload index -> PDFDocument
+    let separatorPages = 0;
 
     try {
-      // Collect and order files
-      const orderedFiles = [];
-      for (const file of req.files) {
-        const orderIndex = parseInt(req.body[`order_${orderedFiles.length}`]);
-        orderedFiles.push({
-          file,
-          order: isNaN(orderIndex) ? orderedFiles.length : orderIndex
+      // Process each plan entry with enhanced validation
+      for (const [index, entry] of plan.entries()) {
+        const file = req.files[entry.file];
+        progress.update({
+          stage: 'merging',
+          percent: Math.round((index / plan.length) * 100),
+          message: `Adding ${file.originalname} (${index + 1} of ${plan.length})`
         });
-      }
 
-      // Sort files by their order index
-      orderedFiles.sort((a, b) => a.order - b.order);
-
-      // Process each PDF with enhanced validation
-      for (const { file } of orderedFiles) {
         try {
-          // Validate file type
-          if (!file.mimetype.includes('pdf')) {
-            throw new Error(`Invalid file type: ${file.mimetype}`);
-          }
+          let pdfDoc = loadedDocs.get(entry.file);
+          if (!pdfDoc) {
+            // Validate file type
+            if (!file.mimetype.includes('pdf')) {
+              throw new Error(`Invalid file type: ${file.mimetype}`);
+            }
 
-          // Read and validate file content
-          const pdfBytes = await fsp.readFile(file.path);
-          tempFiles.push(file.path);
+            // Read and validate file content
+            const pdfBytes = await fsp.readFile(file.path);
 
-          // Validate PDF structure - Fix: Load with pdf-lib's PDFDocument
-          const pdfDoc = await PDFDocument.load(pdfBytes);
+            // Validate PDF structure - Fix: Load with pdf-lib's PDFDocument
+            pdfDoc = await PDFDocument.load(pdfBytes);
+            if (pdfDoc.getPageCount() === 0) {
+              throw new Error('PDF contains no pages');
+            }
+            loadedDocs.set(entry.file, pdfDoc);
+          }
           const pageCount = pdfDoc.getPageCount();
 
-          if (pageCount === 0) {
-            throw new Error('PDF contains no pages');
+          let pageIndices;
+          try {
+            pageIndices = entry.pages === undefined
+              ? pdfDoc.getPageIndices()
+              : parsePageRanges(Array.isArray(entry.pages) ? entry.pages.join(',') : String(entry.pages), pageCount).flat();
+          } catch (rangeError) {
+            throw Object.assign(rangeError, { statusCode: 400 });
           }
 
           // Track file details for debugging
@@ -100,12 +235,36 @@ const mergePDFs = async (req, res) => {
             name: file.originalname,
             size: file.size,
             pages: pageCount,
+            selected: pageIndices.length,
             path: file.path
           });
 
+          // Blank page the size of the previous page between documents
+          if (addSeparators && index > 0) {
+            const previous = mergedPdf.getPage(mergedPdf.getPageCount() - 1);
+            const { width, height } = previous.getSize();
+            mergedPdf.addPage(previous.getRotation().angle % 180 === 0 ? [width, height] : [height, width]);
+            separatorPages++;
+          }
+
           // Copy pages to merged document
-          const pages = await mergedPdf.copyPages(pdfDoc, pdfDoc.getPageIndices());
-          pages.forEach(page => mergedPdf.addPage(page));
+          const startIndex = mergedPdf.getPageCount();
+          const pages = await mergedPdf.copyPages(pdfDoc, pageIndices);
+          pages.forEach(page => {
+            if (entry.rotate) {
+              page.setRotation(degrees((page.getRotation().angle + entry.rotate) % 360));
+            }
+            mergedPdf.addPage(page);
+          });
+
+          sources.push({
+            file: file.originalname,
+            title: entry.label || path.basename(file.originalname, path.extname(file.originalname)) || file.originalname,
+            pages: entry.pages === undefined ? 'all' : String(entry.pages),
+            pageCount: pageIndices.length,
+            rotate: entry.rotate,
+            startPage: startIndex + 1
+          });
         } catch (err) {
           console.error(`Error processing ${file.originalname}:`, {
             error: err.message,
@@ -116,15 +275,18 @@ const mergePDFs = async (req, res) => {
               type: file.mimetype
             }
           });
-          throw new Error(`Failed to process ${file.originalname}: ${err.message}`);
+          throw Object.assign(new Error(`Failed to process ${file.originalname}: ${err.message}`), { statusCode: err.statusCode });
         }
       }
 
+      if (addBookmarks) {
+        setOutline(mergedPdf, sources.map(source => ({ title: source.title, pageIndex: source.startPage - 1 })));
+      }
+
       // Generate merged PDF
       const mergedPdfBytes = await mergedPdf.save();
       const outputFilename = `merged-${Date.now()}.pdf`;
       const outputPath = path.join(uploadDir, outputFilename);
-      const absolutePath = path.resolve(outputPath);
 
       // Ensure directory exists
       await fsp.mkdir(uploadDir, { recursive: true });
@@ -132,20 +294,23 @@ const mergePDFs = async (req, res) => {
       // Write merged file
       await fsp.writeFile(outputPath, mergedPdfBytes);
       tempFiles.push(outputPath);
+      await registerOutput(req, outputPath, 'merged', outputName(req.files[plan[0].file].originalname, 'merged', '.pdf'));
 
       console.log('Successfully merged PDFs:', {
-        outputPath: absolutePath,
+        outputPath,
         size: mergedPdfBytes.length,
         sourceFiles: fileDetails
       });
 
       res.json({
-        mergedPdfPath: absolutePath,
-        url: `/uploads/${outputFilename}`,
+        url: createDownloadUrl(outputPath, { owner: req.user?.id }),
         message: 'PDFs merged successfully',
         details: {
           totalPages: mergedPdf.getPageCount(),
-          fileCount: req.files.length
+          fileCount: req.files.length,
+          bookmarks: addBookmarks,
+          separatorPages,
+          sources
         }
       });
     } catch (error) {
@@ -175,11 +340,251 @@ const mergePDFs = async (req, res) => {
       }
     });
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'PDF merge operation failed',
       details: error.message,
       suggestion: 'Please ensure all files are valid PDFs and try again'
     });
+  } finally {
+    // Every upload goes once the merge is done or has failed, including
+    // files the plan left out
+    await Promise.all((req.files || []).map(file =>
+      fsp.unlink(file.path).catch(() => {})
+    ));
+  }
+};
+
+// Swap the internal file paths of generated files for signed download URLs
+const withDownloadUrls = (req, results) => results.map(({ filePath, ...result }) => ({
+  ...result,
+  url: createDownloadUrl(filePath, { owner: req.user?.id, filename: result.filename })
+}));
+
+// Human readable "1-3" style label for a group of zero-based page indices
+const formatPageRange = (indices) => {
+  const first = indices[0] + 1;
+  const last = indices[indices.length - 1] + 1;
+  return first === last ? `${first}` : `${first}-${last}`;
+};
+
+const describePages = (indices) => `${indices.length === 1 ? 'Page' : 'Pages'} ${formatPageRange(indices)}`;
+
+// Look up a key in a PDF name tree (used for named destinations)
+const lookupNameTree = (node, name, depth = 0) => {
+  if (!node || depth > 32) return null;
+
+  const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      const key = names.lookup(i);
+      if ((key instanceof PDFString || key instanceof PDFHexString) && key.decodeText() === name) {
+        return names.lookup(i + 1);
+      }
+    }
+  }
+
+  const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+  if (kids) {
+    for (let i = 0; i < kids.size(); i++) {
+      const found = lookupNameTree(kids.lookupMaybe(i, PDFDict), name, depth + 1);
+      if (found) return found;
+    }
+  }
+
+  return null;
+};
+
+// Resolve an outline destination (explicit array, named destination or
+// GoTo action target) to a zero-based page index
+const resolveDestinationPage = (pdfDoc, dest, pageIndexByRef) => {
+  const catalog = pdfDoc.catalog;
+
+  if (dest instanceof PDFName) {
+    const dests = catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    dest = dests ? dests.lookup(dest) : null;
+  } else if (dest instanceof PDFString || dest instanceof PDFHexString) {
+    const names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    const destTree = names ? names.lookupMaybe(PDFName.of('Dests'), PDFDict) : null;
+    dest = lookupNameTree(destTree, dest.decodeText());
+  }
+
+  // Named destinations may be wrapped in a dictionary with a /D entry
+  if (dest instanceof PDFDict) {
+    dest = dest.lookup(PDFName.of('D'));
+  }
+
+  if (!(dest instanceof PDFArray) || dest.size() === 0) return null;
+
+  const target = dest.get(0);
+  if (target instanceof PDFRef) {
+    return pageIndexByRef.get(target.toString()) ?? null;
+  }
+  if (target instanceof PDFNumber) {
+    return target.asNumber();
+  }
+  return null;
+};
+
+// Top-level bookmarks as { title, pageIndex }, sorted by page
+const getTopLevelBookmarks = (pdfDoc) => {
+  const outlines = pdfDoc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+  if (!outlines) return [];
+
+  const pageIndexByRef = new Map(
+    pdfDoc.getPages().map((page, index) => [page.ref.toString(), index])
+  );
+
+  const bookmarks = [];
+  const visited = new Set();
+  let item = outlines.lookupMaybe(PDFName.of('First'), PDFDict);
+
+  while (item && !visited.has(item)) {
+    visited.add(item);
+
+    let dest = item.lookup(PDFName.of('Dest'));
+    if (!dest) {
+      const action = item.lookupMaybe(PDFName.of('A'), PDFDict);
+      if (action && action.lookup(PDFName.of('S')) === PDFName.of('GoTo')) {
+        dest = action.lookup(PDFName.of('D'));
+      }
+    }
+
+    const pageIndex = dest ? resolveDestinationPage(pdfDoc, dest, pageIndexByRef) : null;
+    const title = item.lookup(PDFName.of('Title'));
+
+    if (pageIndex !== null && pageIndex >= 0 && pageIndex < pdfDoc.getPageCount()) {
+      bookmarks.push({
+        title: title && title.decodeText ? title.decodeText() : `Section ${bookmarks.length + 1}`,
+        pageIndex
+      });
+    }
+
+    item = item.lookupMaybe(PDFName.of('Next'), PDFDict);
+  }
+
+  return bookmarks.sort((a, b) => a.pageIndex - b.pageIndex);
+};
+
+// Size in bytes of a document made of the given pages
+const measurePages = async (pdfDoc, indices) => {
+  const doc = await PDFDocument.create();
+  const pages = await doc.copyPages(pdfDoc, indices);
+  pages.forEach(page => doc.addPage(page));
+  return (await doc.save({ useObjectStreams: false })).length;
+};
+
+// Work out which pages go into each output file for the requested mode.
+// Returns [{ label, indices }]; throws with a client-facing message on bad
+// options.
+const planSplitParts = async (pdfDoc, mode, options) => {
+  const pageCount = pdfDoc.getPageCount();
+  const allPages = pdfDoc.getPageIndices();
+
+  switch (mode) {
+    case 'pages':
+      return allPages.map(i => ({ label: describePages([i]), indices: [i] }));
+
+    case 'ranges': {
+      if (!options.ranges) {
+        throw new Error('The ranges parameter is required for mode "ranges" (e.g. "1-3,7,10-end")');
+      }
+      return parsePageRanges(options.ranges, pageCount)
+        .map(indices => ({ label: describePages(indices), indices }));
+    }
+
+    case 'every': {
+      const every = parseInt(options.every);
+      if (!every || every < 1) {
+        throw new Error('The every parameter must be a positive number of pages');
+      }
+      const parts = [];
+      for (let start = 0; start < pageCount; start += every) {
+        const indices = allPages.slice(start, start + every);
+        parts.push({ label: describePages(indices), indices });
+      }
+      return parts;
+    }
+
+    case 'outline': {
+      const bookmarks = getTopLevelBookmarks(pdfDoc);
+      if (bookmarks.length === 0) {
+        throw new Error('PDF has no bookmarks to split by');
+      }
+
+      // Merge bookmarks that point at the same page
+      const starts = bookmarks.filter((b, i) => i === 0 || b.pageIndex !== bookmarks[i - 1].pageIndex);
+      const parts = [];
+
+      if (starts[0].pageIndex > 0) {
+        parts.push({ label: 'Front matter', indices: allPages.slice(0, starts[0].pageIndex) });
+      }
+      starts.forEach((bookmark, i) => {
+        const end = i + 1 < starts.length ? starts[i + 1].pageIndex : pageCount;
+        parts.push({ label: bookmark.title, indices: allPages.slice(bookmark.pageIndex, end) });
+      });
+      return parts;
+    }
+
+    case 'size': {
+      const maxSizeKB = parseFloat(options.maxSizeKB);
+      if (!maxSizeKB || maxSizeKB <= 0) {
+        throw new Error('The maxSizeKB parameter must be a positive number');
+      }
+      const maxBytes = maxSizeKB * 1024;
+
+      // Estimate each page once, as the size of a document holding just
+      // that page minus the size of an empty one. Fonts and images shared
+      // between pages are counted for each of them, so estimates err high.
+      const emptyDoc = await PDFDocument.create();
+      const overhead = (await emptyDoc.save({ useObjectStreams: false })).length;
+      const pageSizes = [];
+      for (const index of allPages) {
+        pageSizes.push(Math.max(await measurePages(pdfDoc, [index]) - overhead, 0));
+      }
+
+      // Greedily grow each part until adding the next page would push its
+      // estimated size over the target
+      const estimated = [];
+      let current = [];
+      let currentSize = overhead;
+      for (const index of allPages) {
+        if (current.length > 0 && currentSize + pageSizes[index] > maxBytes) {
+          estimated.push(current);
+          current = [];
+          currentSize = overhead;
+        }
+        current.push(index);
+        currentSize += pageSizes[index];
+      }
+      if (current.length > 0) estimated.push(current);
+
+      // One real save per part to confirm it. A part that still comes out
+      // too large is cut down in proportion to the overshoot and checked
+      // again, its last pages move to the start of the next part.
+      const parts = [];
+      const pending = [...estimated];
+      while (pending.length > 0) {
+        const indices = pending.shift();
+        const size = indices.length > 1 ? await measurePages(pdfDoc, indices) : 0;
+        if (size <= maxBytes) {
+          parts.push(indices);
+          continue;
+        }
+        const keep = Math.max(1, Math.min(indices.length - 1, Math.floor(indices.length * maxBytes / size)));
+        const moved = indices.slice(keep);
+        if (pending.length > 0) {
+          pending[0] = [...moved, ...pending[0]];
+        } else {
+          pending.push(moved);
+        }
+        pending.unshift(indices.slice(0, keep));
+      }
+
+      return parts.map(indices => ({ label: describePages(indices), indices }));
+    }
+
+    default:
+      throw new Error(`Unknown split mode: ${mode}. Use pages, ranges, every, outline or size`);
   }
 };
 
@@ -223,46 +628,71 @@ const splitPDF = async (req, res) => {
     const pageCount = pdfDoc.getPageCount();
     console.log(`PDF has ${pageCount} pages`);
 
-    if (pageCount <= 1) {
-      console.log('PDF has only one page - nothing to split');
+    if (pageCount === 0) {
+      console.log('PDF has no pages');
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'PDF has no pages to split' });
+    }
+
+    // Work out the output files for the requested split mode
+    const mode = (req.body.mode || 'pages').toLowerCase();
+    let parts;
+    try {
+      parts = await planSplitParts(pdfDoc, mode, req.body);
+    } catch (err) {
+      console.log('Invalid split options:', err.message);
       await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
-      return res.status(400).json({ error: 'PDF must have more than one page to split' });
+      return res.status(400).json({ error: 'Invalid split options', details: err.message });
     }
 
+    console.log(`Splitting in "${mode}" mode into ${parts.length} parts`);
+
     const splitResults = [];
+    const partPaths = []; // Written files, in the same order as splitResults
     const tempFiles = [req.file.path]; // Track original file for cleanup
+    const progress = progressFor(req);
+    const timestamp = Date.now();
 
-    // Split each page into separate PDFs
-    for (let i = 0; i < pageCount; i++) {
+    // Write each part as a separate PDF
+    for (const [i, part] of parts.entries()) {
       try {
-        console.log(`Processing page ${i + 1}/${pageCount}`);
+        console.log(`Processing part ${i + 1}/${parts.length} (pages ${formatPageRange(part.indices)})`);
+        progress.page('splitting', i + 1, parts.length);
         // Fix: Create PDFDocument using pdf-lib
         const newPdf = await PDFDocument.create();
-        const [page] = await newPdf.copyPages(pdfDoc, [i]);
-        newPdf.addPage(page);
+        const pages = await newPdf.copyPages(pdfDoc, part.indices);
+        pages.forEach(page => newPdf.addPage(page));
 
         const splitPdfBytes = await newPdf.save({ useObjectStreams: false });
-        const outputFilename = `split-page-${i + 1}-${Date.now()}.pdf`;
+        const outputFilename = mode === 'pages'
+          ? `split-page-${part.indices[0] + 1}-${timestamp}.pdf`
+          : `split-part-${i + 1}-${timestamp}.pdf`;
         const outputPath = path.join(uploadDir, outputFilename);
+        const downloadName = mode === 'outline'
+          ? `${String(i + 1).padStart(2, '0')}-${part.label.replace(/[^\w\- ]+/g, '').trim() || 'section'}.pdf`
+          : outputName(req.file.originalname, mode === 'pages' ? `page-${part.indices[0] + 1}` : `part-${i + 1}`, '.pdf');
 
         // Ensure directory exists and write file with proper permissions
         await fsp.mkdir(uploadDir, { recursive: true });
         await fsp.writeFile(outputPath, Buffer.from(splitPdfBytes), { mode: 0o644 });
         tempFiles.push(outputPath);
-
-        const fullPath = path.resolve(outputPath).replace(/\\/g, '/');
-        console.log(`Created split page: ${fullPath}`);
+        await registerOutput(req, outputPath, 'split', downloadName);
+        console.log(`Created split page: ${outputPath}`);
 
         splitResults.push({
-          fullPath: fullPath,
-          pageNumber: i + 1,
-          filename: outputFilename,
-          url: `/uploads/${outputFilename}`,
+          part: i + 1,
+          label: part.label,
+          pageNumber: part.indices[0] + 1,
+          pageRange: formatPageRange(part.indices),
+          pageCount: part.indices.length,
+          filename: downloadName,
+          url: createDownloadUrl(outputPath, { owner: req.user?.id }),
           size: splitPdfBytes.length
         });
+        partPaths.push(outputPath);
       } catch (err) {
-        console.error(`Error splitting page ${i + 1}:`, err);
-        // Continue with next page even if one fails
+        console.error(`Error splitting part ${i + 1}:`, err);
+        // Continue with next part even if one fails
       }
     }
 
@@ -277,19 +707,30 @@ const splitPDF = async (req, res) => {
       });
     }
 
-    // Clean up files after 1 hour
-    setTimeout(async () => {
-      console.log('Cleaning up temporary files');
-      await Promise.all(tempFiles.map(file =>
-        fsp.unlink(file).catch(e => console.error('Cleanup error:', e)))
-      );
-    }, 3600000);
-
-    console.log(`Successfully split into ${splitResults.length} pages`);
+    // Bundle all parts into a ZIP for bulk download
+    progress.update({ stage: 'archiving', message: 'Creating ZIP archive' });
+    const zipFilename = `split-${timestamp}.zip`;
+    const zipPath = path.join(uploadDir, zipFilename);
+    await createZip(zipPath, splitResults.map((result, i) => ({
+      path: partPaths[i],
+      name: result.filename
+    })));
+    await registerOutput(req, zipPath, 'split', outputName(req.file.originalname, 'split', '.zip'));
+    console.log(`Created ZIP archive at ${zipPath}`);
+
+    // Parts are kept until the retention sweeper expires them, the uploaded
+    // PDF isn't needed anymore
+    await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+
+    console.log(`Successfully split into ${splitResults.length} parts`);
     res.json({
       success: true,
-      message: `PDF split into ${splitResults.length} pages`,
+      message: mode === 'pages'
+        ? `PDF split into ${splitResults.length} pages`
+        : `PDF split into ${splitResults.length} parts`,
+      mode,
       pages: splitResults,
+      zipUrl: createDownloadUrl(zipPath, { owner: req.user?.id }),
       originalFile: req.file.originalname
     });
 
@@ -306,87 +747,218 @@ const splitPDF = async (req, res) => {
   }
 };
 
-// Download PDF function
-const downloadFile = async (req, res) => {
-  try {
-    const filePath = decodeURIComponent(req.query.file);
-    if (!filePath) {
-      return res.status(400).send('File query parameter is missing');
+// Size of a blank page: a named size ("A4", "Letter"), [width, height] or
+// { width, height } in points, or the size of a neighbouring page
+const resolveBlankPageSize = (size, orientation, fallback) => {
+  let width;
+  let height;
+
+  if (!size) {
+    [width, height] = fallback;
+  } else if (typeof size === 'string') {
+    const named = Object.keys(PageSizes).find(name => name.toLowerCase() === size.toLowerCase());
+    if (!named) {
+      throw new Error(`Unknown page size "${size}"`);
     }
+    [width, height] = PageSizes[named];
+  } else if (Array.isArray(size)) {
+    [width, height] = size.map(Number);
+  } else {
+    width = Number(size.width);
+    height = Number(size.height);
+  }
 
-    console.log('Download request for file:', filePath);
+  if (!(width > 0 && height > 0 && width <= 14400 && height <= 14400)) {
+    throw new Error('Page size must be between 1 and 14400 points');
+  }
 
-    // Handle both relative and absolute paths
-    let absolutePath;
+  if (orientation === 'landscape' && height > width) return [height, width];
+  if (orientation === 'portrait' && width > height) return [height, width];
+  return [width, height];
+};
 
-    if (path.isAbsolute(filePath)) {
-      // Path is absolute, check if it's inside the uploads directory
-      absolutePath = path.normalize(filePath);
-      const uploadsDir = path.resolve(uploadDir);
+// Apply a list of page operations to the page order of a document and
+// return the resulting pages as { source, rotate } entries (source is the
+// zero-based original page) or { blank: [width, height] } entries. Page
+// numbers in each operation refer to the document as left by the previous
+// operations.
+//   { "op": "rotate", "pages": "1-3", "angle": 90 }
+//   { "op": "delete", "pages": "2,4" }
+//   { "op": "move", "pages": "5-6", "to": 1 }
+//   { "op": "duplicate", "pages": "3", "copies": 1 }
+//   { "op": "insert-blank", "after": 0, "size": "A4", "orientation": "portrait", "count": 1 }
+const planPageOperations = (pdfDoc, operations) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new Error('operations must be a non-empty array');
+  }
 
-      if (!absolutePath.startsWith(uploadsDir)) {
-        // If the absolute path is outside uploads dir, try to extract the filename
-        const filename = path.basename(filePath);
-        absolutePath = path.join(uploadDir, filename);
-        console.log('Adjusted path to uploads directory:', absolutePath);
-      }
-    } else {
-      // Path is relative, resolve from uploads directory
-      absolutePath = path.join(uploadDir, filePath);
-    }
+  const sourcePages = pdfDoc.getPages();
+  let pages = sourcePages.map((page, index) => ({ source: index, rotate: 0 }));
 
-    console.log('Final resolved path:', absolutePath);
+  const selectPages = (spec) => {
+    if (spec === undefined || spec === null || spec === '') {
+      throw new Error('pages is required');
+    }
+    const selection = Array.isArray(spec) ? spec.join(',') : String(spec);
+    return [...new Set(parsePageRanges(selection, pages.length).flat())].sort((a, b) => a - b);
+  };
+
+  // Visible size of a page in the current order, used for blank pages
+  const sizeOf = (entry) => {
+    if (entry.blank) return entry.blank;
+    const page = sourcePages[entry.source];
+    const { width, height } = page.getSize();
+    const rotation = (page.getRotation().angle + entry.rotate) % 180;
+    return rotation === 0 ? [width, height] : [height, width];
+  };
+
+  operations.forEach((operation, i) => {
+    const op = String(operation?.op || '').toLowerCase();
 
     try {
-      await fsp.access(absolutePath, fs.constants.R_OK); // Check if file exists and is readable
-    } catch (err) {
-      console.error('File not accessible:', err);
+      switch (op) {
+        case 'rotate': {
+          const angle = ((parseInt(operation.angle) % 360) + 360) % 360;
+          if (![90, 180, 270].includes(angle)) {
+            throw new Error('angle must be 90, 180 or 270');
+          }
+          const selected = operation.pages === undefined ? pages.map((entry, index) => index) : selectPages(operation.pages);
+          selected.forEach(index => {
+            if (!pages[index].blank) pages[index] = { ...pages[index], rotate: (pages[index].rotate + angle) % 360 };
+          });
+          break;
+        }
 
-      // If file not found, try looking for it in the uploads directory by basename
-      try {
-        const basename = path.basename(filePath);
-        const files = await fsp.readdir(uploadDir);
-        for (const file of files) {
-          if (file === basename) {
-            absolutePath = path.join(uploadDir, file);
-            console.log('Found file by basename in uploads directory:', absolutePath);
-            break;
+        case 'delete': {
+          const selected = new Set(selectPages(operation.pages));
+          pages = pages.filter((entry, index) => !selected.has(index));
+          break;
+        }
+
+        case 'move': {
+          const selected = selectPages(operation.pages);
+          const moved = selected.map(index => pages[index]);
+          const remaining = pages.filter((entry, index) => !selected.includes(index));
+          const to = operation.to === 'end' ? remaining.length + 1 : parseInt(operation.to);
+          if (!(to >= 1 && to <= remaining.length + 1)) {
+            throw new Error(`to must be a position between 1 and ${remaining.length + 1}`);
           }
+          remaining.splice(to - 1, 0, ...moved);
+          pages = remaining;
+          break;
         }
 
-        // Check if the found file is accessible
-        await fsp.access(absolutePath, fs.constants.R_OK);
-      } catch (fallbackErr) {
-        console.error('File not found in fallback check:', fallbackErr);
-        return res.status(404).send('File not found');
-      }
-    }
+        case 'duplicate': {
+          const copies = operation.copies === undefined ? 1 : parseInt(operation.copies);
+          if (!(copies >= 1 && copies <= 100)) {
+            throw new Error('copies must be between 1 and 100');
+          }
+          const selected = selectPages(operation.pages);
+          // Work backwards so earlier insertions don't shift later pages
+          for (const index of selected.reverse()) {
+            pages.splice(index + 1, 0, ...Array.from({ length: copies }, () => ({ ...pages[index] })));
+          }
+          break;
+        }
 
-    console.log('Sending file:', absolutePath);
-    res.download(absolutePath, path.basename(absolutePath), (err) => {
-      if (err) {
-        console.error('Download failed:', err);
-        if (!res.headersSent) {
-          res.status(500).send('Error downloading file');
+        case 'insert-blank': {
+          const after = operation.after === undefined || operation.after === 'end'
+            ? pages.length
+            : parseInt(operation.after);
+          if (!(after >= 0 && after <= pages.length)) {
+            throw new Error(`after must be between 0 and ${pages.length}`);
+          }
+          const count = operation.count === undefined ? 1 : parseInt(operation.count);
+          if (!(count >= 1 && count <= 100)) {
+            throw new Error('count must be between 1 and 100');
+          }
+          const neighbour = pages[Math.max(after - 1, 0)];
+          const blank = resolveBlankPageSize(
+            operation.size,
+            operation.orientation,
+            neighbour ? sizeOf(neighbour) : PageSizes.A4
+          );
+          pages.splice(after, 0, ...Array.from({ length: count }, () => ({ blank })));
+          break;
         }
+
+        default:
+          throw new Error('Unknown operation, use rotate, delete, move, duplicate or insert-blank');
       }
-    });
-  } catch (error) {
-    console.error('Download error:', error);
-    res.status(500).send('Error downloading file');
+    } catch (err) {
+      throw new Error(`Operation ${i + 1} (${op || 'missing op'}): ${err.message}`);
+    }
+  });
+
+  if (pages.length === 0) {
+    throw new Error('The operations would remove every page');
+  }
+
+  return pages;
+};
+
+// Another copy of a page of the same document. It shares contents and
+// resources with the original, only its page dictionary is new. Pages with
+// annotations are copied in full, an annotation belongs to a single page.
+const duplicatePage = async (pdfDoc, page) => {
+  if (page.node.Annots()?.size() > 0) {
+    const [copy] = await pdfDoc.copyPages(pdfDoc, [pdfDoc.getPages().indexOf(page)]);
+    return copy;
   }
+  const node = page.node.clone();
+  node.delete(PDFName.of('Annots'));
+  return PDFPage.of(node, pdfDoc.context.register(node), pdfDoc);
 };
 
-// PDF Compression function
-const compressPDF = async (req, res) => {
+// Rebuild the page tree of a document in place so its metadata, outline
+// and other document-level data survive. Pages used more than once are
+// copied, blank pages are created at their planned size.
+const applyPagePlan = async (pdfDoc, plan) => {
+  const sourcePages = pdfDoc.getPages();
+  const used = new Set();
+  const orderedPages = [];
+
+  for (const entry of plan) {
+    if (entry.blank) {
+      orderedPages.push({ blank: entry.blank });
+    } else if (!used.has(entry.source)) {
+      used.add(entry.source);
+      orderedPages.push({ page: sourcePages[entry.source], rotate: entry.rotate });
+    } else {
+      orderedPages.push({ page: await duplicatePage(pdfDoc, sourcePages[entry.source]), rotate: entry.rotate });
+    }
+  }
+
+  for (let i = pdfDoc.getPageCount() - 1; i >= 0; i--) {
+    pdfDoc.removePage(i);
+  }
+
+  for (const { page, blank, rotate } of orderedPages) {
+    if (blank) {
+      pdfDoc.addPage(blank);
+      continue;
+    }
+    pdfDoc.addPage(page);
+    if (rotate) {
+      page.setRotation(degrees((page.getRotation().angle + rotate) % 360));
+    }
+  }
+
+  // Deleted pages, and whatever only they used, would otherwise still be
+  // written out
+  removeUnusedObjects(pdfDoc.context);
+};
+
+// Organize PDF function: rotate, delete, move, duplicate and insert pages
+const organizePDF = async (req, res) => {
   try {
-    console.log('Compress PDF request received');
+    console.log('Organize PDF request received');
     if (!req.file) {
       console.log('No file uploaded');
       return res.status(400).json({ error: 'No PDF file uploaded' });
     }
 
-    console.log(`Processing file for compression: ${req.file.originalname} (${req.file.size} bytes)`);
+    console.log(`Processing file: ${req.file.originalname} (${req.file.size} bytes)`);
 
     // Validate PDF file
     if (!req.file.mimetype.includes('pdf')) {
@@ -395,237 +967,1294 @@ const compressPDF = async (req, res) => {
       return res.status(400).json({ error: 'Only PDF files are allowed' });
     }
 
-    // Get the compression level from request (default to medium if not specified)
-    const compressionLevel = req.body.compressionLevel || 'medium';
-    console.log(`Compression level requested: ${compressionLevel}`);
-
+    // Operations arrive as a JSON string in multipart requests
+    let operations = req.body.operations;
     try {
-      // Get file stats for original size
-      const fileStats = await fsp.stat(req.file.path);
-      const originalSizeKB = Math.round(fileStats.size / 1024);
-
-      // Define output path
-      const outputFilename = `compressed-${Date.now()}.pdf`;
-      const outputPath = path.join(uploadDir, outputFilename);
+      if (typeof operations === 'string') operations = JSON.parse(operations);
+    } catch (err) {
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Invalid operations', details: 'operations must be valid JSON' });
+    }
 
-      // Modified approach for handling complex PDFs
-      // Read the original PDF file
-      const pdfBytes = await fsp.readFile(req.file.path);
+    let pdfDoc;
+    try {
+      pdfDoc = await PDFDocument.load(await fsp.readFile(req.file.path));
+    } catch (err) {
+      console.error('PDF loading error:', err);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Invalid or corrupted PDF file' });
+    }
 
-      // Try to use more direct binary-level approach for compression
-      // which is less sensitive to PDF structure issues
-      try {
-        console.log("Using direct binary compression approach");
+    const originalPageCount = pdfDoc.getPageCount();
 
-        // Create a simple duplicate of the PDF first
-        await fsp.copyFile(req.file.path, outputPath);
+    let plan;
+    try {
+      plan = planPageOperations(pdfDoc, operations);
+    } catch (err) {
+      console.log('Invalid organize operations:', err.message);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Invalid operations', details: err.message });
+    }
 
-        // Now try to load it with less validation
-        const options = {
-          ignoreEncryption: true,
-          updateMetadata: false,
-          parseSpeed: 1 // Fast parsing with less validation
-        };
+    console.log(`Applying ${operations.length} operations, ${originalPageCount} pages -> ${plan.length} pages`);
+    const progress = progressFor(req);
+    progress.update({ stage: 'organizing', message: `Applying ${operations.length} operations` });
 
-        try {
-          // Try to load the PDF with minimal validation - Fix: Use pdf-lib's PDFDocument
-          const pdfDoc = await PDFDocument.load(pdfBytes, options);
-
-          // Remove metadata which often helps with size
-          pdfDoc.setTitle('');
-          pdfDoc.setAuthor('');
-          pdfDoc.setSubject('');
-          pdfDoc.setKeywords([]);
-          pdfDoc.setProducer('DocHelper');
-          pdfDoc.setCreator('DocHelper');
-
-          // Prepare compression settings based on level
-          let compressionOptions = {
-            useObjectStreams: true,
-            addCompression: true
-          };
+    await applyPagePlan(pdfDoc, plan);
 
-          // Adjust compression level
-          if (compressionLevel === 'high') {
-            compressionOptions.objectsPerStream = 100; // Use lower value to avoid errors
-          } else if (compressionLevel === 'medium') {
-            compressionOptions.objectsPerStream = 50;
-          } else {
-            compressionOptions.objectsPerStream = 20;
-          }
+    const outputFilename = `organized-${Date.now()}.pdf`;
+    const outputPath = path.join(uploadDir, outputFilename);
+    await fsp.writeFile(outputPath, await pdfDoc.save());
+    await registerOutput(req, outputPath, 'organized', outputName(req.file.originalname, 'organized', '.pdf'));
 
-          // Save with compression
-          const compressedBytes = await pdfDoc.save(compressionOptions);
+    // Clean up the original uploaded file
+    await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
 
-          // Only replace if the compressed version is actually smaller
-          if (compressedBytes.length < pdfBytes.length) {
-            await fsp.writeFile(outputPath, Buffer.from(compressedBytes));
-            console.log("Compression successful, using the compressed version");
-          } else {
-            console.log("Compressed version is larger, reverting to original");
-          }
+    res.json({
+      success: true,
+      message: `PDF organized: ${originalPageCount} pages in, ${plan.length} pages out`,
+      originalFile: req.file.originalname,
+      originalPageCount,
+      pageCount: plan.length,
+      pages: plan.map((entry, index) => ({
+        page: index + 1,
+        source: entry.blank ? 'blank' : entry.source + 1,
+        rotation: entry.rotate || 0
+      })),
+      url: createDownloadUrl(outputPath, { owner: req.user?.id })
+    });
+  } catch (error) {
+    console.error('PDF organize error:', {
+      message: error.message,
+      stack: error.stack,
+      file: req.file ? req.file.path : 'No file'
+    });
+    if (req.file) {
+      await fsp.unlink(req.file.path).catch(() => {});
+    }
+    res.status(500).json({
+      error: 'Failed to organize PDF',
+      details: error.message
+    });
+  }
+};
 
-        } catch (pdfError) {
-          console.log("Error processing PDF with pdf-lib:", pdfError.message);
-          // Keep the duplicate as a fallback (already created above)
-        }
+// Read and validate watermark settings from the request body
+const readWatermarkOptions = (body, hasImage) => {
+  const text = typeof body.text === 'string' ? body.text.trim() : '';
+  if (!text && !hasImage) {
+    throw new Error('Provide watermark text, an image, or both');
+  }
 
-        // Alternative compression approach using basic buffer compression
-        if (compressionLevel === 'high') {
-          try {
-            console.log("Trying alternative compression method");
+  const position = (body.position || 'center').toLowerCase();
+  if (!POSITIONS.includes(position)) {
+    throw new Error(`position must be one of ${POSITIONS.join(', ')}`);
+  }
 
-            // Read the current output file
-            const currentBytes = await fsp.readFile(outputPath);
+  // Diagonal stamps by default when the watermark spans the page
+  const defaultRotation = position === 'center' || position === 'tiled' ? 45 : 0;
+
+  return {
+    text,
+    position,
+    font: body.font || 'helvetica-bold',
+    fontSize: parseNumberOption(body.fontSize, { name: 'fontSize', min: 4, max: 400, fallback: 48 }),
+    color: parseColor(body.color || '#808080'),
+    opacity: parseNumberOption(body.opacity, { name: 'opacity', min: 0, max: 1, fallback: 0.3 }),
+    rotation: parseNumberOption(body.rotation, { name: 'rotation', min: -360, max: 360, fallback: defaultRotation }),
+    margin: parseNumberOption(body.margin, { name: 'margin', min: 0, max: 1000, fallback: 36 }),
+    spacing: parseNumberOption(body.spacing, { name: 'spacing', min: 0, max: 1000, fallback: 72 }),
+    imageScale: parseNumberOption(body.imageScale, { name: 'imageScale', min: 0.01, max: 1, fallback: 0.25 }),
+    pages: body.pages || '1-end'
+  };
+};
 
-            // Use Node's built-in zlib for a basic level of compression
-            const zlib = require('zlib');
+// Watermark PDF function: stamp text and/or an image onto selected pages
+const watermarkPDF = async (req, res) => {
+  const pdfFile = req.files?.pdf?.[0];
+  const imageFile = req.files?.image?.[0];
+  const tempFiles = [pdfFile, imageFile].filter(Boolean).map(file => file.path);
+  const cleanup = () => Promise.all(tempFiles.map(file =>
+    fsp.unlink(file).catch(e => console.error('Cleanup error:', e))));
 
-            // Create a temporary compressed file using deflate
-            const tempCompressedPath = path.join(uploadDir, `temp-${Date.now()}.bin`);
+  try {
+    console.log('Watermark PDF request received');
+    if (!pdfFile) {
+      console.log('No file uploaded');
+      await cleanup();
+      return res.status(400).json({ error: 'No PDF file uploaded' });
+    }
 
-            // Compress with appropriate level
-            let level = 6; // Default (medium)
-            if (compressionLevel === 'high') level = 9;
-            if (compressionLevel === 'low') level = 3;
+    console.log(`Processing file: ${pdfFile.originalname} (${pdfFile.size} bytes)`);
 
-            // Create deflated stream
-            const output = fs.createWriteStream(tempCompressedPath);
-            const compress = zlib.createDeflate({ level });
+    // Validate file types
+    if (!pdfFile.mimetype.includes('pdf')) {
+      console.log('Invalid file type:', pdfFile.mimetype);
+      await cleanup();
+      return res.status(400).json({ error: 'Only PDF files are allowed' });
+    }
+    if (imageFile && !imageFile.mimetype.startsWith('image/')) {
+      console.log('Invalid watermark image type:', imageFile.mimetype);
+      await cleanup();
+      return res.status(400).json({ error: `Invalid watermark image type: ${imageFile.mimetype}` });
+    }
 
-            // Create read stream and pipe through compression
-            const input = fs.createReadStream(outputPath);
+    let pdfDoc;
+    try {
+      pdfDoc = await PDFDocument.load(await fsp.readFile(pdfFile.path));
+    } catch (err) {
+      console.error('PDF loading error:', err);
+      await cleanup();
+      return res.status(400).json({ error: 'Invalid or corrupted PDF file' });
+    }
 
-            await new Promise((resolve, reject) => {
-              input.pipe(compress).pipe(output)
-                .on('finish', resolve)
-                .on('error', reject);
-            });
+    let options;
+    let pageIndices;
+    let font;
+    try {
+      options = readWatermarkOptions(req.body, Boolean(imageFile));
+      pageIndices = [...new Set(parsePageRanges(options.pages, pdfDoc.getPageCount()).flat())];
+      font = options.text ? await embedStandardFont(pdfDoc, options.font) : null;
+      if (font) options.text = toEncodableText(font, options.text);
+    } catch (err) {
+      console.log('Invalid watermark options:', err.message);
+      await cleanup();
+      return res.status(400).json({ error: 'Invalid watermark options', details: err.message });
+    }
 
-            // Check the compressed size
-            const compressedStats = await fsp.stat(tempCompressedPath);
+    // Normalise the image with sharp: apply EXIF orientation, cap its size
+    // and convert to PNG so transparency is kept
+    let image;
+    if (imageFile) {
+      try {
+        const png = await sharp(imageFile.path, { density: 300 })
+          .rotate()
+          .resize({ width: 2000, height: 2000, fit: 'inside', withoutEnlargement: true })
+          .png()
+          .toBuffer();
+        image = await pdfDoc.embedPng(png);
+      } catch (err) {
+        console.error('Watermark image error:', err);
+        await cleanup();
+        return res.status(400).json({ error: 'Could not read the watermark image', details: err.message });
+      }
+    }
 
-            // If it's smaller, use it for certain types of PDFs
-            if (compressedStats.size < currentBytes.length * 0.9) {
-              console.log("Binary compression successful, using compressed version");
+    console.log(`Watermarking ${pageIndices.length} pages (${options.position})`);
+    const progress = progressFor(req);
 
-              // Read the compressed data
-              const compressedData = await fsp.readFile(tempCompressedPath);
+    for (const [i, pageIndex] of pageIndices.entries()) {
+      progress.page('watermarking', i + 1, pageIndices.length);
+      const page = pdfDoc.getPage(pageIndex);
+      const box = getVisibleBox(page);
 
-              // Read the original PDF header to preserve it
-              const header = currentBytes.slice(0, 1024); // Preserve PDF header
+      if (image) {
+        const width = box.width * options.imageScale;
+        const height = width * (image.height / image.width);
+        const centers = placementCenters(box, options.position, {
+          width, height, angle: options.rotation, margin: options.margin, spacing: options.spacing
+        });
+        centers.forEach(({ x, y }) => drawCenteredImage(page, image, {
+          cx: x, cy: y, width, height, opacity: options.opacity, angle: options.rotation
+        }));
+      }
 
-              // Create a new buffer with header and compressed content
-              const combinedBuffer = Buffer.concat([
-                header,
-                compressedData
-              ]);
+      if (font) {
+        const width = font.widthOfTextAtSize(options.text, options.fontSize);
+        const height = font.heightAtSize(options.fontSize, { descender: false });
+        const centers = placementCenters(box, options.position, {
+          width, height, angle: options.rotation, margin: options.margin, spacing: options.spacing
+        });
+        centers.forEach(({ x, y }) => drawCenteredText(page, options.text, {
+          cx: x,
+          cy: y,
+          font,
+          size: options.fontSize,
+          color: options.color,
+          opacity: options.opacity,
+          angle: options.rotation
+        }));
+      }
+    }
 
-              // Write back to the output file
-              await fsp.writeFile(outputPath, combinedBuffer);
-            }
+    const outputFilename = `watermarked-${Date.now()}.pdf`;
+    const outputPath = path.join(uploadDir, outputFilename);
+    await fsp.writeFile(outputPath, await pdfDoc.save());
+    await registerOutput(req, outputPath, 'watermarked', outputName(pdfFile.originalname, 'watermarked', '.pdf'));
 
-            // Clean up temporary file
-            await fsp.unlink(tempCompressedPath).catch(() => { });
+    // Clean up the uploaded files, but keep the generated PDF
+    await cleanup();
 
-          } catch (zlibError) {
-            console.log("Alternative compression failed:", zlibError.message);
-          }
+    res.json({
+      success: true,
+      message: `Watermark added to ${pageIndices.length} pages`,
+      originalFile: pdfFile.originalname,
+      pagesWatermarked: pageIndices.map(index => index + 1),
+      watermark: {
+        text: options.text || undefined,
+        image: imageFile ? imageFile.originalname : undefined,
+        position: options.position,
+        rotation: options.rotation,
+        opacity: options.opacity
+      },
+      url: createDownloadUrl(outputPath, { owner: req.user?.id })
+    });
+  } catch (error) {
+    console.error('PDF watermark error:', {
+      message: error.message,
+      stack: error.stack,
+      file: pdfFile ? pdfFile.path : 'No file'
+    });
+    await cleanup();
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to watermark PDF',
+      details: error.message
+    });
+  }
+};
+
+const HEADER_FOOTER_SLOTS = ['headerLeft', 'headerCenter', 'headerRight', 'footerLeft', 'footerCenter', 'footerRight'];
+const TEMPLATE_TOKENS = ['page', 'pages', 'filename', 'date', 'bates'];
+
+// Collect header/footer templates. "header" and "footer" take a string
+// (centred) or a { left, center, right } object; the flat headerLeft,
+// footerRight, ... fields override them.
+const readHeaderFooterTemplates = (body) => {
+  const templates = {};
+
+  for (const band of ['header', 'footer']) {
+    let value = body[band];
+    // A JSON object gives the three positions, anything else (including
+    // templates that merely start with a token, like "{page} of {pages}")
+    // is the centre template
+    if (typeof value === 'string' && value.trim().startsWith('{')) {
+      try {
+        const parsed = JSON.parse(value);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+          value = parsed;
         }
+      } catch (err) {
+        // Not JSON, a plain template
+      }
+    }
+    if (typeof value === 'string') {
+      value = { center: value };
+    }
+    for (const side of ['left', 'center', 'right']) {
+      if (value && value[side]) {
+        templates[`${band}${side[0].toUpperCase()}${side.slice(1)}`] = String(value[side]);
+      }
+    }
+  }
 
-        // Get final compressed file stats
-        const compressedStats = await fsp.stat(outputPath);
-        const compressedSizeKB = Math.round(compressedStats.size / 1024);
-        const compressionRatio = Math.round((1 - (compressedStats.size / fileStats.size)) * 100);
+  for (const slot of HEADER_FOOTER_SLOTS) {
+    if (body[slot]) templates[slot] = String(body[slot]);
+  }
 
-        // Clean up original uploaded file
-        await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+  if (Object.keys(templates).length === 0) {
+    throw new Error('Provide at least one header or footer template, e.g. footer="Page {page} of {pages}"');
+  }
 
-        console.log(`Compression results: Original: ${originalSizeKB}KB, Compressed: ${compressedSizeKB}KB, Ratio: ${compressionRatio}%`);
+  for (const template of Object.values(templates)) {
+    for (const [, token] of template.matchAll(/\{(\w+)\}/g)) {
+      if (!TEMPLATE_TOKENS.includes(token)) {
+        throw new Error(`Unknown token {${token}}. Use ${TEMPLATE_TOKENS.map(t => `{${t}}`).join(', ')}`);
+      }
+    }
+  }
 
-        return res.json({
-          success: true,
-          message: compressionRatio > 0
-            ? `PDF compressed successfully - reduced by ${compressionRatio}%`
-            : "PDF processed successfully (no size reduction achieved)",
-          originalFile: req.file.originalname,
-          originalSize: originalSizeKB,
-          compressedSize: compressedSizeKB,
-          compressionRatio: Math.max(0, compressionRatio),
-          url: `/uploads/${outputFilename}`,
-          fullPath: path.resolve(outputPath)
-        });
+  return templates;
+};
+
+const renderTemplate = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (match, token) => String(values[token]));
 
+// Header/footer PDF function: page numbers, templated headers and footers
+// and Bates numbering that continues across all uploaded files
+const headerFooterPDF = async (req, res) => {
+  const files = req.files || [];
+  const tempFiles = files.map(file => file.path);
+  const cleanup = () => Promise.all(tempFiles.map(file =>
+    fsp.unlink(file).catch(e => console.error('Cleanup error:', e))));
+  // Registry keys of the outputs written so far, removed again if a later
+  // file fails
+  const created = [];
+
+  try {
+    console.log('Header/footer request received');
+    if (files.length === 0) {
+      console.log('No files uploaded');
+      return res.status(400).json({ error: 'No PDF files uploaded' });
+    }
+
+    for (const file of files) {
+      if (!file.mimetype.includes('pdf')) {
+        console.log('Invalid file type:', file.mimetype);
+        await cleanup();
+        return res.status(400).json({ error: `Invalid file type: ${file.mimetype}. Only PDF files are allowed.` });
+      }
+    }
+
+    let templates;
+    let options;
+    try {
+      templates = readHeaderFooterTemplates(req.body);
+      options = {
+        font: req.body.font || 'helvetica',
+        fontSize: parseNumberOption(req.body.fontSize, { name: 'fontSize', min: 4, max: 72, fallback: 10 }),
+        color: parseColor(req.body.color || '#000000'),
+        marginTop: parseNumberOption(req.body.marginTop, { name: 'marginTop', min: 0, max: 500, fallback: 24 }),
+        marginBottom: parseNumberOption(req.body.marginBottom, { name: 'marginBottom', min: 0, max: 500, fallback: 24 }),
+        marginLeft: parseNumberOption(req.body.marginLeft, { name: 'marginLeft', min: 0, max: 500, fallback: 36 }),
+        marginRight: parseNumberOption(req.body.marginRight, { name: 'marginRight', min: 0, max: 500, fallback: 36 }),
+        pages: req.body.pages || '1-end',
+        batesPrefix: req.body.batesPrefix || '',
+        batesSuffix: req.body.batesSuffix || '',
+        batesStart: parseNumberOption(req.body.batesStart, { name: 'batesStart', min: 0, max: 1e12, fallback: 1, integer: true }),
+        batesDigits: parseNumberOption(req.body.batesDigits, { name: 'batesDigits', min: 1, max: 15, fallback: 6, integer: true }),
+        date: req.body.date || new Date().toISOString().slice(0, 10)
+      };
+    } catch (err) {
+      console.log('Invalid header/footer options:', err.message);
+      await cleanup();
+      return res.status(400).json({ error: 'Invalid header/footer options', details: err.message });
+    }
+
+    const progress = progressFor(req);
+    const results = [];
+    let batesNumber = options.batesStart;
+    const timestamp = Date.now();
+
+    for (const [fileIndex, file] of files.entries()) {
+      progress.update({
+        stage: 'stamping',
+        message: `Processing ${file.originalname}`,
+        percent: Math.round((fileIndex / files.length) * 100)
+      });
+
+      let pdfDoc;
+      let pageIndices;
+      let font;
+      try {
+        pdfDoc = await PDFDocument.load(await fsp.readFile(file.path));
+        pageIndices = [...new Set(parsePageRanges(options.pages, pdfDoc.getPageCount()).flat())].sort((a, b) => a - b);
+        font = await embedStandardFont(pdfDoc, options.font);
       } catch (err) {
-        console.log("Binary compression approach failed:", err);
+        console.log(`Cannot stamp ${file.originalname}:`, err.message);
+        await cleanup();
+        await discardFiles(created);
+        return res.status(400).json({ error: `Cannot process ${file.originalname}`, details: err.message });
+      }
 
-        // Fallback to simple copy if everything else fails
-        await fsp.copyFile(req.file.path, outputPath);
+      const pageCount = pdfDoc.getPageCount();
+      const firstBates = batesNumber;
+      const height = font.heightAtSize(options.fontSize, { descender: false });
+
+      for (const pageIndex of pageIndices) {
+        const page = pdfDoc.getPage(pageIndex);
+        const box = getVisibleBox(page);
+        const values = {
+          page: pageIndex + 1,
+          pages: pageCount,
+          filename: file.originalname,
+          date: options.date,
+          bates: `${options.batesPrefix}${String(batesNumber).padStart(options.batesDigits, '0')}${options.batesSuffix}`
+        };
 
-        // Clean up original uploaded file
-        await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+        for (const [slot, template] of Object.entries(templates)) {
+          const text = toEncodableText(font, renderTemplate(template, values));
+          if (!text) continue;
+
+          const width = font.widthOfTextAtSize(text, options.fontSize);
+          const cx = slot.endsWith('Left')
+            ? options.marginLeft + width / 2
+            : slot.endsWith('Right')
+              ? box.width - options.marginRight - width / 2
+              : box.width / 2;
+          const cy = slot.startsWith('header')
+            ? box.height - options.marginTop - height / 2
+            : options.marginBottom + height / 2;
+
+          drawCenteredText(page, text, { cx, cy, font, size: options.fontSize, color: options.color });
+        }
+
+        batesNumber++;
+      }
+
+      const outputFilename = `stamped-${fileIndex + 1}-${timestamp}.pdf`;
+      const outputPath = path.join(uploadDir, outputFilename);
+      const downloadName = outputName(file.originalname, 'numbered', '.pdf');
+      await fsp.writeFile(outputPath, await pdfDoc.save());
+      created.push((await registerOutput(req, outputPath, 'stamped', downloadName)).key);
+
+      results.push({
+        filePath: outputPath,
+        originalFile: file.originalname,
+        filename: downloadName,
+        pageCount,
+        pagesStamped: pageIndices.length,
+        batesStart: pageIndices.length ? firstBates : null,
+        batesEnd: pageIndices.length ? batesNumber - 1 : null
+      });
+    }
+
+    // Bundle multi-file batches into a ZIP
+    let zipUrl;
+    if (results.length > 1) {
+      progress.update({ stage: 'archiving', message: 'Creating ZIP archive' });
+      const zipPath = path.join(uploadDir, `stamped-${timestamp}.zip`);
+      await createZip(zipPath, results.map(result => ({ path: result.filePath, name: result.filename })));
+      created.push((await registerOutput(req, zipPath, 'stamped', 'numbered.zip')).key);
+      zipUrl = createDownloadUrl(zipPath, { owner: req.user?.id });
+    }
+
+    // Clean up the uploaded files, but keep the generated PDFs
+    await cleanup();
+
+    const outputs = withDownloadUrls(req, results);
+    console.log(`Stamped ${outputs.length} files, next Bates number ${batesNumber}`);
+
+    res.json({
+      success: true,
+      message: `Headers and footers added to ${outputs.length} ${outputs.length === 1 ? 'file' : 'files'}`,
+      url: outputs.length === 1 ? outputs[0].url : undefined,
+      zipUrl,
+      files: outputs,
+      // Pass this as batesStart to continue numbering in a later request
+      nextBatesNumber: batesNumber
+    });
+  } catch (error) {
+    console.error('Header/footer error:', {
+      message: error.message,
+      stack: error.stack
+    });
+    await cleanup();
+    await discardFiles(created);
+    res.status(500).json({
+      error: 'Failed to add headers and footers',
+      details: error.message
+    });
+  }
+};
+
+const METADATA_FIELDS = ['title', 'author', 'subject', 'keywords', 'creator', 'producer', 'creationDate', 'modificationDate', 'language', 'custom'];
+
+// Load an uploaded PDF for the metadata endpoints without letting pdf-lib
+// touch Producer, Creator or ModDate
+const loadForMetadata = async (file) => {
+  try {
+    return await PDFDocument.load(await fsp.readFile(file.path), { updateMetadata: false });
+  } catch (err) {
+    throw Object.assign(new Error(err.message.includes('encrypted')
+      ? 'Encrypted PDFs must be unprotected before their metadata can be read or changed'
+      : 'Invalid or corrupted PDF file'), { statusCode: 400 });
+  }
+};
+
+// Read metadata function: Info dictionary, language and XMP fields
+const readPDFMetadata = async (req, res) => {
+  try {
+    console.log('Read metadata request received');
+    if (!req.file) {
+      console.log('No file uploaded');
+      return res.status(400).json({ error: 'No PDF file uploaded' });
+    }
+
+    if (!req.file.mimetype.includes('pdf')) {
+      console.log('Invalid file type:', req.file.mimetype);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Only PDF files are allowed' });
+    }
+
+    const pdfDoc = await loadForMetadata(req.file);
+    const includeXmp = req.body.includeXmp === true || req.body.includeXmp === 'true';
+
+    await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+
+    res.json({
+      success: true,
+      originalFile: req.file.originalname,
+      pageCount: pdfDoc.getPageCount(),
+      metadata: readMetadata(pdfDoc, { includeXmp })
+    });
+  } catch (error) {
+    console.error('Read metadata error:', error.message);
+    if (req.file) {
+      await fsp.unlink(req.file.path).catch(() => {});
+    }
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to read PDF metadata',
+      details: error.message
+    });
+  }
+};
+
+// Write metadata function: update Info, language, custom keys and XMP
+const writePDFMetadata = async (req, res) => {
+  try {
+    console.log('Write metadata request received');
+    if (!req.file) {
+      console.log('No file uploaded');
+      return res.status(400).json({ error: 'No PDF file uploaded' });
+    }
+
+    if (!req.file.mimetype.includes('pdf')) {
+      console.log('Invalid file type:', req.file.mimetype);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Only PDF files are allowed' });
+    }
+
+    // Changes come either as a metadata JSON object or as individual
+    // fields (custom as a JSON object)
+    let changes;
+    try {
+      let raw = req.body.metadata;
+      if (raw === undefined) {
+        raw = {};
+        for (const field of METADATA_FIELDS) {
+          if (req.body[field] !== undefined) raw[field] = req.body[field];
+        }
+      }
+      if (typeof raw === 'string') raw = JSON.parse(raw);
+      if (typeof raw.custom === 'string') raw.custom = JSON.parse(raw.custom);
+      changes = normalizeMetadataChanges(raw);
+      if (Object.keys(changes).length === 0) {
+        throw new Error(`No metadata fields given. Use ${METADATA_FIELDS.join(', ')}`);
+      }
+    } catch (err) {
+      console.log('Invalid metadata:', err.message);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Invalid metadata', details: err.message });
+    }
+
+    const pdfDoc = await loadForMetadata(req.file);
+    applyMetadata(pdfDoc, changes);
+
+    const outputFilename = `metadata-${Date.now()}.pdf`;
+    const outputPath = path.join(uploadDir, outputFilename);
+    await fsp.writeFile(outputPath, await pdfDoc.save());
+    await registerOutput(req, outputPath, 'metadata', outputName(req.file.originalname, '', '.pdf'));
+
+    await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+
+    res.json({
+      success: true,
+      message: 'PDF metadata updated',
+      originalFile: req.file.originalname,
+      metadata: readMetadata(pdfDoc),
+      url: createDownloadUrl(outputPath, { owner: req.user?.id })
+    });
+  } catch (error) {
+    console.error('Write metadata error:', error.message);
+    if (req.file) {
+      await fsp.unlink(req.file.path).catch(() => {});
+    }
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to update PDF metadata',
+      details: error.message
+    });
+  }
+};
+
+// Load an uploaded PDF for the form endpoints
+const loadForForms = async (file) => {
+  try {
+    return await PDFDocument.load(await fsp.readFile(file.path));
+  } catch (err) {
+    throw Object.assign(new Error(err.message.includes('encrypted')
+      ? 'Encrypted PDFs must be unprotected before their form can be read or filled'
+      : 'Invalid or corrupted PDF file'), { statusCode: 400 });
+  }
+};
+
+// XFA forms aren't supported, pdf-lib drops the XFA data and keeps the
+// AcroForm fields most of them carry alongside it
+const hasXfaForm = (pdfDoc) => Boolean(pdfDoc.catalog.getAcroForm()?.dict.has(PDFName.of('XFA')));
+
+// List form fields function: name, type, value, options, page and rectangle
+const listFormFields = async (req, res) => {
+  try {
+    console.log('List form fields request received');
+    if (!req.file) {
+      console.log('No file uploaded');
+      return res.status(400).json({ error: 'No PDF file uploaded' });
+    }
+
+    if (!req.file.mimetype.includes('pdf')) {
+      console.log('Invalid file type:', req.file.mimetype);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Only PDF files are allowed' });
+    }
+
+    const pdfDoc = await loadForForms(req.file);
+    const xfa = hasXfaForm(pdfDoc);
+    const fields = describeFields(pdfDoc);
+
+    await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+    console.log(`Found ${fields.length} form fields in ${req.file.originalname}`);
+
+    res.json({
+      success: true,
+      originalFile: req.file.originalname,
+      pageCount: pdfDoc.getPageCount(),
+      hasXfa: xfa,
+      fieldCount: fields.length,
+      fields
+    });
+  } catch (error) {
+    console.error('List form fields error:', error.message);
+    if (req.file) {
+      await fsp.unlink(req.file.path).catch(() => {});
+    }
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to read PDF form fields',
+      details: error.message
+    });
+  }
+};
+
+// Fill form function: set field values from a JSON object and optionally
+// flatten the form so it can no longer be edited
+const fillPDFForm = async (req, res) => {
+  try {
+    console.log('Fill form request received');
+    if (!req.file) {
+      console.log('No file uploaded');
+      return res.status(400).json({ error: 'No PDF file uploaded' });
+    }
+
+    if (!req.file.mimetype.includes('pdf')) {
+      console.log('Invalid file type:', req.file.mimetype);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Only PDF files are allowed' });
+    }
+
+    let values;
+    try {
+      values = typeof req.body.fields === 'string' ? JSON.parse(req.body.fields) : (req.body.fields || {});
+      if (typeof values !== 'object' || Array.isArray(values) || values === null) {
+        throw new Error('fields must be a JSON object of field names to values');
+      }
+    } catch (err) {
+      console.log('Invalid form values:', err.message);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Invalid form values', details: err.message });
+    }
+
+    const flatten = req.body.flatten === true || req.body.flatten === 'true';
+    if (Object.keys(values).length === 0 && !flatten) {
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'No field values given and flatten not requested' });
+    }
+
+    const pdfDoc = await loadForForms(req.file);
+    const { filled, errors } = await fillFields(pdfDoc, values);
+    if (errors.length > 0) {
+      console.log('Rejected form values:', errors);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Some fields could not be filled', details: errors });
+    }
+
+    if (flatten) {
+      pdfDoc.getForm().flatten();
+    }
+
+    const outputFilename = `filled-${Date.now()}.pdf`;
+    const outputPath = path.join(uploadDir, outputFilename);
+    await fsp.writeFile(outputPath, await pdfDoc.save());
+    await registerOutput(req, outputPath, 'filled', outputName(req.file.originalname, 'filled', '.pdf'));
+
+    await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+    console.log(`Filled ${filled.length} fields${flatten ? ' and flattened the form' : ''}: ${outputPath}`);
+
+    res.json({
+      success: true,
+      message: `Filled ${filled.length} form fields${flatten ? ' and flattened the form' : ''}`,
+      originalFile: req.file.originalname,
+      filled,
+      flattened: flatten,
+      url: createDownloadUrl(outputPath, { owner: req.user?.id })
+    });
+  } catch (error) {
+    console.error('Fill form error:', error.message);
+    if (req.file) {
+      await fsp.unlink(req.file.path).catch(() => {});
+    }
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to fill PDF form',
+      details: error.message
+    });
+  }
+};
+
+// Read and validate the signature appearance settings
+const readSignatureOptions = (body) => {
+  const position = (body.position || 'bottom-right').toLowerCase();
+  if (!POSITIONS.includes(position) || position === 'tiled') {
+    throw new Error(`position must be one of ${POSITIONS.filter(p => p !== 'tiled').join(', ')}`);
+  }
+
+  const hasX = body.x !== undefined && body.x !== '';
+  const hasY = body.y !== undefined && body.y !== '';
+  if (hasX !== hasY) {
+    throw new Error('Give both x and y, or use position');
+  }
+
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+  return {
+    page: !body.page || body.page === 'last'
+      ? 'last'
+      : parseNumberOption(body.page, { name: 'page', min: 1, max: 100000, integer: true }),
+    visible: body.visible !== false && body.visible !== 'false',
+    showDetails: body.showDetails !== false && body.showDetails !== 'false',
+    position,
+    x: hasX ? parseNumberOption(body.x, { name: 'x', min: 0, max: 14400 }) : undefined,
+    y: hasY ? parseNumberOption(body.y, { name: 'y', min: 0, max: 14400 }) : undefined,
+    width: parseNumberOption(body.width, { name: 'width', min: 20, max: 1000, fallback: 180 }),
+    height: parseNumberOption(body.height, { name: 'height', min: 10, max: 1000, fallback: 60 }),
+    margin: parseNumberOption(body.margin, { name: 'margin', min: 0, max: 1000, fallback: 36 }),
+    name: text(body.name),
+    reason: text(body.reason),
+    location: text(body.location),
+    contactInfo: text(body.contactInfo),
+    fieldName: text(body.fieldName)
+  };
+};
+
+// Sign PDF function: apply a PAdES signature with a PKCS#12 certificate
+// and an optional visible appearance
+const signPDF = async (req, res) => {
+  const pdfFile = req.files?.pdf?.[0];
+  const certificateFile = req.files?.certificate?.[0];
+  const imageFile = req.files?.image?.[0];
+  const tempFiles = [pdfFile, certificateFile, imageFile].filter(Boolean).map(file => file.path);
+  const cleanup = () => Promise.all(tempFiles.map(file =>
+    fsp.unlink(file).catch(e => console.error('Cleanup error:', e))));
+
+  try {
+    console.log('Sign PDF request received');
+    if (!pdfFile || !certificateFile) {
+      console.log('Missing PDF or certificate');
+      await cleanup();
+      return res.status(400).json({ error: 'Upload the PDF as "pdf" and the .p12/.pfx file as "certificate"' });
+    }
+
+    if (!pdfFile.mimetype.includes('pdf')) {
+      console.log('Invalid file type:', pdfFile.mimetype);
+      await cleanup();
+      return res.status(400).json({ error: 'Only PDF files are allowed' });
+    }
+    if (imageFile && !imageFile.mimetype.startsWith('image/')) {
+      console.log('Invalid signature image type:', imageFile.mimetype);
+      await cleanup();
+      return res.status(400).json({ error: `Invalid signature image type: ${imageFile.mimetype}` });
+    }
+
+    let options;
+    try {
+      options = readSignatureOptions(req.body);
+    } catch (err) {
+      console.log('Invalid signature options:', err.message);
+      await cleanup();
+      return res.status(400).json({ error: 'Invalid signature options', details: err.message });
+    }
+
+    // The key never needs to stay on disk once it has been read
+    let credentials;
+    try {
+      credentials = loadPkcs12(await fsp.readFile(certificateFile.path), req.body.password || '');
+    } finally {
+      await fsp.unlink(certificateFile.path).catch(e => console.error('Cleanup error:', e));
+      tempFiles.splice(tempFiles.indexOf(certificateFile.path), 1);
+    }
+
+    if (imageFile) {
+      try {
+        options.image = await sharp(imageFile.path, { density: 300 })
+          .rotate()
+          .resize({ width: 1000, height: 1000, fit: 'inside', withoutEnlargement: true })
+          .png()
+          .toBuffer();
+      } catch (err) {
+        console.error('Signature image error:', err);
+        await cleanup();
+        return res.status(400).json({ error: 'Could not read the signature image', details: err.message });
+      }
+    }
+
+    const result = await signPdf(await fsp.readFile(pdfFile.path), credentials, options);
+
+    const outputFilename = `signed-${Date.now()}.pdf`;
+    const outputPath = path.join(uploadDir, outputFilename);
+    await fsp.writeFile(outputPath, result.bytes);
+    await registerOutput(req, outputPath, 'signed', outputName(pdfFile.originalname, 'signed', '.pdf'));
+
+    await cleanup();
+    console.log(`Signed ${pdfFile.originalname} as ${result.signer} (field ${result.fieldName}): ${outputPath}`);
+
+    res.json({
+      success: true,
+      message: `PDF signed by ${result.signer}`,
+      originalFile: pdfFile.originalname,
+      signature: {
+        field: result.fieldName,
+        signer: result.signer,
+        signedAt: result.signedAt,
+        page: result.page,
+        visible: result.visible,
+        reason: options.reason,
+        location: options.location,
+        format: 'PAdES (ETSI.CAdES.detached)'
+      },
+      url: createDownloadUrl(outputPath, { owner: req.user?.id })
+    });
+  } catch (error) {
+    console.error('Sign PDF error:', error.message);
+    await cleanup();
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to sign PDF',
+      details: error.message
+    });
+  }
+};
+
+// Verify PDF function: list signatures, signers and whether each one
+// still matches the bytes it signed
+const verifyPDF = async (req, res) => {
+  try {
+    console.log('Verify PDF request received');
+    if (!req.file) {
+      console.log('No file uploaded');
+      return res.status(400).json({ error: 'No PDF file uploaded' });
+    }
+
+    if (!req.file.mimetype.includes('pdf')) {
+      console.log('Invalid file type:', req.file.mimetype);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Only PDF files are allowed' });
+    }
+
+    const signatures = await verifySignatures(await fsp.readFile(req.file.path));
+    await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+
+    const signed = signatures.filter(signature => signature.signed);
+    console.log(`Found ${signed.length} signatures in ${req.file.originalname}`);
+
+    res.json({
+      success: true,
+      originalFile: req.file.originalname,
+      signatureCount: signed.length,
+      allIntact: signed.length > 0 && signed.every(signature => signature.intact),
+      // Only the last signature can cover the whole file; anything after it
+      // was added once the document was signed
+      modifiedAfterLastSignature: signed.length > 0 && !signed.some(signature => signature.coversWholeDocument),
+      trustVerified: false,
+      signatures
+    });
+  } catch (error) {
+    console.error('Verify PDF error:', error.message);
+    if (req.file) {
+      await fsp.unlink(req.file.path).catch(() => {});
+    }
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to verify PDF signatures',
+      details: error.message
+    });
+  }
+};
+
+// Download PDF function
+const downloadFile = async (req, res) => {
+  try {
+    const token = req.params.token || req.query.token;
+    if (!token) {
+      return res.status(400).send('Download token is missing');
+    }
+
+    // Only signed tokens are accepted, never raw paths
+    let download;
+    try {
+      download = verifyDownloadToken(token);
+    } catch (err) {
+      console.log('Download token rejected:', err.message);
+      return res.status(err.statusCode || 400).send(err.message);
+    }
+
+    const absolutePath = path.join(uploadDir, download.key);
+    console.log('Download request for file:', download.key);
+
+    // The file must still be registered to the user the link was issued
+    // for, and to the caller when the request is authenticated
+    if (!isOwnedBy(absolutePath, download.owner) || (req.user && req.user.id !== download.owner)) {
+      console.log('Download denied, file not owned by token owner:', download.key);
+      return res.status(404).send('File not found');
+    }
+
+    try {
+      await fsp.access(absolutePath, fs.constants.R_OK); // Check if file exists and is readable
+    } catch (err) {
+      console.error('File not accessible:', err);
+      return res.status(404).send('File not found');
+    }
+
+    console.log('Sending file:', download.key);
+    res.download(absolutePath, download.filename, {
+      headers: { 'Cache-Control': 'private, no-store' }
+    }, (err) => {
+      if (err) {
+        console.error('Download failed:', err);
+        if (!res.headersSent) {
+          res.status(500).send('Error downloading file');
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Download error:', error);
+    res.status(500).send('Error downloading file');
+  }
+};
+
+// PDF Compression function
+const compressPDF = async (req, res) => {
+  try {
+    console.log('Compress PDF request received');
+    if (!req.file) {
+      console.log('No file uploaded');
+      return res.status(400).json({ error: 'No PDF file uploaded' });
+    }
+
+    console.log(`Processing file for compression: ${req.file.originalname} (${req.file.size} bytes)`);
+
+    // Validate PDF file
+    if (!req.file.mimetype.includes('pdf')) {
+      console.log('Invalid file type:', req.file.mimetype);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Only PDF files are allowed' });
+    }
+
+    // Get the compression level from request (default to medium if not specified)
+    const compressionLevel = req.body.compressionLevel || 'medium';
+    console.log(`Compression level requested: ${compressionLevel}`);
+
+    if (!Object.hasOwn(COMPRESSION_LEVELS, compressionLevel)) {
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({
+        error: 'Invalid compression level',
+        details: `Use one of: ${Object.keys(COMPRESSION_LEVELS).join(', ')}`
+      });
+    }
+
+    // Optional overrides for the level's image settings
+    const targetDpi = parseInt(req.body.targetDpi) || undefined;
+    const imageQuality = parseInt(req.body.imageQuality) || undefined;
+    if ((targetDpi && (targetDpi < 36 || targetDpi > 600)) || (imageQuality && (imageQuality < 1 || imageQuality > 100))) {
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({
+        error: 'Invalid compression options',
+        details: 'targetDpi must be between 36 and 600 and imageQuality between 1 and 100'
+      });
+    }
+
+    const stripMetadataRequested = req.body.stripMetadata === true || req.body.stripMetadata === 'true';
+    const progress = progressFor(req);
+
+    try {
+      // Get file stats for original size
+      const fileStats = await fsp.stat(req.file.path);
+      const originalSizeKB = Math.round(fileStats.size / 1024);
+
+      // Define output path
+      const outputFilename = `compressed-${Date.now()}.pdf`;
+      const outputPath = path.join(uploadDir, outputFilename);
+
+      // Read the original PDF file
+      const pdfBytes = await fsp.readFile(req.file.path);
+      let outputBytes = pdfBytes;
+      let report = null;
+      let note;
+
+      try {
+        // Encrypted PDFs can't be rewritten without their password, so they
+        // are rejected here and returned unchanged below
+        progress.update({ stage: 'loading', message: 'Reading PDF structure' });
+        const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+
+        // Metadata is kept unless the caller asks for it to be removed
+        if (stripMetadataRequested) {
+          stripMetadata(pdfDoc);
+        }
+
+        // Downsample and re-encode images, merge duplicate fonts and drop
+        // unreachable objects
+        progress.update({ stage: 'compressing', message: 'Re-encoding images' });
+        report = await compressDocument(pdfDoc, compressionLevel, { targetDpi, quality: imageQuality });
+
+        progress.update({ stage: 'saving', message: 'Writing compressed PDF' });
+        const compressedBytes = await pdfDoc.save({
+          useObjectStreams: true,
+          addDefaultPage: false,
+          objectsPerStream: 100
+        });
+
+        // Make sure the result is still a readable PDF before using it
+        await PDFDocument.load(compressedBytes, { updateMetadata: false });
+
+        // Only replace if the compressed version is actually smaller, or
+        // if the metadata has to go either way
+        if (compressedBytes.length < pdfBytes.length || stripMetadataRequested) {
+          outputBytes = Buffer.from(compressedBytes);
+          console.log('Compression successful, using the compressed version');
+        } else {
+          console.log('Compressed version is larger, keeping the original');
+        }
+      } catch (pdfError) {
+        console.log('Error processing PDF with pdf-lib:', pdfError.message);
+        note = pdfError.message.includes('encrypted')
+          ? 'Encrypted PDFs cannot be compressed, remove the password first'
+          : 'PDF structure could not be processed';
+      }
+
+      await fsp.writeFile(outputPath, outputBytes);
+      await registerOutput(req, outputPath, 'compressed', outputName(req.file.originalname, 'compressed', '.pdf'));
+
+      // Get final compressed file stats
+      const compressedSizeKB = Math.round(outputBytes.length / 1024);
+      const compressionRatio = Math.round((1 - (outputBytes.length / fileStats.size)) * 100);
+
+      // Clean up original uploaded file
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+
+      console.log(`Compression results: Original: ${originalSizeKB}KB, Compressed: ${compressedSizeKB}KB, Ratio: ${compressionRatio}%`);
+
+      const recompressed = report ? report.images.filter(image => image.action === 'recompressed') : [];
+
+      return res.json({
+        success: true,
+        message: note
+          ? `PDF could not be compressed but is available for download (${note})`
+          : compressionRatio > 0
+            ? `PDF compressed successfully - reduced by ${compressionRatio}%`
+            : 'PDF processed successfully (no size reduction achieved)',
+        originalFile: req.file.originalname,
+        originalSize: originalSizeKB,
+        compressedSize: compressedSizeKB,
+        compressionRatio: Math.max(0, compressionRatio),
+        compressionLevel,
+        metadataStripped: outputBytes !== pdfBytes && stripMetadataRequested,
+        url: createDownloadUrl(outputPath, { owner: req.user?.id }),
+        report: report && {
+          targetDpi: report.settings.targetDpi,
+          imageQuality: report.settings.quality,
+          imagesFound: report.images.length,
+          imagesRecompressed: recompressed.length,
+          imageBytesSaved: recompressed.reduce((sum, image) => sum + image.savedBytes, 0),
+          duplicateFontObjectsRemoved: report.duplicateFontObjects,
+          unusedObjectsRemoved: report.unusedObjects,
+          images: report.images
+        }
+      });
+
+    } catch (err) {
+      console.error('PDF compression error:', err);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(500).json({
+        error: 'Failed to process PDF',
+        details: err.message
+      });
+    }
+
+  } catch (error) {
+    console.error('PDF compression handler error:', {
+      message: error.message,
+      stack: error.stack,
+      file: req.file ? req.file.path : 'No file'
+    });
+    res.status(500).json({
+      error: 'Failed to compress PDF',
+      details: error.message
+    });
+  }
+};
+
+// Page sizes for image to PDF, in points
+const IMAGE_PAGE_SIZES = {
+  a3: [842, 1191],
+  a4: [595, 842],
+  a5: [420, 595],
+  letter: [612, 792],
+  legal: [612, 1008]
+};
+const IMAGE_FIT_MODES = ['contain', 'cover', 'stretch', 'original'];
+const LENGTH_UNITS = { pt: 1, mm: 72 / 25.4, cm: 72 / 2.54, in: 72 };
+
+// Read a length such as "36", "10mm", "0.5in" or "2cm" into points
+const parseLength = (value, name, { min = 0, max = 14400 } = {}) => {
+  const match = /^(\d+(?:\.\d+)?)\s*(pt|mm|cm|in)?$/i.exec(String(value).trim());
+  const points = match ? Number(match[1]) * LENGTH_UNITS[(match[2] || 'pt').toLowerCase()] : NaN;
+  if (!(points >= min && points <= max)) {
+    throw new Error(`${name} must be a length between ${min} and ${max}pt, e.g. 36, 10mm or 0.5in`);
+  }
+  return points;
+};
+
+// Read and validate the image to PDF layout options
+//   pageSize     a3, a4, a5, letter, legal, auto (each image's own size)
+//                or WxH with a unit, e.g. 210x297mm, 4x6in
+//   orientation  portrait, landscape or auto (follow the first image on the page)
+//   fit          contain, cover (fill and crop), stretch or original (natural size)
+//   margin       one to four lengths like CSS: "36", "10mm 5mm", "1in 0.5in 1in 0.5in"
+//   layout       columns x rows per page, e.g. 2x2 for a contact sheet
+//   gap          space between grid cells
+const readImageLayoutOptions = (body) => {
+  const sizeSpec = String(body.pageSize || 'a4').trim().toLowerCase();
+  let pageSize;
+  if (sizeSpec === 'auto') {
+    pageSize = 'auto';
+  } else if (Object.hasOwn(IMAGE_PAGE_SIZES, sizeSpec)) {
+    pageSize = IMAGE_PAGE_SIZES[sizeSpec];
+  } else {
+    const match = /^(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)\s*(pt|mm|cm|in)?$/.exec(sizeSpec);
+    if (!match) {
+      throw new Error(`pageSize must be one of ${Object.keys(IMAGE_PAGE_SIZES).join(', ')}, auto, or a size like 210x297mm`);
+    }
+    const unit = match[3] || 'pt';
+    pageSize = [
+      parseLength(`${match[1]}${unit}`, 'Page width', { min: 72 }),
+      parseLength(`${match[2]}${unit}`, 'Page height', { min: 72 })
+    ];
+  }
+
+  const orientation = String(body.orientation || 'portrait').toLowerCase();
+  if (!['portrait', 'landscape', 'auto'].includes(orientation)) {
+    throw new Error('orientation must be portrait, landscape or auto');
+  }
+
+  const fit = String(body.fit || 'contain').toLowerCase();
+  if (!IMAGE_FIT_MODES.includes(fit)) {
+    throw new Error(`fit must be one of ${IMAGE_FIT_MODES.join(', ')}`);
+  }
+
+  // Pages sized to the image have no margin unless asked for
+  const marginSpec = body.margin === undefined || body.margin === '' ? (pageSize === 'auto' ? '0' : '36') : String(body.margin);
+  const sides = marginSpec.trim().split(/\s+/).map(value => parseLength(value, 'margin', { max: 1440 }));
+  if (sides.length > 4) {
+    throw new Error('margin takes one to four lengths');
+  }
+  const [top, right = top, bottom = top, left = right] = sides;
+
+  const layoutMatch = /^(\d+)\s*x\s*(\d+)$/i.exec(String(body.layout || '1x1').trim());
+  const columns = layoutMatch ? Number(layoutMatch[1]) : 0;
+  const rows = layoutMatch ? Number(layoutMatch[2]) : 0;
+  if (!(columns >= 1 && columns <= 10 && rows >= 1 && rows <= 10)) {
+    throw new Error('layout must be columns x rows between 1x1 and 10x10, e.g. 2x2');
+  }
+  if (pageSize === 'auto' && columns * rows > 1) {
+    throw new Error('pageSize auto places one image per page, pick a page size for grid layouts');
+  }
+
+  return {
+    pageSize,
+    orientation,
+    fit,
+    margin: { top, right, bottom, left },
+    columns,
+    rows,
+    gap: body.gap === undefined || body.gap === '' ? 12 : parseLength(body.gap, 'gap', { max: 1440 })
+  };
+};
 
-        res.json({
-          success: true,
-          message: "PDF could not be compressed but is available for download",
-          originalFile: req.file.originalname,
-          originalSize: originalSizeKB,
-          compressedSize: originalSizeKB,
-          compressionRatio: 0,
-          url: `/uploads/${outputFilename}`,
-          fullPath: path.resolve(outputPath)
-        });
-      }
+const MAX_IMAGE_FRAMES = 200;
 
-    } catch (err) {
-      console.error('PDF compression error:', err);
+// Load an image for PDFKit, one entry per frame: every page of a
+// multi-page TIFF and every frame of an animated GIF becomes its own image.
+// EXIF orientation is applied so phone photos are upright, and formats
+// PDFKit can't embed (it takes JPEG and PNG) are transcoded with sharp.
+// Throws a message saying why when the file can't be used.
+const prepareImageFrames = async (file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.path).metadata();
+  } catch (err) {
+    throw new Error(`Not a readable image: ${err.message}`);
+  }
 
-      // If compression fails completely, try fallback to simple copy
-      try {
-        console.log('All compression methods failed, using fallback copy method');
-        const outputFilename = `compressed-${Date.now()}.pdf`;
-        const outputPath = path.join(uploadDir, outputFilename);
+  const frameCount = metadata.pages || 1;
+  if (frameCount > MAX_IMAGE_FRAMES) {
+    throw new Error(`Image has ${frameCount} frames, at most ${MAX_IMAGE_FRAMES} are supported`);
+  }
 
-        // Simply copy the file as fallback
-        await fsp.copyFile(req.file.path, outputPath);
+  const rotated = (metadata.orientation || 1) !== 1;
+  // Natural size uses the image's own resolution, 72 DPI when it has none
+  const dpi = metadata.density && metadata.density >= 72 ? metadata.density : 72;
 
-        const fileStats = await fsp.stat(req.file.path);
-        const originalSizeKB = Math.round(fileStats.size / 1024);
+  // Single-frame JPEG and PNG go in as they are
+  if (frameCount === 1 && !rotated && (metadata.format === 'jpeg' || metadata.format === 'png')) {
+    return [{ source: file.path, width: metadata.width, height: metadata.height, dpi, format: metadata.format, orientationCorrected: false }];
+  }
 
-        // Clean up original uploaded file
-        await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+  // Photos stay JPEG, everything else (scans, fax pages, GIF frames) is
+  // converted losslessly to PNG
+  const asJpeg = metadata.format === 'jpeg' || (metadata.format === 'heif' && !metadata.hasAlpha);
 
-        res.json({
-          success: true,
-          message: "PDF could not be compressed but is available for download",
-          originalFile: req.file.originalname,
-          originalSize: originalSizeKB,
-          compressedSize: originalSizeKB,
-          compressionRatio: 0,
-          url: `/uploads/${outputFilename}`,
-          fullPath: path.resolve(outputPath)
-        });
-      } catch (fallbackErr) {
-        console.error('Fallback method failed:', fallbackErr);
-        await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
-        return res.status(500).json({
-          error: 'Failed to process PDF',
-          details: err.message
-        });
+  const frames = [];
+  for (let page = 0; page < frameCount; page++) {
+    const image = sharp(file.path, { page }).rotate();
+    let output;
+    try {
+      output = await (asJpeg ? image.jpeg({ quality: 92 }) : image.png()).toBuffer({ resolveWithObject: true });
+    } catch (err) {
+      // Prebuilt sharp only decodes AV1 coded HEIF (AVIF), not the HEVC
+      // that iPhone HEIC photos use
+      if (metadata.format === 'heif' && metadata.compression === 'hevc') {
+        throw new Error('HEIC image uses HEVC compression, which the server\'s image library cannot decode');
       }
+      throw new Error(`Could not decode ${metadata.format} image${frameCount > 1 ? ` frame ${page + 1}` : ''}: ${err.message}`);
     }
 
-  } catch (error) {
-    console.error('PDF compression handler error:', {
-      message: error.message,
-      stack: error.stack,
-      file: req.file ? req.file.path : 'No file'
-    });
-    res.status(500).json({
-      error: 'Failed to compress PDF',
-      details: error.message
+    frames.push({
+      source: output.data,
+      width: output.info.width,
+      height: output.info.height,
+      dpi,
+      format: metadata.format,
+      orientationCorrected: rotated,
+      ...(frameCount > 1 && { frame: page + 1, frames: frameCount })
     });
   }
+  return frames;
+};
+
+// Draw an image into a cell (x, y from the top left, in points)
+const drawImageInCell = (pdfDoc, image, cell, fit) => {
+  let width;
+  let height;
+  if (fit === 'stretch') {
+    width = cell.width;
+    height = cell.height;
+  } else if (fit === 'original') {
+    width = image.width * 72 / image.dpi;
+    height = image.height * 72 / image.dpi;
+  } else {
+    const scaleX = cell.width / image.width;
+    const scaleY = cell.height / image.height;
+    const scale = fit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    width = image.width * scale;
+    height = image.height * scale;
+  }
+
+  // Centered, and clipped to the cell when it overflows (cover, or an
+  // original size larger than the cell)
+  const x = cell.x + (cell.width - width) / 2;
+  const y = cell.y + (cell.height - height) / 2;
+  const overflows = width > cell.width + 0.01 || height > cell.height + 0.01;
+
+  pdfDoc.save();
+  if (overflows) {
+    pdfDoc.rect(cell.x, cell.y, cell.width, cell.height).clip();
+  }
+  pdfDoc.image(image.source, x, y, { width, height });
+  pdfDoc.restore();
 };
 
 // Image to PDF function
@@ -639,9 +2268,11 @@ const imageToPDF = async (req, res) => {
 
     console.log(`Processing ${req.files.length} images for conversion to PDF`);
 
-    // Validate all files are images
+    // Validate all files are images. Some clients send HEIC/HEIF without an
+    // image type, so those are recognised by extension as well
     for (const file of req.files) {
-      if (!file.mimetype.startsWith('image/')) {
+      const heifByName = /\.(heic|heif)$/i.test(file.originalname);
+      if (!file.mimetype.startsWith('image/') && !heifByName) {
         console.log('Invalid file type:', file.mimetype);
         // Clean up uploaded files
         await Promise.all(req.files.map(f =>
@@ -652,9 +2283,17 @@ const imageToPDF = async (req, res) => {
     }
 
     // Get PDF settings from request
-    const pageSize = req.body.pageSize || 'a4';
-    const orientation = req.body.orientation || 'portrait';
-    console.log(`PDF settings: Size=${pageSize}, Orientation=${orientation}`);
+    let layout;
+    try {
+      layout = readImageLayoutOptions(req.body);
+    } catch (validationError) {
+      await Promise.all(req.files.map(f =>
+        fsp.unlink(f.path).catch(e => console.error('Cleanup error:', e))
+      ));
+      return res.status(400).json({ error: 'Invalid layout options', details: validationError.message });
+    }
+    const { pageSize, orientation, fit, margin, columns, rows, gap } = layout;
+    console.log(`PDF settings: Size=${req.body.pageSize || 'a4'}, Orientation=${orientation}, Fit=${fit}, Layout=${columns}x${rows}`);
 
     // Collect and order files
     const orderedFiles = [];
@@ -669,118 +2308,96 @@ const imageToPDF = async (req, res) => {
     // Sort files by their order index
     orderedFiles.sort((a, b) => a.order - b.order);
 
-    // Define page dimensions in points (72 points per inch)
-    let pageWidth, pageHeight;
-
-    switch (pageSize.toLowerCase()) {
-      case 'a4':
-        pageWidth = 595;  // 8.27 x 11.69 inches
-        pageHeight = 842;
-        break;
-      case 'letter':
-        pageWidth = 612;  // 8.5 x 11 inches
-        pageHeight = 792;
-        break;
-      case 'legal':
-        pageWidth = 612;  // 8.5 x 14 inches
-        pageHeight = 1008;
-        break;
-      case 'a3':
-        pageWidth = 842;  // 11.69 x 16.54 inches
-        pageHeight = 1191;
-        break;
-      case 'a5':
-        pageWidth = 420;  // 5.83 x 8.27 inches
-        pageHeight = 595;
-        break;
-      default:
-        pageWidth = 595;
-        pageHeight = 842;
-    }
-
-    // Swap dimensions if landscape orientation
-    if (orientation.toLowerCase() === 'landscape') {
-      [pageWidth, pageHeight] = [pageHeight, pageWidth];
-    }
-
     // Create the output PDF file
     const outputFilename = `image-pdf-${Date.now()}.pdf`;
     const outputPath = path.join(uploadDir, outputFilename);
-    const absolutePath = path.resolve(outputPath);
-
-    // Create a new PDF document using PDFKit
-    const pdfDoc = new PDFKit({
-      size: [pageWidth, pageHeight],
-      autoFirstPage: false,
-      margin: 0
-    });
 
-    // Pipe the PDF document to a write stream
-    const writeStream = fs.createWriteStream(outputPath);
-    pdfDoc.pipe(writeStream);
-
-    const tempFiles = [];
+    const tempFiles = req.files.map(file => file.path);
     const imageDetails = [];
+    const skipped = [];
 
     try {
-      // Process each image
+      // Read every image first, unreadable ones are skipped
+      const images = [];
       for (const { file } of orderedFiles) {
         try {
           console.log(`Processing image: ${file.originalname}`);
+          const frames = await prepareImageFrames(file);
+          images.push(...frames.map(frame => ({ file, ...frame })));
+        } catch (err) {
+          console.error(`Skipping image ${file.originalname}:`, err.message);
+          skipped.push({ name: file.originalname, error: err.message });
+        }
+      }
 
-          // Get image dimensions and format using Sharp
-          const imageInfo = await sharp(file.path).metadata();
-
-          // Track file for cleanup
-          tempFiles.push(file.path);
-
-          // Add a new page for each image
-          pdfDoc.addPage({ size: [pageWidth, pageHeight], margin: 0 });
-
-          // Calculate dimensions to fit image proportionally within page
-          const imgWidth = imageInfo.width;
-          const imgHeight = imageInfo.height;
+      if (images.length === 0) {
+        await Promise.all(tempFiles.map(file => fsp.unlink(file).catch(() => {})));
+        return res.status(400).json({ error: 'None of the images could be read', details: skipped });
+      }
 
-          // Add margins (0.5 inch on each side)
-          const margin = 36; // 0.5 inch in points
-          const maxWidth = pageWidth - (margin * 2);
-          const maxHeight = pageHeight - (margin * 2);
+      // Lay out every page before anything is written, so a layout that
+      // doesn't fit is rejected without leaving a partial output behind
+      const perPage = columns * rows;
+      const pages = [];
+      for (let first = 0; first < images.length; first += perPage) {
+        const pageImages = images.slice(first, first + perPage);
+
+        let pageWidth;
+        let pageHeight;
+        if (pageSize === 'auto') {
+          pageWidth = pageImages[0].width * 72 / pageImages[0].dpi + margin.left + margin.right;
+          pageHeight = pageImages[0].height * 72 / pageImages[0].dpi + margin.top + margin.bottom;
+        } else {
+          [pageWidth, pageHeight] = pageSize;
+          const landscape = orientation === 'auto'
+            ? pageImages[0].width > pageImages[0].height
+            : orientation === 'landscape';
+          if (landscape !== pageWidth > pageHeight) {
+            [pageWidth, pageHeight] = [pageHeight, pageWidth];
+          }
+        }
 
-          // Calculate scaled dimensions while preserving aspect ratio
-          let scaledWidth = imgWidth;
-          let scaledHeight = imgHeight;
+        const cellWidth = (pageWidth - margin.left - margin.right - gap * (columns - 1)) / columns;
+        const cellHeight = (pageHeight - margin.top - margin.bottom - gap * (rows - 1)) / rows;
+        if (!(cellWidth >= 1 && cellHeight >= 1)) {
+          throw Object.assign(new Error('Margins and gaps leave no room for the images'), { statusCode: 400 });
+        }
+        pages.push({ pageImages, pageWidth, pageHeight, cellWidth, cellHeight });
+      }
 
-          // Scale down if image is larger than page
-          const widthRatio = maxWidth / imgWidth;
-          const heightRatio = maxHeight / imgHeight;
-          const scale = Math.min(widthRatio, heightRatio, 1);
+      // Create a new PDF document using PDFKit
+      const pdfDoc = new PDFKit({ autoFirstPage: false, margin: 0 });
 
-          scaledWidth = imgWidth * scale;
-          scaledHeight = imgHeight * scale;
+      // Pipe the PDF document to a write stream
+      const writeStream = fs.createWriteStream(outputPath);
+      pdfDoc.pipe(writeStream);
 
-          // Center the image on page
-          const x = (pageWidth - scaledWidth) / 2;
-          const y = (pageHeight - scaledHeight) / 2;
+      let pageCount = 0;
+      for (const { pageImages, pageWidth, pageHeight, cellWidth, cellHeight } of pages) {
+        pdfDoc.addPage({ size: [pageWidth, pageHeight], margin: 0 });
+        pageCount++;
 
-          // Use PDFKit's image() method to add the image
-          pdfDoc.image(file.path, x, y, {
-            width: scaledWidth,
-            height: scaledHeight
-          });
+        pageImages.forEach((image, slot) => {
+          const cell = {
+            x: margin.left + (slot % columns) * (cellWidth + gap),
+            y: margin.top + Math.floor(slot / columns) * (cellHeight + gap),
+            width: cellWidth,
+            height: cellHeight
+          };
+          drawImageInCell(pdfDoc, image, cell, fit);
 
           // Track image details for response
           imageDetails.push({
-            name: file.originalname,
-            originalSize: file.size,
-            dimensions: `${imageInfo.width}x${imageInfo.height}`,
-            format: imageInfo.format,
-            pageSize: `${pageWidth}x${pageHeight}`
+            name: image.file.originalname,
+            originalSize: image.file.size,
+            dimensions: `${image.width}x${image.height}`,
+            format: image.format,
+            ...(image.frame && { frame: image.frame, frames: image.frames }),
+            orientationCorrected: image.orientationCorrected,
+            page: pageCount,
+            pageSize: `${Math.round(pageWidth * 100) / 100}x${Math.round(pageHeight * 100) / 100}`
           });
-
-        } catch (err) {
-          console.error(`Error processing image ${file.originalname}:`, err);
-          // Continue processing other images
-        }
+        });
       }
 
       // Finalize the PDF
@@ -792,11 +2409,13 @@ const imageToPDF = async (req, res) => {
         writeStream.on('error', reject);
       });
 
+      await registerOutput(req, outputPath, 'image-pdf', outputName(orderedFiles[0].file.originalname, '', '.pdf'));
+
       console.log('Successfully created PDF from images:', {
-        outputPath: absolutePath,
+        outputPath,
         sourceFiles: imageDetails.length,
-        pageSize,
-        orientation
+        pages: pageCount,
+        fit
       });
 
       // Clean up temporary image files, but keep the generated PDF
@@ -809,14 +2428,18 @@ const imageToPDF = async (req, res) => {
       );
 
       res.json({
-        fullPath: absolutePath,
-        url: `/uploads/${outputFilename}`,
-        message: `Successfully created PDF with ${imageDetails.length} images`,
+        url: createDownloadUrl(outputPath, { owner: req.user?.id }),
+        message: `Successfully created PDF with ${imageDetails.length} images${skipped.length > 0 ? `, ${skipped.length} skipped` : ''}`,
         details: {
-          totalPages: imageDetails.length,
+          totalPages: pageCount,
           fileCount: req.files.length,
-          pageSize,
-          orientation
+          pageSize: req.body.pageSize || 'a4',
+          orientation,
+          fit,
+          layout: `${columns}x${rows}`,
+          margin,
+          images: imageDetails,
+          ...(skipped.length > 0 && { skipped })
         }
       });
 
@@ -851,7 +2474,7 @@ const imageToPDF = async (req, res) => {
       }))
     });
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Image to PDF conversion failed',
       details: error.message,
       suggestion: 'Please ensure all files are valid images and try again'
@@ -859,6 +2482,90 @@ const imageToPDF = async (req, res) => {
   }
 };
 
+const PDF_IMAGE_FORMATS = ['png', 'jpeg', 'jpg', 'webp', 'tiff', 'tif'];
+const PDF_IMAGE_COLOR_MODES = ['color', 'grayscale', 'bw'];
+// low/medium/high set the resolution and the JPEG/WebP quality, dpi
+// overrides the resolution
+const PDF_IMAGE_QUALITY_PRESETS = {
+  low: { dpi: 72, quality: 60 },
+  medium: { dpi: 150, quality: 80 },
+  high: { dpi: 300, quality: 95 }
+};
+const MAX_RENDER_DPI = 600;
+// Pages that would be larger than this at the requested DPI are rendered
+// at a lower one
+const MAX_RENDER_PIXELS = 40000000;
+
+// Read and validate the output options for pdfToImage
+const readPdfImageOptions = (body) => {
+  const extension = String(body.imageFormat || 'png').toLowerCase();
+  if (!PDF_IMAGE_FORMATS.includes(extension)) {
+    throw new Error(`imageFormat must be one of ${PDF_IMAGE_FORMATS.join(', ')}`);
+  }
+  const format = { jpg: 'jpeg', tif: 'tiff' }[extension] || extension;
+
+  const preset = String(body.imageQuality || 'medium').toLowerCase();
+  if (!Object.hasOwn(PDF_IMAGE_QUALITY_PRESETS, preset)) {
+    throw new Error(`imageQuality must be one of ${Object.keys(PDF_IMAGE_QUALITY_PRESETS).join(', ')}`);
+  }
+  const { quality } = PDF_IMAGE_QUALITY_PRESETS[preset];
+  const dpi = parseNumberOption(body.dpi, { name: 'dpi', min: 24, max: MAX_RENDER_DPI, integer: true, fallback: PDF_IMAGE_QUALITY_PRESETS[preset].dpi });
+
+  const colorMode = String(body.colorMode || 'color').toLowerCase();
+  if (!PDF_IMAGE_COLOR_MODES.includes(colorMode)) {
+    throw new Error(`colorMode must be one of ${PDF_IMAGE_COLOR_MODES.join(', ')}`);
+  }
+  // Gray level (0-255) below which a pixel turns black in bw mode
+  const threshold = parseNumberOption(body.threshold, { name: 'threshold', min: 1, max: 254, integer: true, fallback: 128 });
+
+  const transparent = body.transparent === true || body.transparent === 'true';
+  if (transparent && format !== 'png') {
+    throw new Error('transparent is only supported for PNG output');
+  }
+  if (transparent && colorMode === 'bw') {
+    throw new Error('transparent cannot be combined with colorMode bw');
+  }
+
+  return { format, extension, preset, quality, dpi, colorMode, threshold, transparent, pages: body.pages };
+};
+
+// Encode a rendered page (a sharp image) with the requested format and
+// colour mode, tagged with the DPI it was rendered at where possible. Grey
+// pages are stored as single-channel images, black-and-white ones as 1-bit
+// images where the format has them: a two-colour PNG palette, CCITT
+// Group 4 in TIFF.
+const encodePageImage = (image, options, dpi) => {
+  // withMetadata() records the DPI but also converts to sRGB, so grey and
+  // black-and-white pages go without it. TIFF takes the DPI as an option.
+  const keepsColor = options.colorMode === 'color';
+  let output = keepsColor && options.format !== 'tiff' ? image.withMetadata({ density: dpi }) : image;
+  if (!options.transparent) {
+    output = output.flatten({ background: '#ffffff' });
+  }
+  if (options.colorMode === 'grayscale') {
+    output = output.toColourspace('b-w');
+  } else if (options.colorMode === 'bw') {
+    output = output.threshold(options.threshold).toColourspace('b-w');
+  }
+
+  const bw = options.colorMode === 'bw';
+  switch (options.format) {
+    case 'png':
+      return output.png(bw ? { palette: true, colours: 2 } : {}).toBuffer();
+    case 'webp':
+      return output.webp({ quality: options.quality }).toBuffer();
+    case 'tiff':
+      return output.tiff({
+        compression: bw ? 'ccittfax4' : 'lzw',
+        ...(bw && { bitdepth: 1 }),
+        xres: dpi / 25.4,
+        yres: dpi / 25.4
+      }).toBuffer();
+    default:
+      return output.jpeg({ quality: options.quality }).toBuffer();
+  }
+};
+
 // PDF to Image function
 const pdfToImage = async (req, res) => {
   try {
@@ -878,15 +2585,17 @@ const pdfToImage = async (req, res) => {
     }
 
     // Get conversion settings
-    const imageFormat = (req.body.imageFormat || 'png').toLowerCase();
-    const imageQuality = req.body.imageQuality || 'medium';
-
-    console.log(`Conversion settings: Format=${imageFormat}, Quality=${imageQuality}`);
+    let options;
+    try {
+      options = readPdfImageOptions(req.body);
+    } catch (validationError) {
+      console.log('Invalid conversion options:', validationError.message);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Invalid conversion options', details: validationError.message });
+    }
+    const imageFormat = options.extension;
 
-    // Map quality setting to numerical value
-    let quality = 80; // Default medium quality
-    if (imageQuality === 'low') quality = 60;
-    if (imageQuality === 'high') quality = 100;
+    console.log(`Conversion settings: Format=${options.format}, DPI=${options.dpi}, Quality=${options.preset}, Color=${options.colorMode}, Transparent=${options.transparent}`);
 
     // Verify file exists and is readable
     try {
@@ -917,6 +2626,28 @@ const pdfToImage = async (req, res) => {
       return res.status(400).json({ error: 'PDF has no pages to convert' });
     }
 
+    // Pages to convert, in the order given
+    let pageNumbers;
+    try {
+      pageNumbers = options.pages
+        ? [...new Set(parsePageRanges(options.pages, pageCount).flat())].map(index => index + 1)
+        : pdfDoc.getPages().map((page, index) => index + 1);
+    } catch (rangeError) {
+      console.log('Invalid page selection:', rangeError.message);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Invalid page selection', details: rangeError.message });
+    }
+
+    // Resolution per page, lowered for pages too large to render at the
+    // requested DPI
+    const dpiFor = (pageNumber) => {
+      const { width, height } = pdfDoc.getPage(pageNumber - 1).getSize();
+      const pixels = width * height * (options.dpi / 72) ** 2;
+      return pixels > MAX_RENDER_PIXELS
+        ? Math.floor(72 * Math.sqrt(MAX_RENDER_PIXELS / (width * height)))
+        : options.dpi;
+    };
+
     // Create timestamp for this batch
     const timestamp = Date.now();
     const batchDir = path.join(uploadDir, `pdf-images-${timestamp}`);
@@ -926,57 +2657,89 @@ const pdfToImage = async (req, res) => {
 
     const imageResults = [];
     const tempFiles = [req.file.path]; // Track original file for cleanup
+    const progress = progressFor(req);
 
-    try {
-      // Import packages needed for PDF rendering
-      const { createCanvas } = require('canvas');
-      const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+    // Package the images and send the response: one multi-page TIFF for
+    // TIFF output, a ZIP of the page images otherwise
+    const sendImages = async (extra = {}) => {
+      const settings = {
+        format: imageFormat,
+        quality: options.preset,
+        dpi: options.dpi,
+        colorMode: options.colorMode,
+        transparent: options.transparent,
+        pages: imageResults.map(image => image.pageNumber),
+        originalFile: req.file.originalname
+      };
+
+      if (options.format === 'tiff') {
+        progress.update({ stage: 'archiving', message: 'Creating multi-page TIFF' });
+        const tiffPath = path.join(uploadDir, `pdf-images-${timestamp}.${imageFormat}`);
+        tempFiles.push(tiffPath);
+        await writeMultiPageTiff(tiffPath, imageResults.map(image => image.filePath));
+        await fsp.rm(batchDir, { recursive: true, force: true });
+
+        console.log(`Created multi-page TIFF at ${tiffPath}`);
+        const filename = outputName(req.file.originalname, 'pages', `.${imageFormat}`);
+        await registerOutput(req, tiffPath, 'pdf-images', filename);
+        await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+
+        const { size } = await fsp.stat(tiffPath);
+        return res.json({
+          success: true,
+          message: `PDF converted to a ${imageResults.length}-page TIFF`,
+          images: withDownloadUrls(req, [{ filePath: tiffPath, filename, size, pageCount: imageResults.length }]),
+          pageDetails: imageResults.map(({ pageNumber, width, height, dpi }) => ({ pageNumber, width, height, dpi })),
+          ...settings,
+          ...extra
+        });
+      }
+
+      // Create a ZIP file with all images for bulk download
+      progress.update({ stage: 'archiving', message: 'Creating ZIP archive' });
+      const zipFilename = `pdf-images-${timestamp}.zip`;
+      const zipPath = path.join(uploadDir, zipFilename);
+      await createZip(zipPath, imageResults.map(image => ({ path: image.filePath, name: image.filename })));
+
+      console.log(`Created ZIP archive at ${zipPath}`);
+      await registerOutput(req, batchDir, 'pdf-images');
+      await registerOutput(req, zipPath, 'pdf-images', outputName(req.file.originalname, 'images', '.zip'));
 
-      // Initialize PDF.js
-      const pdfjsVersion = await pdfjs.version;
-      console.log(`Using PDF.js version: ${pdfjsVersion}`);
+      // The images are kept until the retention sweeper expires them, the
+      // uploaded PDF isn't needed anymore
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
 
-      // Set the PDF.js workerSrc
-      const pdfjsWorker = require('pdfjs-dist/legacy/build/pdf.worker.js');
+      res.json({
+        success: true,
+        message: `PDF converted to ${imageResults.length} images`,
+        images: withDownloadUrls(req, imageResults),
+        zipUrl: createDownloadUrl(zipPath, { owner: req.user?.id }),
+        ...settings,
+        ...extra
+      });
+    };
 
+    try {
       // Load the PDF document using PDF.js
-      const data = new Uint8Array(await fsp.readFile(req.file.path));
-      const loadingTask = pdfjs.getDocument({ data });
-      const pdf = await loadingTask.promise;
+      const pdf = await openPdf(await fsp.readFile(req.file.path));
 
-      console.log(`PDF loaded with ${pdf.numPages} pages`);
+      console.log(`PDF loaded with ${pdf.numPages} pages, converting ${pageNumbers.length}`);
 
       // Process each page
-      for (let i = 1; i <= pdf.numPages; i++) {
+      for (const [index, i] of pageNumbers.entries()) {
         try {
           console.log(`Processing page ${i}/${pdf.numPages}`);
+          progress.page('rendering', index + 1, pageNumbers.length);
 
-          // Get page
-          const page = await pdf.getPage(i);
-
-          // Calculate dimensions
-          const viewport = page.getViewport({ scale: quality / 72 }); // DPI to scale conversion
-
-          // Create canvas to render to
-          const canvas = createCanvas(viewport.width, viewport.height);
-          const context = canvas.getContext('2d');
-
-          // Render PDF page to canvas
-          await page.render({
-            canvasContext: context,
-            viewport: viewport
-          }).promise;
-
-          // Convert canvas to image
-          let imageBuffer;
-          if (imageFormat === 'png') {
-            imageBuffer = canvas.toBuffer('image/png');
-          } else if (imageFormat === 'webp') {
-            imageBuffer = canvas.toBuffer('image/webp', { quality: quality / 100 });
-          } else {
-            // Default to JPEG
-            imageBuffer = canvas.toBuffer('image/jpeg', { quality: quality / 100 });
+          // Render PDF page
+          const dpi = dpiFor(i);
+          if (dpi !== options.dpi) {
+            console.log(`Page ${i} is too large for ${options.dpi} DPI, rendering at ${dpi} DPI`);
           }
+          const { image, width, height } = await renderPage(pdf, i, { scale: dpi / 72, transparent: options.transparent });
+
+          // Convert rendered page to image
+          const imageBuffer = await encodePageImage(image, options, dpi);
 
           // Save the image
           const outputFilename = `page-${i}-${timestamp}.${imageFormat}`;
@@ -988,15 +2751,14 @@ const pdfToImage = async (req, res) => {
           const stats = await fsp.stat(outputPath);
 
           // Add to results
-          const fullPath = path.resolve(outputPath).replace(/\\/g, '/');
           imageResults.push({
-            fullPath: fullPath,
+            filePath: outputPath,
             pageNumber: i,
-            filename: outputFilename,
-            url: `/uploads/pdf-images-${timestamp}/${outputFilename}`,
+            filename: outputName(req.file.originalname, `page-${i}`, `.${imageFormat}`),
             size: stats.size,
-            width: viewport.width,
-            height: viewport.height
+            width,
+            height,
+            dpi
           });
 
         } catch (pageErr) {
@@ -1005,63 +2767,13 @@ const pdfToImage = async (req, res) => {
         }
       }
 
+      await pdf.destroy();
+
       if (imageResults.length === 0) {
         throw new Error('Failed to convert any pages to images');
       }
 
-      // Create a ZIP file with all images for bulk download
-      const archiver = require('archiver');
-      const zipFilename = `pdf-images-${timestamp}.zip`;
-      const zipPath = path.join(uploadDir, zipFilename);
-      const zipOutput = fs.createWriteStream(zipPath);
-      const archive = archiver('zip', {
-        zlib: { level: 9 } // Maximum compression
-      });
-
-      // Listen for all archive data to be written
-      await new Promise((resolve, reject) => {
-        zipOutput.on('close', resolve);
-        archive.on('error', reject);
-
-        // Pipe archive data to the output file
-        archive.pipe(zipOutput);
-
-        // Add each image to the archive
-        imageResults.forEach(image => {
-          archive.file(image.fullPath, { name: image.filename });
-        });
-
-        // Finalize the archive
-        archive.finalize();
-      });
-
-      console.log(`Created ZIP archive at ${zipPath}`);
-
-      // Clean up original PDF file after an hour
-      setTimeout(async () => {
-        console.log('Cleaning up temporary PDF file');
-        await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
-      }, 3600000); // 1 hour
-
-      // Clean up image folder after a day
-      setTimeout(async () => {
-        console.log('Cleaning up image directory');
-        await fs.rm(batchDir, { recursive: true, force: true }, (err) => {
-          if (err) console.error('Error deleting directory:', err);
-        });
-
-        await fsp.unlink(zipPath).catch(e => console.error('Cleanup error:', e));
-      }, 86400000); // 24 hours
-
-      res.json({
-        success: true,
-        message: `PDF converted to ${imageResults.length} images`,
-        images: imageResults,
-        zipUrl: `/uploads/${zipFilename}`,
-        format: imageFormat,
-        quality: imageQuality,
-        originalFile: req.file.originalname
-      });
+      await sendImages();
 
     } catch (error) {
       console.error('PDF to Image conversion error:', error);
@@ -1071,18 +2783,20 @@ const pdfToImage = async (req, res) => {
         console.log('Attempting fallback conversion method using PDF extraction');
 
         let pdfParsed = false;
+        imageResults.length = 0;
 
         // Try using pdf-parse as a last resort to extract at least some content
         try {
           const pdfParse = require('pdf-parse');
-          const dataBuffer = await fsp.readFile(req.file.path);
 
-          for (let i = 0; i < pageCount; i++) {
+          for (const [index, i] of pageNumbers.entries()) {
             try {
+              progress.page('extracting', index + 1, pageNumbers.length);
+
               // Extract single page as PDF
               // Fix: Create PDFDocument using pdf-lib
               const singlePagePdf = await PDFDocument.create();
-              const [copiedPage] = await singlePagePdf.copyPages(pdfDoc, [i]);
+              const [copiedPage] = await singlePagePdf.copyPages(pdfDoc, [i - 1]);
               singlePagePdf.addPage(copiedPage);
               const pdfBytes = await singlePagePdf.save();
 
@@ -1107,7 +2821,7 @@ const pdfToImage = async (req, res) => {
 
               // Add page info
               ctx.font = '24px Arial';
-              ctx.fillText(`Page ${i + 1} of ${pageCount}`, 50, y);
+              ctx.fillText(`Page ${i} of ${pageCount}`, 50, y);
               y += 50;
 
               // Add content
@@ -1125,38 +2839,30 @@ const pdfToImage = async (req, res) => {
               });
 
               // Save the image
-              const outputFilename = `page-${i + 1}-${timestamp}.${imageFormat}`;
+              const outputFilename = `page-${i}-${timestamp}.${imageFormat}`;
               const outputPath = path.join(batchDir, outputFilename);
 
-              let imageBuffer;
-              if (imageFormat === 'png') {
-                imageBuffer = canvas.toBuffer('image/png');
-              } else if (imageFormat === 'webp') {
-                imageBuffer = canvas.toBuffer('image/webp', { quality: quality / 100 });
-              } else {
-                imageBuffer = canvas.toBuffer('image/jpeg', { quality: quality / 100 });
-              }
-
+              const imageBuffer = await encodePageImage(sharp(canvas.toBuffer('image/png')), options, 72);
               await fsp.writeFile(outputPath, imageBuffer);
+              tempFiles.push(outputPath);
 
               // Get file stats
               const stats = await fsp.stat(outputPath);
 
               // Add to results
-              const fullPath = path.resolve(outputPath).replace(/\\/g, '/');
               imageResults.push({
-                fullPath: fullPath,
-                pageNumber: i + 1,
-                filename: outputFilename,
-                url: `/uploads/pdf-images-${timestamp}/${outputFilename}`,
+                filePath: outputPath,
+                pageNumber: i,
+                filename: outputName(req.file.originalname, `page-${i}`, `.${imageFormat}`),
                 size: stats.size,
                 width: canvas.width,
-                height: canvas.height
+                height: canvas.height,
+                dpi: 72
               });
 
               pdfParsed = true;
             } catch (pageErr) {
-              console.error(`Error processing page ${i + 1} in fallback:`, pageErr);
+              console.error(`Error processing page ${i} in fallback:`, pageErr);
             }
           }
         } catch (parseErr) {
@@ -1167,38 +2873,9 @@ const pdfToImage = async (req, res) => {
           throw new Error('All conversion methods failed');
         }
 
-        // Create ZIP file with all images
-        const archiver = require('archiver');
-        const zipFilename = `pdf-images-${timestamp}.zip`;
-        const zipPath = path.join(uploadDir, zipFilename);
-        const zipOutput = fs.createWriteStream(zipPath);
-        const archive = archiver('zip', {
-          zlib: { level: 9 } // Maximum compression
-        });
-
-        await new Promise((resolve, reject) => {
-          zipOutput.on('close', resolve);
-          archive.on('error', reject);
-
-          archive.pipe(zipOutput);
-
-          imageResults.forEach(image => {
-            archive.file(image.fullPath, { name: image.filename });
-          });
-
-          archive.finalize();
-        });
-
-        console.log(`Created ZIP archive with fallback method at ${zipPath}`);
-
-        res.json({
-          success: true,
+        console.log('Converted with fallback method');
+        await sendImages({
           message: `PDF converted to ${imageResults.length} images (simple extraction method used)`,
-          images: imageResults,
-          zipUrl: `/uploads/${zipFilename}`,
-          format: imageFormat,
-          quality: imageQuality,
-          originalFile: req.file.originalname,
           note: "Basic conversion was used. Images may show text only without formatting."
         });
 
@@ -1239,6 +2916,67 @@ const pdfToImage = async (req, res) => {
   }
 };
 
+const PRINT_LEVELS = ['full', 'low', 'none'];
+// qpdf's --modify levels, each one allowing everything the next one does
+const MODIFY_LEVELS = ['all', 'annotate', 'form', 'assembly', 'none'];
+const KEY_LENGTHS = [128, 256];
+
+const readPermissionFlag = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+  throw new Error(`${name} must be true or false`);
+};
+
+// Read and validate passwords, key length and permissions for protectPDF.
+// `password` is kept as the user password for older clients.
+const readProtectionOptions = (body) => {
+  const userPassword = body.userPassword ?? body.password ?? '';
+  let ownerPassword = body.ownerPassword ?? '';
+  if (typeof userPassword !== 'string' || typeof ownerPassword !== 'string') {
+    throw new Error('Passwords must be strings');
+  }
+  if (!userPassword && !ownerPassword) {
+    throw new Error('Give a password, userPassword or ownerPassword');
+  }
+  if (/[\r\n]/.test(userPassword + ownerPassword)) {
+    throw new Error('Passwords cannot contain line breaks');
+  }
+
+  // Without an owner password anyone who can open the file could lift the
+  // permissions, so a random one locks them in place
+  const ownerPasswordGenerated = !ownerPassword;
+  if (ownerPasswordGenerated) {
+    ownerPassword = crypto.randomBytes(24).toString('base64url');
+  }
+
+  const keyLength = parseNumberOption(body.keyLength, { name: 'keyLength', min: 128, max: 256, integer: true, fallback: 256 });
+  if (!KEY_LENGTHS.includes(keyLength)) {
+    throw new Error(`keyLength must be one of ${KEY_LENGTHS.join(', ')}`);
+  }
+
+  const print = String(body.print || 'full').toLowerCase();
+  if (!PRINT_LEVELS.includes(print)) {
+    throw new Error(`print must be one of ${PRINT_LEVELS.join(', ')}`);
+  }
+  const modify = String(body.modify || 'none').toLowerCase();
+  if (!MODIFY_LEVELS.includes(modify)) {
+    throw new Error(`modify must be one of ${MODIFY_LEVELS.join(', ')}`);
+  }
+
+  const permissions = { print, modify };
+  PERMISSION_FLAGS.forEach(flag => {
+    permissions[flag] = readPermissionFlag(body[flag], flag);
+  });
+  // Copying stays off and screen readers stay on unless asked otherwise
+  permissions.extract = permissions.extract ?? false;
+  permissions.accessibility = permissions.accessibility ?? true;
+
+  return { userPassword, ownerPassword, ownerPasswordGenerated, keyLength, permissions };
+};
+
 // PDF Protection function using qpdf
 const protectPDF = async (req, res) => {
   try {
@@ -1258,12 +2996,13 @@ const protectPDF = async (req, res) => {
       return res.status(400).json({ error: 'Only PDF files are allowed' });
     }
 
-    // Get password from request
-    const password = req.body.password;
-    if (!password) {
-      console.log('No password provided');
-      await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (no password):', e));
-      return res.status(400).json({ error: 'Password is required' });
+    let options;
+    try {
+      options = readProtectionOptions(req.body);
+    } catch (validationError) {
+      console.log('Invalid protection options:', validationError.message);
+      await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (invalid options):', e));
+      return res.status(400).json({ error: 'Invalid protection options', details: validationError.message });
     }
 
     // Create output filename and path
@@ -1274,76 +3013,68 @@ const protectPDF = async (req, res) => {
     await fsp.mkdir(uploadDir, { recursive: true });
 
     // --- qpdf execution ---
-    const qpdfPath = 'qpdf'; // Assumes qpdf is in the system PATH
-    const userPassword = password;
-    const ownerPassword = password; // qpdf uses the same password for owner unless specified differently, but we need to provide it twice
-    const keyLength = '128'; // Or '256'
-
-    // Define permissions for qpdf (modify, print, copy, annotate)
-    // 'y' = allow, 'n' = disallow
-    const permissions = {
-        modify: 'n',
-        print: 'full', // 'full', 'low', 'none'
-        copy: 'n',
-        annotate: 'n'
-    };
-
-    const qpdfArgs = [
-        '--encrypt',
-        userPassword,
-        ownerPassword, // Owner password
-        keyLength,
-        `--print=${permissions.print}`,
-        `--modify=${permissions.modify === 'y' ? 'all' : 'none'}`, // qpdf uses 'all' or 'none'
-        `--extract=${permissions.copy === 'y' ? 'y' : 'n'}`, // qpdf uses --extract for copy permission
-        `--use-aes=y`, // Explicitly use AES
-        '--', // End of options marker
-        inputFile,
-        outputPath
-    ];
+    const { userPassword, keyLength, permissions } = options;
+    const qpdfArgs = encryptArgs(options, inputFile, outputPath);
 
-    console.log(`Executing qpdf: ${qpdfPath} ${qpdfArgs.join(' ')}`);
+    // Passwords stay out of the log as well as the process list
+    console.log(`Encrypting with qpdf: ${keyLength}-bit AES, permissions ${JSON.stringify(permissions)}`);
 
+    let warnings = null;
     try {
-      const { stdout, stderr } = await execFilePromise(qpdfPath, qpdfArgs);
+      const { stdout, stderr } = await runQpdf(qpdfArgs);
 
       if (stderr) {
         console.warn('qpdf stderr:', stderr); // Log warnings but proceed if exit code is 0
       }
       console.log('qpdf stdout:', stdout);
-      console.log(`Successfully protected PDF with qpdf: ${outputPath}`);
-
-      // Clean up the original uploaded file
-      await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (success):', e));
-
-      // Return success response
-      return res.json({
-        success: true,
-        message: 'PDF protected successfully with password using qpdf',
-        originalFile: req.file.originalname,
-        fullPath: path.resolve(outputPath),
-        url: `/uploads/${outputFilename}`
-      });
-
     } catch (qpdfError) {
-      console.error('Error executing qpdf:', {
-          message: qpdfError.message,
-          stderr: qpdfError.stderr,
-          stdout: qpdfError.stdout,
-          code: qpdfError.code
-      });
-      // Clean up the original file if protection fails
-      await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (qpdf fail):', e));
-      // Also remove potentially partially created output file
-      await fsp.unlink(outputPath).catch(() => {}); // Ignore error if file doesn't exist
+      // Exit code 3 means qpdf wrote the file but recovered from problems
+      // in the input along the way
+      if (qpdfError.code === 3) {
+        warnings = qpdfError.stderr || null;
+        console.warn('qpdf finished with warnings:', warnings);
+      } else {
+        console.error('Error executing qpdf:', {
+            message: qpdfError.message,
+            stderr: qpdfError.stderr,
+            stdout: qpdfError.stdout,
+            code: qpdfError.code
+        });
+        // Clean up the original file if protection fails
+        await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (qpdf fail):', e));
+        // Also remove potentially partially created output file
+        await fsp.unlink(outputPath).catch(() => {}); // Ignore error if file doesn't exist
 
-      return res.status(500).json({
-        error: 'Failed to protect PDF using qpdf',
-        details: qpdfError.stderr || qpdfError.message
-      });
+        return res.status(500).json({
+          error: qpdfError.code === 'ENOENT' ? 'qpdf is not installed on the server' : 'Failed to protect PDF using qpdf',
+          details: qpdfError.stderr || qpdfError.message
+        });
+      }
     }
     // --- End of qpdf execution ---
 
+    console.log(`Successfully protected PDF with qpdf: ${outputPath}`);
+    await registerOutput(req, outputPath, 'protected', outputName(req.file.originalname, 'protected', '.pdf'));
+
+    // Clean up the original uploaded file
+    await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (success):', e));
+
+    // Return success response
+    return res.json({
+      success: true,
+      message: 'PDF protected successfully with password using qpdf',
+      originalFile: req.file.originalname,
+      encryption: {
+        algorithm: `AES-${keyLength}`,
+        keyLength,
+        userPasswordSet: userPassword !== '',
+        ownerPasswordGenerated: options.ownerPasswordGenerated,
+        permissions
+      },
+      ...(warnings && { warnings }),
+      url: createDownloadUrl(outputPath, { owner: req.user?.id })
+    });
+
   } catch (error) {
     console.error('PDF protection handler error:', {
       message: error.message,
@@ -1369,6 +3100,43 @@ const protectPDF = async (req, res) => {
   }
 };
 
+// Encryption info: whether the PDF is encrypted, with what, which
+// permissions it restricts and whether it needs a password to open
+const inspectPDFEncryption = async (req, res) => {
+  try {
+    console.log('Encryption info request received');
+    if (!req.file) {
+      console.log('No file uploaded');
+      return res.status(400).json({ error: 'No PDF file uploaded' });
+    }
+
+    if (!req.file.mimetype.includes('pdf')) {
+      console.log('Invalid file type:', req.file.mimetype);
+      await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+      return res.status(400).json({ error: 'Only PDF files are allowed' });
+    }
+
+    const encryption = await inspectEncryption(await fsp.readFile(req.file.path));
+    await fsp.unlink(req.file.path).catch(e => console.error('Cleanup error:', e));
+    console.log(`Encryption of ${req.file.originalname}: ${encryption.encrypted ? `${encryption.algorithm}-${encryption.keyLength}` : 'none'}`);
+
+    res.json({
+      success: true,
+      originalFile: req.file.originalname,
+      ...encryption
+    });
+  } catch (error) {
+    console.error('Encryption info error:', error.message);
+    if (req.file) {
+      await fsp.unlink(req.file.path).catch(() => {});
+    }
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to read PDF encryption',
+      details: error.message
+    });
+  }
+};
+
 // PDF Unprotection function
 const unprotectPDF = async (req, res) => {
   try {
@@ -1388,12 +3156,47 @@ const unprotectPDF = async (req, res) => {
       return res.status(400).json({ error: 'Only PDF files are allowed' });
     }
 
-    // Get password from request
-    const password = req.body.password;
-    if (!password) {
-      console.log('No password provided');
+    // Look at the encryption first, so files that aren't encrypted or
+    // need a password we don't have get a clear answer without running qpdf
+    const pdfBytes = await fsp.readFile(inputFile);
+    let encryption;
+    try {
+      encryption = await inspectEncryption(pdfBytes);
+    } catch (inspectError) {
+      await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (invalid PDF):', e));
+      return res.status(inspectError.statusCode || 500).json({ error: inspectError.message });
+    }
+
+    if (!encryption.encrypted) {
+      await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (not encrypted):', e));
+      return res.status(400).json({ error: 'PDF is not encrypted' });
+    }
+    if (!encryption.supported) {
+      await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (unsupported):', e));
+      return res.status(400).json({
+        error: 'PDF uses certificate-based encryption',
+        details: `The ${encryption.handler} security handler cannot be removed with a password`
+      });
+    }
+
+    // Owner-only files open without a password, qpdf removes their
+    // restrictions as they are
+    const password = typeof req.body.password === 'string' && req.body.password !== '' ? req.body.password : undefined;
+    if (password === undefined && encryption.userPasswordRequired) {
+      console.log('No password provided for a file that needs one');
       await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (no password):', e));
-      return res.status(400).json({ error: 'Password is required' });
+      return res.status(401).json({
+        error: 'Password is required',
+        details: 'This PDF needs its user or owner password to open'
+      });
+    }
+    if (password !== undefined && await checkPassword(pdfBytes, password) === 'incorrect') {
+      console.log('Incorrect password supplied');
+      await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (wrong password):', e));
+      return res.status(401).json({
+        error: 'Incorrect password for the PDF',
+        details: 'Please check the password and try again'
+      });
     }
 
     // Create output filename and path
@@ -1404,67 +3207,61 @@ const unprotectPDF = async (req, res) => {
     await fsp.mkdir(uploadDir, { recursive: true });
 
     // --- qpdf execution ---
-    const qpdfPath = 'qpdf'; // Assumes qpdf is in the system PATH
-
-    // For decryption, we only need to supply the password as an argument
-    const qpdfArgs = [
-      '--password=' + password, // Supply the password
-      '--decrypt',              // Specify we want to decrypt
-      inputFile,                // Input file path
-      outputPath                // Output file path
-    ];
+    const qpdfArgs = decryptArgs(password, inputFile, outputPath);
 
-    console.log(`Executing qpdf for decryption: ${qpdfPath} ${qpdfArgs.join(' ')}`);
+    console.log(`Decrypting with qpdf (${encryption.algorithm}-${encryption.keyLength}, ${password !== undefined ? 'with' : 'without'} password)`);
 
+    let warnings = null;
     try {
-      const { stdout, stderr } = await execFilePromise(qpdfPath, qpdfArgs);
-
+      const { stdout, stderr } = await runQpdf(qpdfArgs);
       if (stderr) {
         console.warn('qpdf stderr:', stderr); // Log warnings but proceed if exit code is 0
       }
       console.log('qpdf stdout:', stdout);
-      console.log(`Successfully unprotected PDF with qpdf: ${outputPath}`);
-
-      // Clean up the original uploaded file
-      await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (success):', e));
+    } catch (qpdfError) {
+      // Exit code 3 means qpdf wrote the file but recovered from problems
+      // in the input along the way
+      if (qpdfError.code === 3) {
+        warnings = qpdfError.stderr || null;
+        console.warn('qpdf finished with warnings:', warnings);
+      } else {
+        console.error('Error executing qpdf for decryption:', {
+          message: qpdfError.message,
+          stderr: qpdfError.stderr,
+          stdout: qpdfError.stdout,
+          code: qpdfError.code
+        });
 
-      // Return success response
-      return res.json({
-        success: true,
-        message: 'PDF unprotected successfully',
-        originalFile: req.file.originalname,
-        fullPath: path.resolve(outputPath),
-        url: `/uploads/${outputFilename}`
-      });
+        // Clean up the original file if unprotection fails
+        await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (qpdf fail):', e));
+        // Also remove potentially partially created output file
+        await fsp.unlink(outputPath).catch(() => {}); // Ignore error if file doesn't exist
 
-    } catch (qpdfError) {
-      console.error('Error executing qpdf for decryption:', {
-        message: qpdfError.message,
-        stderr: qpdfError.stderr,
-        stdout: qpdfError.stdout,
-        code: qpdfError.code
-      });
-      
-      // Clean up the original file if unprotection fails
-      await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (qpdf fail):', e));
-      // Also remove potentially partially created output file
-      await fsp.unlink(outputPath).catch(() => {}); // Ignore error if file doesn't exist
-
-      // Check if it's likely a password error
-      if (qpdfError.stderr && qpdfError.stderr.includes('password')) {
-        return res.status(401).json({
-          error: 'Incorrect password for the PDF',
-          details: 'Please check the password and try again'
+        return res.status(500).json({
+          error: qpdfError.code === 'ENOENT' ? 'qpdf is not installed on the server' : 'Failed to unprotect PDF',
+          details: qpdfError.stderr || qpdfError.message
         });
       }
-
-      return res.status(500).json({
-        error: 'Failed to unprotect PDF',
-        details: qpdfError.stderr || qpdfError.message
-      });
     }
     // --- End of qpdf execution ---
 
+    console.log(`Successfully unprotected PDF with qpdf: ${outputPath}`);
+    await registerOutput(req, outputPath, 'unprotected', outputName(req.file.originalname, 'unprotected', '.pdf'));
+
+    // Clean up the original uploaded file
+    await fsp.unlink(inputFile).catch(e => console.error('Cleanup error (success):', e));
+
+    // Return success response
+    return res.json({
+      success: true,
+      message: 'PDF unprotected successfully',
+      originalFile: req.file.originalname,
+      passwordUsed: password !== undefined,
+      removedEncryption: encryption,
+      ...(warnings && { warnings }),
+      url: createDownloadUrl(outputPath, { owner: req.user?.id })
+    });
+
   } catch (error) {
     console.error('PDF unprotection handler error:', {
       message: error.message,
@@ -1494,10 +3291,20 @@ module.exports = {
   listMergedPDFs,
   mergePDFs,
   splitPDF,
+  organizePDF,
+  watermarkPDF,
+  headerFooterPDF,
+  readPDFMetadata,
+  writePDFMetadata,
+  listFormFields,
+  fillPDFForm,
+  signPDF,
+  verifyPDF,
   downloadFile,
   compressPDF,
   imageToPDF,
   pdfToImage,
   protectPDF,
+  inspectPDFEncryption,
   unprotectPDF
 };
\ No newline at end of file
@@ -0,0 +1,226 @@
+const path = require('path');
+const fsp = require('fs').promises;
+const { uploadDir } = require('../middleware/upload');
+const { progressFor } = require('../services/progress');
+const { registerOutput, findFileRecord } = require('../services/fileRegistry');
+const { createDownloadUrl } = require('../services/downloadTokens');
+const { runOnFiles, withoutUrls, discardFiles } = require('../services/operationRunner');
+const { createZip } = require('../utils');
+const {
+  mergePDFs,
+  splitPDF,
+  organizePDF,
+  watermarkPDF,
+  headerFooterPDF,
+  writePDFMetadata,
+  fillPDFForm,
+  compressPDF,
+  imageToPDF,
+  pdfToImage,
+  protectPDF,
+  unprotectPDF
+} = require('./pdfOperations');
+const { createSearchablePDF } = require('./textExtraction');
+
+const MAX_STEPS = 20;
+
+// Operations a pipeline step can run. `input` says how files reach the
+// controller: 'each' runs it once per file (as req.file, or req.files.pdf
+// for upload.fields() routes), 'all' hands every file over as req.files.
+// `accepts` and `produces` let the chain be checked before anything runs.
+const PIPELINE_STEPS = {
+  merge: { handler: mergePDFs, input: 'all', accepts: 'pdf', produces: 'pdf' },
+  split: { handler: splitPDF, input: 'each', accepts: 'pdf', produces: 'pdf' },
+  organize: { handler: organizePDF, input: 'each', accepts: 'pdf', produces: 'pdf' },
+  watermark: { handler: watermarkPDF, input: 'each', field: 'pdf', accepts: 'pdf', produces: 'pdf' },
+  'header-footer': { handler: headerFooterPDF, input: 'all', accepts: 'pdf', produces: 'pdf' },
+  'write-metadata': { handler: writePDFMetadata, input: 'each', accepts: 'pdf', produces: 'pdf' },
+  'fill-form': { handler: fillPDFForm, input: 'each', accepts: 'pdf', produces: 'pdf' },
+  compress: { handler: compressPDF, input: 'each', accepts: 'pdf', produces: 'pdf' },
+  'image-to-pdf': { handler: imageToPDF, input: 'all', accepts: 'image', produces: 'pdf' },
+  'pdf-to-image': { handler: pdfToImage, input: 'each', accepts: 'pdf', produces: 'image' },
+  ocr: { handler: createSearchablePDF, input: 'all', accepts: 'any', produces: 'pdf' },
+  protect: { handler: protectPDF, input: 'each', accepts: 'pdf', produces: 'pdf' },
+  unprotect: { handler: unprotectPDF, input: 'each', accepts: 'pdf', produces: 'pdf' }
+};
+
+const fileKind = (mimetype) => {
+  if (mimetype.includes('pdf')) return 'pdf';
+  if (mimetype.startsWith('image/')) return 'image';
+  return 'other';
+};
+
+// Parse and check the steps list: known operations, option objects, and
+// each step accepting what the one before it produces
+const readPipelineSteps = (raw, files) => {
+  let steps = raw;
+  if (typeof steps === 'string') {
+    try {
+      steps = JSON.parse(steps);
+    } catch (err) {
+      throw new Error('steps is not valid JSON');
+    }
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('steps must be a non-empty array');
+  }
+  if (steps.length > MAX_STEPS) {
+    throw new Error(`A pipeline can have at most ${MAX_STEPS} steps`);
+  }
+
+  const kinds = new Set(files.map(file => fileKind(file.mimetype)));
+  let current = kinds.size === 1 ? [...kinds][0] : 'mixed';
+
+  return steps.map((step, index) => {
+    const label = `Step ${index + 1}`;
+    const operation = typeof step === 'string' ? step : step?.operation;
+    const definition = Object.hasOwn(PIPELINE_STEPS, operation) ? PIPELINE_STEPS[operation] : null;
+    if (!definition) {
+      throw new Error(`${label}: unknown operation "${operation}". Use one of ${Object.keys(PIPELINE_STEPS).join(', ')}`);
+    }
+
+    const options = step.options ?? {};
+    if (typeof options !== 'object' || Array.isArray(options) || options === null) {
+      throw new Error(`${label}: options must be an object`);
+    }
+
+    if (definition.accepts !== 'any' && current !== definition.accepts) {
+      throw new Error(`${label}: ${operation} needs ${definition.accepts} files but gets ${current} files`);
+    }
+    current = definition.produces;
+
+    return { operation, options, ...definition };
+  });
+};
+
+// Run one step, once per file or once for all of them. Stops at the
+// first failing call.
+const runStep = async (req, step, inputs) => {
+  const as = step.input === 'all' ? 'files' : step.field || 'file';
+  const calls = step.input === 'all' ? [inputs] : inputs.map(input => [input]);
+
+  const responses = [];
+  const outputs = [];
+  const created = [];
+  for (const files of calls) {
+    const result = await runOnFiles(step.handler, req, files, { as, options: step.options });
+    responses.push(result.body);
+    outputs.push(...result.outputs);
+    created.push(...result.created);
+    if (result.statusCode >= 400) {
+      return { statusCode: result.statusCode, body: result.body, responses, outputs, created };
+    }
+  }
+
+  return { statusCode: 200, responses, outputs, created };
+};
+
+// Pipeline function: run several operations in a row on the uploaded
+// files, keeping intermediate files on the server and returning only the
+// final ones
+const runPipeline = async (req, res) => {
+  const uploads = req.files || [];
+  const created = new Set(); // registry keys of everything the steps wrote
+  let finalKeys = new Set();
+
+  try {
+    console.log('Pipeline request received');
+    if (uploads.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    let steps;
+    try {
+      steps = readPipelineSteps(req.body.steps, uploads);
+    } catch (validationError) {
+      console.log('Invalid pipeline:', validationError.message);
+      return res.status(400).json({ error: 'Invalid pipeline', details: validationError.message });
+    }
+
+    const progress = progressFor(req);
+    console.log(`Running pipeline: ${steps.map(step => step.operation).join(' -> ')}`);
+
+    let current = uploads.map(file => ({ path: file.path, filename: file.originalname }));
+    const report = [];
+
+    for (const [index, step] of steps.entries()) {
+      progress.update({
+        stage: step.operation,
+        percent: Math.round((index / steps.length) * 100),
+        message: `Step ${index + 1} of ${steps.length}: ${step.operation}`
+      });
+
+      const startedAt = Date.now();
+      const { statusCode, body, responses, outputs, created: stepFiles } = await runStep(req, step, current);
+      stepFiles.forEach(key => created.add(key));
+
+      const entry = {
+        step: index + 1,
+        operation: step.operation,
+        inputs: current.map(file => file.filename),
+        outputs: outputs.map(file => file.filename),
+        durationMs: Date.now() - startedAt,
+        results: withoutUrls(responses)
+      };
+      report.push(entry);
+
+      if (statusCode >= 400) {
+        console.log(`Pipeline stopped at step ${index + 1} (${step.operation}): ${body?.error}`);
+        return res.status(statusCode).json({
+          error: `Step ${index + 1} (${step.operation}) failed: ${body?.error || 'Operation failed'}`,
+          details: body?.details,
+          failedStep: index + 1,
+          steps: report
+        });
+      }
+
+      if (outputs.length === 0) {
+        return res.status(500).json({
+          error: `Step ${index + 1} (${step.operation}) produced no files`,
+          failedStep: index + 1,
+          steps: report
+        });
+      }
+
+      current = outputs;
+    }
+
+    // Only the last step's files are kept, everything before them goes
+    // once the pipeline is done
+    finalKeys = new Set(current.map(file => findFileRecord(file.path)?.key));
+
+    const files = current.map(file => ({ filename: file.filename, url: file.url }));
+    let zipUrl;
+    if (files.length > 1) {
+      progress.update({ stage: 'archiving', message: 'Creating ZIP archive' });
+      const zipPath = path.join(uploadDir, `pipeline-${Date.now()}.zip`);
+      await createZip(zipPath, current.map(file => ({ path: file.path, name: file.filename })));
+      await registerOutput(req, zipPath, 'pipeline', 'pipeline.zip');
+      zipUrl = createDownloadUrl(zipPath, { owner: req.user?.id });
+    }
+
+    console.log(`Pipeline finished with ${files.length} files`);
+    res.json({
+      success: true,
+      message: `Pipeline finished ${steps.length} ${steps.length === 1 ? 'step' : 'steps'}`,
+      url: files.length === 1 ? files[0].url : undefined,
+      zipUrl,
+      files,
+      steps: report
+    });
+  } catch (error) {
+    console.error('Pipeline error:', error);
+    res.status(500).json({
+      error: 'Pipeline failed',
+      details: error.message
+    });
+  } finally {
+    // Uploads a step didn't consume, and every intermediate file
+    await Promise.all(uploads.map(file => fsp.unlink(file.path).catch(() => {})));
+    await discardFiles([...created].filter(key => !finalKeys.has(key)));
+  }
+};
+
+module.exports = {
+  runPipeline
+};
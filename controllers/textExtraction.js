@@ -1,34 +1,449 @@
-const Tesseract = require('tesseract.js');
-const { delfile } = require('../utils');
+const path = require('path');
+const fsp = require('fs').promises;
+const sharp = require('sharp');
+const { PDFDocument, degrees } = require('pdf-lib');
+const { uploadDir } = require('../middleware/upload');
+const { delfile, outputName, parsePageRanges, parseNumberOption } = require('../utils');
+const { progressFor } = require('../services/progress');
+const {
+  parseLanguages,
+  parseOutputFormats,
+  listLocalLanguages,
+  unavailableLanguages,
+  createOcrWorker,
+  toStructuredOutput,
+  recognizeImage
+} = require('../services/ocr');
+const { openPdf, renderPage } = require('../services/pdfRenderer');
+const { extractPageText, pageFromOcr, toPlainText, toMarkdown } = require('../services/pdfText');
+const { registerOutput } = require('../services/fileRegistry');
+const { createDownloadUrl } = require('../services/downloadTokens');
+
+// Read the lang and format parameters shared by the OCR endpoints. Returns
+// an error message instead when they are invalid or the languages aren't
+// installed.
+const parseOcrOptions = (source) => {
+  let langs;
+  let formats;
+  try {
+    langs = parseLanguages(source.lang);
+    formats = parseOutputFormats(source.format);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const missing = unavailableLanguages(langs);
+  if (missing.length > 0) {
+    return {
+      error: `Language data not installed: ${missing.join(', ')}`,
+      available: listLocalLanguages()
+    };
+  }
+
+  return { langs, formats };
+};
 
 // Controller for text extraction
-const extractText = (req, res) => {
+const extractText = async (req, res) => {
   if (req.file) {
     console.log('File uploaded:', req.file.path);
-    // Read the uploaded file and extract text using Tesseract.js
-    Tesseract.recognize(
-      req.file.path,
-      'eng',
-      {
-        logger: m => console.log(m)
-      }
-    )
-      .then(({ data: { text } }) => {
-        console.log('Extracted text:', text);
-        // Remove the file
-        delfile(req.file.path)
-        res.send({ message: 'File uploaded successfully', text: text });
-      })
-      .catch(err => {
-        console.error('Error:', err);
-        delfile(req.file.path)
-        res.status(500).send({ message: 'Error processing image', error: err });
+    const progress = progressFor(req);
+
+    const options = parseOcrOptions({ ...req.query, ...req.body });
+    if (options.error) {
+      delfile(req.file.path)
+      return res.status(400).send({ message: options.error, availableLanguages: options.available });
+    }
+    console.log(`OCR settings: Languages=${options.langs.join('+')}, Formats=${options.formats.join(',')}`);
+
+    try {
+      // Read the uploaded file and extract text using Tesseract.js
+      const result = await recognizeImage(req.file.path, {
+        langs: options.langs,
+        formats: options.formats,
+        onLog: m => progress.update({
+          stage: m.status,
+          percent: Math.round((m.progress || 0) * 100)
+        })
       });
+
+      console.log('Extracted text:', result.text);
+      // Remove the file
+      delfile(req.file.path)
+      res.send({
+        message: 'File uploaded successfully',
+        lang: options.langs.join('+'),
+        formats: options.formats,
+        ...result
+      });
+    } catch (err) {
+      console.error('Error:', err);
+      delfile(req.file.path)
+      res.status(500).send({ message: 'Error processing image', error: err.message });
+    }
   } else {
     res.status(400).send({ message: 'File upload failed' });
   }
 };
 
+// Draw a Tesseract text-only page over a PDF page. PDF.js renders pages
+// with their /Rotate applied, so the text layer is rotated back to match.
+const overlayTextLayer = (page, textLayer) => {
+  const { x, y, width, height } = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+
+  const placements = {
+    0: { x, y, rotate: 0, width, height },
+    90: { x: x + width, y, rotate: 90, width: height, height: width },
+    180: { x: x + width, y: y + height, rotate: 180, width, height },
+    270: { x, y: y + height, rotate: 270, width: height, height: width }
+  };
+  const placement = placements[rotation] || placements[0];
+
+  page.drawPage(textLayer, {
+    x: placement.x,
+    y: placement.y,
+    width: placement.width,
+    height: placement.height,
+    rotate: degrees(placement.rotate)
+  });
+};
+
+// OCR one page image and lay its invisible text over the output page
+const addTextLayer = async (worker, outputPdf, page, imageBuffer, dpi) => {
+  await worker.setParameters({ user_defined_dpi: String(dpi) });
+  const { data } = await worker.recognize(
+    imageBuffer,
+    { pdfTextOnly: true },
+    { text: true, pdf: true }
+  );
+
+  const [textLayer] = await outputPdf.embedPdf(Uint8Array.from(data.pdf));
+  overlayTextLayer(page, textLayer);
+
+  return { text: data.text, confidence: Math.round(data.confidence) };
+};
+
+// Controller for searchable PDF creation from scanned PDFs or images
+const createSearchablePDF = async (req, res) => {
+  const files = req.files || [];
+  const tempFiles = files.map(file => file.path);
+
+  try {
+    console.log('Searchable PDF request received');
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    // Validate all files are PDFs or images
+    for (const file of files) {
+      if (!file.mimetype.includes('pdf') && !file.mimetype.startsWith('image/')) {
+        console.log('Invalid file type:', file.mimetype);
+        await Promise.all(tempFiles.map(f => fsp.unlink(f).catch(e => console.error('Cleanup error:', e))));
+        return res.status(400).json({ error: `Invalid file type: ${file.mimetype}. Only PDF and image files are allowed.` });
+      }
+    }
+
+    const options = parseOcrOptions({ lang: req.body.lang });
+    if (options.error) {
+      await Promise.all(tempFiles.map(f => fsp.unlink(f).catch(e => console.error('Cleanup error:', e))));
+      return res.status(400).json({ error: options.error, availableLanguages: options.available });
+    }
+
+    const lang = options.langs.join('+');
+    const dpi = Math.min(Math.max(parseInt(req.body.dpi) || 300, 100), 600);
+    console.log(`OCR settings: Language=${lang}, DPI=${dpi}`);
+
+    const progress = progressFor(req);
+    const outputPdf = await PDFDocument.create();
+    const pageResults = [];
+
+    // Count pages up front so progress can be reported as "page N of M"
+    const sources = [];
+    for (const file of files) {
+      if (file.mimetype.includes('pdf')) {
+        const bytes = await fsp.readFile(file.path);
+        let sourcePdf;
+        try {
+          sourcePdf = await PDFDocument.load(bytes);
+        } catch (err) {
+          console.error(`PDF loading error (${file.originalname}):`, err.message);
+          await Promise.all(tempFiles.map(f => fsp.unlink(f).catch(e => console.error('Cleanup error:', e))));
+          return res.status(400).json({
+            error: err.message.includes('encrypted')
+              ? 'Encrypted PDFs must be unprotected before they can be made searchable'
+              : 'Invalid or corrupted PDF file',
+            details: file.originalname
+          });
+        }
+        sources.push({ file, bytes, sourcePdf, pageCount: sourcePdf.getPageCount() });
+      } else {
+        sources.push({ file, pageCount: 1 });
+      }
+    }
+    const totalPages = sources.reduce((sum, source) => sum + source.pageCount, 0);
+
+    let currentPage = 0;
+    const worker = await createOcrWorker(options.langs, m => {
+      if (m.status === 'recognizing text') {
+        progress.update({
+          stage: 'recognizing',
+          page: currentPage,
+          totalPages,
+          percent: Math.round(((currentPage - 1 + (m.progress || 0)) / totalPages) * 100)
+        });
+      }
+    });
+
+    try {
+      for (const source of sources) {
+        if (source.sourcePdf) {
+          // Keep the original pages and render them only for recognition
+          const pdf = await openPdf(source.bytes);
+          const copiedPages = await outputPdf.copyPages(source.sourcePdf, source.sourcePdf.getPageIndices());
+
+          for (const [index, page] of copiedPages.entries()) {
+            currentPage++;
+            progress.page('rendering', currentPage, totalPages);
+            outputPdf.addPage(page);
+
+            const { image } = await renderPage(pdf, index + 1, { scale: dpi / 72 });
+            const result = await addTextLayer(worker, outputPdf, page, await image.png().toBuffer(), dpi);
+
+            pageResults.push({ page: currentPage, source: source.file.originalname, sourcePage: index + 1, ...result });
+          }
+
+          await pdf.destroy();
+        } else {
+          currentPage++;
+          progress.page('rendering', currentPage, totalPages);
+
+          // Apply EXIF orientation so the page matches what was photographed
+          const image = sharp(source.file.path).rotate();
+          const metadata = await image.metadata();
+          const imageDpi = metadata.density && metadata.density >= 72 ? metadata.density : dpi;
+          const isJpeg = metadata.format === 'jpeg';
+          const { data: imageBuffer, info } = await (isJpeg ? image.jpeg({ quality: 92 }) : image.png())
+            .toBuffer({ resolveWithObject: true });
+
+          const embedded = isJpeg
+            ? await outputPdf.embedJpg(imageBuffer)
+            : await outputPdf.embedPng(imageBuffer);
+          const width = (info.width * 72) / imageDpi;
+          const height = (info.height * 72) / imageDpi;
+          const page = outputPdf.addPage([width, height]);
+          page.drawImage(embedded, { x: 0, y: 0, width, height });
+
+          const result = await addTextLayer(worker, outputPdf, page, imageBuffer, imageDpi);
+          pageResults.push({ page: currentPage, source: source.file.originalname, sourcePage: 1, ...result });
+        }
+      }
+    } finally {
+      await worker.terminate();
+    }
+
+    // Write the searchable PDF
+    const outputFilename = `searchable-${Date.now()}.pdf`;
+    const outputPath = path.join(uploadDir, outputFilename);
+    await fsp.writeFile(outputPath, await outputPdf.save());
+    await registerOutput(req, outputPath, 'searchable', outputName(files[0].originalname, 'searchable', '.pdf'));
+
+    // Clean up uploaded files, but keep the generated PDF
+    await Promise.all(tempFiles.map(f => fsp.unlink(f).catch(e => console.error('Cleanup error:', e))));
+
+    console.log(`Created searchable PDF with ${pageResults.length} pages: ${outputPath}`);
+
+    res.json({
+      success: true,
+      message: `Searchable PDF created with ${pageResults.length} pages`,
+      url: createDownloadUrl(outputPath, { owner: req.user?.id }),
+      lang,
+      dpi,
+      pages: pageResults.map(({ text, ...page }) => ({ ...page, characters: text.trim().length })),
+      text: pageResults.map(page => page.text).join('\n\f')
+    });
+  } catch (error) {
+    console.error('Searchable PDF creation failed:', {
+      message: error.message,
+      stack: error.stack
+    });
+    await Promise.all(tempFiles.map(f => fsp.unlink(f).catch(() => {})));
+
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to create searchable PDF',
+      details: error.message
+    });
+  }
+};
+
+const PDF_TEXT_MODES = ['native', 'auto'];
+const PDF_TEXT_FORMATS = ['json', 'text', 'markdown'];
+
+// Read the pdf-to-text options. Throws a client-facing message when they
+// are invalid.
+const readPdfTextOptions = (source) => {
+  const mode = String(source.mode || 'native').trim().toLowerCase();
+  if (!PDF_TEXT_MODES.includes(mode)) {
+    throw new Error(`Unknown mode "${source.mode}". Use ${PDF_TEXT_MODES.join(' or ')}`);
+  }
+
+  const formats = source.format
+    ? String(source.format).split(/[,\s]+/).map(format => format.trim().toLowerCase()).filter(Boolean)
+    : PDF_TEXT_FORMATS;
+  const invalid = formats.filter(format => !PDF_TEXT_FORMATS.includes(format));
+  if (invalid.length > 0) {
+    throw new Error(`Unsupported output format(s): ${invalid.join(', ')}. Use ${PDF_TEXT_FORMATS.join(', ')}`);
+  }
+
+  return {
+    mode,
+    formats,
+    pages: source.pages,
+    dpi: parseNumberOption(source.dpi, { name: 'dpi', min: 100, max: 600, fallback: 300, integer: true })
+  };
+};
+
+// Controller for text extraction from digital PDFs. Reads the embedded
+// text layer directly; in auto mode pages without one go through OCR.
+const extractPDFText = async (req, res) => {
+  let pdf;
+  let worker;
+
+  try {
+    console.log('PDF to text request received');
+    if (!req.file) {
+      console.log('No file uploaded');
+      return res.status(400).json({ error: 'No PDF file uploaded' });
+    }
+
+    if (!req.file.mimetype.includes('pdf')) {
+      console.log('Invalid file type:', req.file.mimetype);
+      delfile(req.file.path);
+      return res.status(400).json({ error: 'Only PDF files are allowed' });
+    }
+
+    const source = { ...req.query, ...req.body };
+    let options;
+    try {
+      options = readPdfTextOptions(source);
+    } catch (err) {
+      delfile(req.file.path);
+      return res.status(400).json({ error: err.message });
+    }
+
+    // OCR settings only matter when pages may need recognizing
+    let ocrOptions;
+    if (options.mode === 'auto') {
+      ocrOptions = parseOcrOptions({ lang: source.lang });
+      if (ocrOptions.error) {
+        delfile(req.file.path);
+        return res.status(400).json({ error: ocrOptions.error, availableLanguages: ocrOptions.available });
+      }
+    }
+    console.log(`PDF to text settings: Mode=${options.mode}, Formats=${options.formats.join(',')}`);
+
+    try {
+      pdf = await openPdf(await fsp.readFile(req.file.path));
+    } catch (err) {
+      delfile(req.file.path);
+      return res.status(400).json({
+        error: err.name === 'PasswordException'
+          ? 'Password-protected PDFs must be unprotected before their text can be extracted'
+          : 'Invalid or corrupted PDF file',
+        details: err.message
+      });
+    }
+
+    let pageNumbers;
+    try {
+      pageNumbers = options.pages
+        ? [...new Set(parsePageRanges(options.pages, pdf.numPages).flat())].sort((a, b) => a - b).map(index => index + 1)
+        : Array.from({ length: pdf.numPages }, (_, index) => index + 1);
+    } catch (err) {
+      delfile(req.file.path);
+      return res.status(400).json({ error: err.message });
+    }
+
+    const progress = progressFor(req);
+    const totalPages = pageNumbers.length;
+    const pages = [];
+    let currentPage = 0;
+
+    for (const pageNumber of pageNumbers) {
+      currentPage++;
+      progress.page('extracting', currentPage, totalPages);
+      let page = await extractPageText(pdf, pageNumber);
+
+      if (options.mode === 'auto' && page.lines.length === 0) {
+        console.log(`Page ${pageNumber} has no text layer, running OCR`);
+        if (!worker) {
+          worker = await createOcrWorker(ocrOptions.langs, m => {
+            if (m.status === 'recognizing text') {
+              progress.update({
+                stage: 'recognizing',
+                page: currentPage,
+                totalPages,
+                percent: Math.round(((currentPage - 1 + (m.progress || 0)) / totalPages) * 100)
+              });
+            }
+          });
+          await worker.setParameters({ user_defined_dpi: String(options.dpi) });
+        }
+
+        // Rendered pages have /Rotate applied, the same frame as the text positions
+        const scale = options.dpi / 72;
+        const { image } = await renderPage(pdf, pageNumber, { scale });
+        const { data } = await worker.recognize(await image.png().toBuffer(), {}, { text: true, blocks: true });
+        page = pageFromOcr(
+          { page: page.page, width: page.width, height: page.height, rotation: page.rotation },
+          { ...toStructuredOutput(data), confidence: Math.round(data.confidence) },
+          scale
+        );
+      }
+
+      pages.push(page);
+    }
+
+    delfile(req.file.path);
+
+    const ocrPages = pages.filter(page => page.source === 'ocr').map(page => page.page);
+    console.log(`Extracted text from ${pages.length} pages (${ocrPages.length} by OCR)`);
+
+    res.json({
+      success: true,
+      originalFile: req.file.originalname,
+      pageCount: pdf.numPages,
+      mode: options.mode,
+      ...(options.mode === 'auto' && { lang: ocrOptions.langs.join('+'), dpi: options.dpi, ocrPages }),
+      ...(options.formats.includes('json') && { pages }),
+      ...(options.formats.includes('text') && { text: toPlainText(pages) }),
+      ...(options.formats.includes('markdown') && { markdown: toMarkdown(pages) })
+    });
+  } catch (error) {
+    console.error('PDF to text failed:', {
+      message: error.message,
+      stack: error.stack
+    });
+    if (req.file) {
+      delfile(req.file.path);
+    }
+
+    res.status(500).json({
+      error: 'Failed to extract text from PDF',
+      details: error.message
+    });
+  } finally {
+    if (worker) {
+      await worker.terminate();
+    }
+    if (pdf) {
+      await pdf.destroy();
+    }
+  }
+};
+
 module.exports = {
-  extractText
-};
\ No newline at end of file
+  extractText,
+  createSearchablePDF,
+  extractPDFText
+};
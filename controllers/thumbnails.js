@@ -0,0 +1,74 @@
+const path = require('path');
+const { uploadDir } = require('../middleware/upload');
+const { isOwnedBy } = require('../services/fileRegistry');
+const { verifyDownloadToken } = require('../services/downloadTokens');
+const { getThumbnail } = require('../services/thumbnails');
+const { parseNumberOption } = require('../utils');
+
+const DEFAULT_THUMBNAIL_WIDTH = 200;
+const MAX_THUMBNAIL_WIDTH = 1024;
+
+// Page thumbnail function: a small JPEG of one page of a stored PDF. The
+// document is named by the token of its download link, so
+// /download/<token> becomes /thumbnail/<token>?page=2&width=160.
+const getPageThumbnail = async (req, res) => {
+  try {
+    let download;
+    try {
+      download = verifyDownloadToken(req.params.token);
+    } catch (err) {
+      console.log('Thumbnail token rejected:', err.message);
+      return res.status(err.statusCode || 400).json({ error: err.message });
+    }
+
+    // Same ownership rules as downloads
+    const filePath = path.join(uploadDir, download.key);
+    if (!isOwnedBy(filePath, download.owner) || (req.user && req.user.id !== download.owner)) {
+      console.log('Thumbnail denied, file not owned by token owner:', download.key);
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (path.extname(download.key).toLowerCase() !== '.pdf') {
+      return res.status(400).json({ error: 'Thumbnails are only available for PDF files' });
+    }
+
+    let page;
+    let width;
+    try {
+      page = parseNumberOption(req.query.page, { name: 'page', min: 1, max: 100000, integer: true, fallback: 1 });
+      width = parseNumberOption(req.query.width, { name: 'width', min: 16, max: MAX_THUMBNAIL_WIDTH, integer: true, fallback: DEFAULT_THUMBNAIL_WIDTH });
+    } catch (validationError) {
+      return res.status(400).json({ error: 'Invalid thumbnail options', details: validationError.message });
+    }
+
+    const thumbnail = await getThumbnail(filePath, { page, width });
+    console.log(`Thumbnail of ${download.key} page ${page} at ${width}px (${thumbnail.cached ? 'cached' : 'rendered'})`);
+
+    res.sendFile(thumbnail.path, {
+      headers: {
+        'Cache-Control': 'private, max-age=3600',
+        'X-Thumbnail-Cache': thumbnail.cached ? 'hit' : 'miss'
+      }
+    }, (err) => {
+      if (err) {
+        console.error('Sending thumbnail failed:', err);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Error sending thumbnail' });
+        }
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    console.error('Thumbnail error:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to create thumbnail',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPageThumbnail
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+// JWT verification settings, all taken from the environment:
+//   JWT_SECRET                     shared secret for HMAC-signed tokens
+//   JWT_PUBLIC_KEY / _FILE         PEM public key (or a path to one) for RSA/EC tokens
+//   JWT_ALGORITHMS                 comma separated list, defaults to match the key type
+//   JWT_ISSUER / JWT_AUDIENCE      optional claims to enforce
+//   AUTH_DISABLED=true             local development only, every caller is "anonymous"
+const loadVerificationKey = () => {
+  if (process.env.JWT_PUBLIC_KEY_FILE) {
+    return fs.readFileSync(path.resolve(process.env.JWT_PUBLIC_KEY_FILE), 'utf8');
+  }
+  if (process.env.JWT_PUBLIC_KEY) {
+    // Allow keys passed with escaped newlines in a single env line
+    return process.env.JWT_PUBLIC_KEY.replace(/\\n/g, '\n');
+  }
+  return process.env.JWT_SECRET || null;
+};
+
+const authDisabled = process.env.AUTH_DISABLED === 'true';
+const usesPublicKey = Boolean(process.env.JWT_PUBLIC_KEY_FILE || process.env.JWT_PUBLIC_KEY);
+const verificationKey = loadVerificationKey();
+const algorithms = process.env.JWT_ALGORITHMS
+  ? process.env.JWT_ALGORITHMS.split(',').map(a => a.trim())
+  : usesPublicKey
+    ? ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512']
+    : ['HS256', 'HS384', 'HS512'];
+
+if (authDisabled) {
+  console.warn('Authentication is disabled (AUTH_DISABLED=true), all requests run as "anonymous"');
+} else if (!verificationKey) {
+  console.error('No JWT_SECRET or JWT_PUBLIC_KEY configured, authenticated routes will reject all requests');
+}
+
+// Verify a bearer token and map its claims to the user attached to requests
+const verifyToken = (token) => {
+  const payload = jwt.verify(token, verificationKey, {
+    algorithms,
+    issuer: process.env.JWT_ISSUER || undefined,
+    audience: process.env.JWT_AUDIENCE || undefined
+  });
+
+  if (!payload.sub) {
+    throw new Error('Token has no subject');
+  }
+
+  return {
+    id: String(payload.sub),
+    roles: Array.isArray(payload.roles) ? payload.roles : [],
+    claims: payload
+  };
+};
+
+// Resolve the caller from a raw token. Returns null when the token is
+// missing or invalid.
+const resolveUser = (token) => {
+  if (authDisabled) return { id: 'anonymous', roles: [], claims: {} };
+  if (!token || !verificationKey) return null;
+
+  try {
+    return verifyToken(token);
+  } catch (err) {
+    console.log('Rejected token:', err.message);
+    return null;
+  }
+};
+
+const bearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' ? token : null;
+};
+
+// Require a valid bearer JWT and attach the caller as req.user
+const authenticate = (req, res, next) => {
+  if (!authDisabled && !verificationKey) {
+    return res.status(500).json({ error: 'Authentication is not configured on the server' });
+  }
+
+  const token = bearerToken(req);
+  if (!authDisabled && !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const user = resolveUser(token);
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Require a role from the token's roles claim. Runs after authenticate.
+// With AUTH_DISABLED every caller is let through.
+const requireRole = (role) => (req, res, next) => {
+  if (authDisabled || req.user?.roles.includes(role)) {
+    return next();
+  }
+  res.status(403).json({ error: `The ${role} role is required` });
+};
+
+module.exports = {
+  authenticate,
+  requireRole,
+  resolveUser
+};
@@ -0,0 +1,45 @@
+const { registerOperation, enqueueJob } = require('../services/jobQueue');
+
+// Check whether the client asked for the operation to run in the background
+const wantsAsync = (req) => {
+  const flag = req.query.async ?? req.body?.async;
+  if (flag === true || flag === 'true' || flag === '1') return true;
+
+  const prefer = req.get('Prefer') || '';
+  return prefer.includes('respond-async');
+};
+
+// Wrap a controller so it can either run inline (default) or be queued as
+// a job, in which case the client gets a job ID back immediately
+const runAsJob = (operation, handler) => {
+  registerOperation(operation, handler);
+
+  return async (req, res, next) => {
+    if (!wantsAsync(req)) {
+      return handler(req, res, next);
+    }
+
+    try {
+      const job = await enqueueJob(operation, req);
+      console.log(`Queued job ${job.id} for ${operation}`);
+
+      res.status(202).location(`/api/jobs/${job.id}`).json({
+        success: true,
+        message: 'Job queued',
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`
+      });
+    } catch (error) {
+      console.error('Failed to queue job:', error);
+      res.status(500).json({
+        error: 'Failed to queue job',
+        details: error.message
+      });
+    }
+  };
+};
+
+module.exports = {
+  runAsJob
+};
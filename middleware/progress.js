@@ -0,0 +1,26 @@
+const { progressFor } = require('../services/progress');
+
+// Publish the final result or error of an inline request to anyone
+// following it over the progress WebSocket
+const trackProgress = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    // Queued jobs report their own completion once they actually finish
+    if (res.statusCode !== 202) {
+      const progress = progressFor(req);
+      if (res.statusCode >= 400) {
+        progress.fail(body?.error || body?.message || 'Operation failed');
+      } else {
+        progress.complete(body);
+      }
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  trackProgress
+};
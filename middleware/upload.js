@@ -1,9 +1,11 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
-// Ensure uploads directory exists with absolute path
-const uploadDir = path.join(__dirname, '..', 'uploads');
+// Ensure uploads directory exists with absolute path (UPLOAD_DIR, default
+// ./uploads)
+const uploadDir = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
 
 // Configure multer storage
 const storage = multer.diskStorage({
@@ -24,7 +26,8 @@ const storage = multer.diskStorage({
     });
   },
   filename: (req, file, cb) => {
-    cb(null, file.fieldname + '-' + Date.now() + path.extname(file.originalname));
+    // Random suffix so files uploaded in the same millisecond don't overwrite each other
+    cb(null, file.fieldname + '-' + Date.now() + '-' + crypto.randomBytes(4).toString('hex') + path.extname(file.originalname));
   }
 });
 
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireRole } = require('../middleware/auth');
+const { getStorage, runSweep } = require('../controllers/admin');
+
+// Admin endpoints need the admin role in the caller's token
+router.use(authenticate, requireRole('admin'));
+
+// Disk usage by artifact type and owner
+router.get('/storage', getStorage);
+
+// Trigger a retention sweep
+router.post('/storage/sweep', runSweep);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { getJob, listJobs } = require('../controllers/jobs');
+
+// Jobs are only visible to the user who created them
+router.use(authenticate);
+
+// List recent jobs
+router.get('/', listJobs);
+
+// Job status route
+router.get('/:id', getJob);
+
+module.exports = router;
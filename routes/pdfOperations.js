@@ -1,43 +1,106 @@
 const express = require('express');
 const router = express.Router();
 const { upload } = require('../middleware/upload');
+const { runAsJob } = require('../middleware/jobs');
+const { authenticate } = require('../middleware/auth');
 const { 
   listMergedPDFs, 
   mergePDFs, 
   splitPDF, 
+  organizePDF,
+  watermarkPDF,
+  headerFooterPDF,
+  readPDFMetadata,
+  writePDFMetadata,
+  listFormFields,
+  fillPDFForm,
+  signPDF,
+  verifyPDF,
   downloadFile,
   compressPDF,
   imageToPDF,
   pdfToImage,
   protectPDF,
+  inspectPDFEncryption,
   unprotectPDF // Add the unprotect function
 } = require('../controllers/pdfOperations');
+const { createSearchablePDF, extractPDFText } = require('../controllers/textExtraction');
+const { runPipeline } = require('../controllers/pipeline');
+const { runBatch } = require('../controllers/batch');
+
+// Every PDF operation requires an authenticated caller
+router.use(authenticate);
 
 // List merged PDFs route
 router.get('/merged-pdfs', listMergedPDFs);
 
 // PDF Merge route
-router.post('/merge-pdfs', upload.array('pdfs'), mergePDFs);
+router.post('/merge-pdfs', upload.array('pdfs'), runAsJob('merge-pdfs', mergePDFs));
 
 // PDF Split route
-router.post('/split-pdf', upload.single('pdf'), splitPDF);
+router.post('/split-pdf', upload.single('pdf'), runAsJob('split-pdf', splitPDF));
+
+// PDF Organize route (rotate, delete, move, duplicate, insert blank pages)
+router.post('/organize-pdf', upload.single('pdf'), runAsJob('organize-pdf', organizePDF));
+
+// PDF Watermark route (text and/or image watermark)
+router.post(
+  '/watermark-pdf',
+  upload.fields([{ name: 'pdf', maxCount: 1 }, { name: 'image', maxCount: 1 }]),
+  runAsJob('watermark-pdf', watermarkPDF)
+);
+
+// Page numbers, headers/footers and Bates numbering across one or more PDFs
+router.post('/header-footer-pdf', upload.array('pdfs'), runAsJob('header-footer-pdf', headerFooterPDF));
+
+// Document metadata (Info dictionary and XMP)
+router.post('/read-metadata', upload.single('pdf'), runAsJob('read-metadata', readPDFMetadata));
+router.post('/write-metadata', upload.single('pdf'), runAsJob('write-metadata', writePDFMetadata));
+
+// Fillable forms (AcroForm): list fields, fill and optionally flatten
+router.post('/form-fields', upload.single('pdf'), runAsJob('form-fields', listFormFields));
+router.post('/fill-form', upload.single('pdf'), runAsJob('fill-form', fillPDFForm));
+
+// Digital signatures. Signing always runs inline so the certificate
+// password is never written to the persisted job queue.
+router.post(
+  '/sign-pdf',
+  upload.fields([{ name: 'pdf', maxCount: 1 }, { name: 'certificate', maxCount: 1 }, { name: 'image', maxCount: 1 }]),
+  signPDF
+);
+router.post('/verify-pdf', upload.single('pdf'), runAsJob('verify-pdf', verifyPDF));
 
 // PDF Compression route
-router.post('/compress-pdf', upload.single('pdf'), compressPDF);
+router.post('/compress-pdf', upload.single('pdf'), runAsJob('compress-pdf', compressPDF));
 
 // Image to PDF route
-router.post('/image-to-pdf', upload.array('images'), imageToPDF);
+router.post('/image-to-pdf', upload.array('images'), runAsJob('image-to-pdf', imageToPDF));
 
 // PDF to Image route
-router.post('/pdf-to-image', upload.single('pdf'), pdfToImage);
+router.post('/pdf-to-image', upload.single('pdf'), runAsJob('pdf-to-image', pdfToImage));
 
 // Protect PDF route
-router.post('/protect-pdf', upload.single('pdf'), protectPDF);
+router.post('/protect-pdf', upload.single('pdf'), runAsJob('protect-pdf', protectPDF));
+
+// Encryption info route: algorithm, restricted permissions, password needed
+router.post('/encryption-info', upload.single('pdf'), runAsJob('encryption-info', inspectPDFEncryption));
+
+// Unprotect PDF route, the password can be left out for owner-only files
+router.post('/unprotect-pdf', upload.single('pdf'), runAsJob('unprotect-pdf', unprotectPDF));
+
+// Searchable PDF (OCR) route
+router.post('/ocr-pdf', upload.array('files'), runAsJob('ocr-pdf', createSearchablePDF));
+
+// Text from the PDF's own text layer, with OCR for pages without one in auto mode
+router.post('/pdf-to-text', upload.single('pdf'), runAsJob('pdf-to-text', extractPDFText));
+
+// Several operations chained in one request, e.g. merge -> compress -> protect
+router.post('/pipeline', upload.array('files'), runAsJob('pipeline', runPipeline));
 
-// Unprotect PDF route
-router.post('/unprotect-pdf', upload.single('pdf'), unprotectPDF);
+// One operation over many PDFs or ZIP archives of them, results as a ZIP
+router.post('/batch', upload.array('files'), runAsJob('batch', runBatch));
 
-// PDF Download route
-router.get('/download', downloadFile);
+// PDF Download route, resolves signed download tokens
+router.get('/download/:token?', downloadFile);
 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { upload } = require('../middleware/upload');
+const { authenticate } = require('../middleware/auth');
 const { extractText } = require('../controllers/textExtraction');
 
 // Image to Text extraction route
-router.post('/upload', upload.single('file'), extractText);
+router.post('/upload', authenticate, upload.single('file'), extractText);
 
 module.exports = router;
\ No newline at end of file
@@ -2,7 +2,6 @@
 const { URL } = require('url'); 
 
 const express = require('express');
-const path = require('path');
 const fsp = require('fs').promises;
 const app = express();
 const port = 8000;
@@ -10,14 +9,24 @@ const port = 8000;
 // Import middleware
 const { corsMiddleware } = require('./middleware/cors');
 const { uploadDir } = require('./middleware/upload');
+const { trackProgress } = require('./middleware/progress');
 
 // Import routes
 const healthRoutes = require('./routes/health');
 const textExtractionRoutes = require('./routes/textExtraction');
 const pdfOperationRoutes = require('./routes/pdfOperations');
+const jobRoutes = require('./routes/jobs');
+const adminRoutes = require('./routes/admin');
 
 // Import controllers for direct routes
 const { downloadFile } = require('./controllers/pdfOperations');
+const { getPageThumbnail } = require('./controllers/thumbnails');
+
+// Import services
+const { startJobQueue } = require('./services/jobQueue');
+const { attachProgressSocket } = require('./services/progress');
+const { loadFileRegistry } = require('./services/fileRegistry');
+const { startFileSweeper } = require('./services/fileSweeper');
 
 // Use CORS middleware
 app.use(corsMiddleware);
@@ -25,18 +34,6 @@ app.use(corsMiddleware);
 // Handle preflight requests
 app.options('*', corsMiddleware);
 
-// Serve static files from uploads directory with absolute path
-app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
-  setHeaders: (res, filePath) => {
-    if (filePath.endsWith('.pdf')) {
-      res.set('Content-Type', 'application/pdf');
-      res.set('Content-Disposition', `attachment; filename="${path.basename(filePath)}"`);
-      res.set('Cache-Control', 'no-store');
-    }
-  },
-  fallthrough: false // Don't continue to next middleware if file not found
-}));
-
 // Ensure uploads directory exists with absolute path
 (async () => {
   try {
@@ -48,13 +45,23 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
 
 app.use(express.json());
 
+// Report the outcome of inline operations to progress subscribers
+app.use(['/api', '/upload'], trackProgress);
+
 // Register routes
 app.use('/health', healthRoutes);
 app.use('/', textExtractionRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api', pdfOperationRoutes);
 
-// Add direct download route for backward compatibility
-app.get('/download', downloadFile);
+// Generated files are only served through signed download links. The
+// token itself authorizes the download, so links work without a JWT.
+app.get('/download/:token?', downloadFile);
+
+// Page thumbnails of stored PDFs, authorized by the same tokens so they can
+// be used directly as image sources
+app.get('/thumbnail/:token', getPageThumbnail);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -72,8 +79,18 @@ process.on('unhandledRejection', (err) => {
   console.error('Unhandled Rejection:', err);
 });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`Server running on http://localhost:${port}`);
+
+  // Load file ownership, then resume any jobs queued before the last
+  // shutdown and start enforcing file retention
+  loadFileRegistry()
+    .then(startJobQueue)
+    .then(startFileSweeper)
+    .catch(err => console.error('Failed to load persisted state:', err));
 }).on('error', (err) => {
   console.error('Server failed to start:', err);
 });
+
+// Live progress events for OCR and page-by-page operations
+attachProgressSocket(server);
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const path = require('path');
+const { uploadDir } = require('../middleware/upload');
+const { findFileRecord } = require('./fileRegistry');
+
+// Generated files are only reachable through signed links of the form
+// /download/<token>. A token names the file (relative to uploads/), its
+// owner, the filename to save it as and an expiry, and is signed with
+// HMAC-SHA256 so none of it can be altered by the client.
+//   DOWNLOAD_TOKEN_SECRET          signing key, random per process if unset
+//   DOWNLOAD_TOKEN_TTL_MINUTES     link lifetime, 60 by default
+const secret = process.env.DOWNLOAD_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const ttlMs = (parseInt(process.env.DOWNLOAD_TOKEN_TTL_MINUTES) || 60) * 60 * 1000;
+
+if (!process.env.DOWNLOAD_TOKEN_SECRET) {
+  console.warn('No DOWNLOAD_TOKEN_SECRET configured, download links will stop working after a restart');
+}
+
+const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+// Signed download URL for a generated file. The link never outlives the
+// file's retention period.
+const createDownloadUrl = (filePath, { owner, filename } = {}) => {
+  const relative = path.relative(path.resolve(uploadDir), path.resolve(uploadDir, filePath));
+  const key = relative.split(path.sep).join('/');
+  const record = findFileRecord(filePath);
+
+  let expiresAt = Date.now() + ttlMs;
+  if (record?.expiresAt) {
+    expiresAt = Math.min(expiresAt, new Date(record.expiresAt).getTime());
+  }
+
+  const payload = Buffer.from(JSON.stringify({
+    k: key,
+    o: owner || record?.owner,
+    n: filename || (record?.key === key && record.filename) || path.basename(key),
+    e: Math.floor(expiresAt / 1000)
+  })).toString('base64url');
+
+  return `/download/${payload}.${sign(payload)}`;
+};
+
+// Check a token's signature and expiry. Returns { key, owner, filename }
+// or throws an error with a status code for the response.
+const verifyDownloadToken = (token) => {
+  const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    throw fail(400, 'Malformed download token');
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw fail(403, 'Invalid download token');
+  }
+
+  const { k: key, o: owner, n: filename, e: expires } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (Date.now() / 1000 > expires) {
+    throw fail(410, 'Download link has expired');
+  }
+
+  return { key, owner, filename };
+};
+
+module.exports = {
+  createDownloadUrl,
+  verifyDownloadToken
+};
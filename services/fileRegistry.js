@@ -0,0 +1,117 @@
+const path = require('path');
+const fsp = require('fs').promises;
+const { uploadDir } = require('../middleware/upload');
+const { createJsonStore } = require('./jsonStore');
+const { expiryFor } = require('./retention');
+
+// Every generated output is recorded here together with the user who owns
+// it, its size and when it expires. Records are keyed by their path
+// relative to uploads/.
+const store = createJsonStore('files.json');
+const files = new Map();
+
+// Relative, forward-slash key for a path inside uploads/, or null if the
+// path points anywhere else
+const toRegistryKey = (filePath) => {
+  const relative = path.relative(path.resolve(uploadDir), path.resolve(uploadDir, filePath));
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+  return relative.split(path.sep).join('/');
+};
+
+const persistFiles = () => store.save([...files.values()]);
+
+// Size of a file, or of everything inside a directory
+const measureSize = async (filePath) => {
+  const stats = await fsp.stat(filePath);
+  if (!stats.isDirectory()) return stats.size;
+
+  const entries = await fsp.readdir(filePath);
+  const sizes = await Promise.all(entries.map(entry => measureSize(path.join(filePath, entry))));
+  return sizes.reduce((sum, size) => sum + size, 0);
+};
+
+// Record a generated file (or directory of files) as belonging to a user.
+// filename is the name it is offered for download under.
+const registerFile = async (filePath, { owner, type, filename }) => {
+  const key = toRegistryKey(filePath);
+  if (!key) {
+    throw new Error(`Refusing to register file outside uploads: ${filePath}`);
+  }
+
+  const createdAt = new Date();
+  const record = {
+    key,
+    owner,
+    type,
+    filename: filename || path.basename(key),
+    createdAt: createdAt.toISOString(),
+    size: await measureSize(path.join(uploadDir, key)).catch(() => 0),
+    expiresAt: expiryFor(type, createdAt)
+  };
+
+  files.set(key, record);
+  await persistFiles();
+  return record;
+};
+
+// Register an output produced while handling a request for its caller
+const registerOutput = (req, filePath, type, filename) => registerFile(filePath, {
+  owner: req.user?.id,
+  type,
+  filename
+});
+
+// Find the record covering a path. Files inside a registered directory
+// (e.g. the page images of a PDF-to-image batch) inherit its record.
+const findFileRecord = (filePath) => {
+  const key = toRegistryKey(filePath);
+  if (!key) return null;
+
+  if (files.has(key)) return files.get(key);
+
+  const [topLevel] = key.split('/');
+  return files.get(topLevel) || null;
+};
+
+const isOwnedBy = (filePath, owner) => {
+  const record = findFileRecord(filePath);
+  return Boolean(record && owner && record.owner === owner);
+};
+
+const listFiles = ({ owner, type } = {}) => [...files.values()]
+  .filter(record => (!owner || record.owner === owner) && (!type || record.type === type));
+
+// Forget a file. Deleting it from disk is up to the caller.
+const unregisterFile = async (key) => {
+  if (files.delete(key)) {
+    await persistFiles();
+  }
+};
+
+const loadFileRegistry = async () => {
+  const saved = await store.load([]);
+  for (const record of saved) {
+    // Records written before sizes and expiry were tracked
+    if (!record.expiresAt) {
+      record.expiresAt = expiryFor(record.type, record.createdAt);
+    }
+    if (record.size === undefined) {
+      record.size = await measureSize(path.join(uploadDir, record.key)).catch(() => 0);
+    }
+    files.set(record.key, record);
+  }
+  console.log(`Loaded ${files.size} registered files`);
+};
+
+module.exports = {
+  registerFile,
+  registerOutput,
+  findFileRecord,
+  isOwnedBy,
+  listFiles,
+  unregisterFile,
+  measureSize,
+  loadFileRegistry
+};
@@ -0,0 +1,179 @@
+const path = require('path');
+const fsp = require('fs').promises;
+const { uploadDir } = require('../middleware/upload');
+const { dataDir } = require('./jsonStore');
+const { listFiles, unregisterFile, measureSize, findFileRecord } = require('./fileRegistry');
+const { listPendingUploads } = require('./jobQueue');
+const { retentionRules, retentionFor } = require('./retention');
+const { pruneThumbnails } = require('./thumbnails');
+
+const sweepIntervalMs = (parseInt(process.env.SWEEP_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+let lastSweep = null;
+let sweeping = null;
+
+// Top-level entries of uploads/ with their size and modification time
+const scanUploads = async () => {
+  let names;
+  try {
+    names = await fsp.readdir(uploadDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const entries = await Promise.all(names.map(async (name) => {
+    const entryPath = path.join(uploadDir, name);
+    try {
+      const stats = await fsp.stat(entryPath);
+      return { name, path: entryPath, modifiedAt: stats.mtime, size: await measureSize(entryPath) };
+    } catch (err) {
+      // Removed while scanning
+      return null;
+    }
+  }));
+
+  return entries.filter(Boolean);
+};
+
+// Delete expired artifacts, forget records whose files are gone, remove
+// uploads nothing claimed (inputs left behind by a crash, for example) and
+// prune thumbnails that haven't been viewed in a while
+const runSweep = async () => {
+  const now = Date.now();
+  const stats = {
+    startedAt: new Date(now).toISOString(),
+    expiredRemoved: 0,
+    missingRecordsDropped: 0,
+    orphansRemoved: 0,
+    thumbnailsRemoved: 0,
+    bytesFreed: 0
+  };
+
+  for (const record of listFiles()) {
+    const filePath = path.join(uploadDir, record.key);
+
+    if (new Date(record.expiresAt).getTime() <= now) {
+      const size = await measureSize(filePath).catch(() => 0);
+      await fsp.rm(filePath, { recursive: true, force: true });
+      await unregisterFile(record.key);
+      stats.expiredRemoved++;
+      stats.bytesFreed += size;
+      console.log(`Removed expired ${record.type} file: ${record.key}`);
+      continue;
+    }
+
+    try {
+      await fsp.access(filePath);
+    } catch (err) {
+      await unregisterFile(record.key);
+      stats.missingRecordsDropped++;
+    }
+  }
+
+  const pending = new Set(listPendingUploads().map(filePath => path.resolve(filePath)));
+  const orphanAge = retentionFor('orphan');
+
+  for (const entry of await scanUploads()) {
+    if (findFileRecord(entry.path) || pending.has(path.resolve(entry.path))) continue;
+    if (now - entry.modifiedAt.getTime() < orphanAge) continue;
+
+    await fsp.rm(entry.path, { recursive: true, force: true });
+    stats.orphansRemoved++;
+    stats.bytesFreed += entry.size;
+    console.log(`Removed unclaimed upload: ${entry.name}`);
+  }
+
+  const thumbnails = await pruneThumbnails();
+  stats.thumbnailsRemoved = thumbnails.removed;
+  stats.bytesFreed += thumbnails.bytesFreed;
+
+  stats.finishedAt = new Date().toISOString();
+  return stats;
+};
+
+// Run a sweep, or wait for the one already in progress
+const sweepFiles = () => {
+  if (!sweeping) {
+    sweeping = runSweep()
+      .then((stats) => {
+        lastSweep = stats;
+        return stats;
+      })
+      .finally(() => {
+        sweeping = null;
+      });
+  }
+  return sweeping;
+};
+
+// Sweep once now and then on a fixed interval
+const startFileSweeper = () => {
+  const sweep = () => sweepFiles()
+    .then((stats) => {
+      if (stats.expiredRemoved || stats.orphansRemoved || stats.thumbnailsRemoved) {
+        console.log(`Sweep freed ${stats.bytesFreed} bytes`, stats);
+      }
+    })
+    .catch(err => console.error('File sweep failed:', err));
+
+  sweep();
+  setInterval(sweep, sweepIntervalMs).unref();
+  console.log(`File sweeper running every ${sweepIntervalMs / 60000} minutes`);
+};
+
+// Disk usage of uploads/ broken down by artifact type and owner
+const getStorageUsage = async () => {
+  const entries = await scanUploads();
+  const pending = new Set(listPendingUploads().map(filePath => path.resolve(filePath)));
+
+  const byType = {};
+  const byOwner = {};
+  const unregistered = { count: 0, bytes: 0, pendingJobInputs: 0 };
+  let totalBytes = 0;
+
+  for (const entry of entries) {
+    totalBytes += entry.size;
+    const record = findFileRecord(entry.path);
+
+    if (!record) {
+      unregistered.count++;
+      unregistered.bytes += entry.size;
+      if (pending.has(path.resolve(entry.path))) unregistered.pendingJobInputs++;
+      continue;
+    }
+
+    byType[record.type] = byType[record.type] || { count: 0, bytes: 0 };
+    byType[record.type].count++;
+    byType[record.type].bytes += entry.size;
+
+    const owner = record.owner || 'unknown';
+    byOwner[owner] = byOwner[owner] || { count: 0, bytes: 0 };
+    byOwner[owner].count++;
+    byOwner[owner].bytes += entry.size;
+  }
+
+  return {
+    uploads: {
+      path: uploadDir,
+      entries: entries.length,
+      bytes: totalBytes
+    },
+    data: {
+      path: dataDir,
+      bytes: await measureSize(dataDir).catch(() => 0)
+    },
+    byType,
+    byOwner,
+    unregistered,
+    retentionHours: retentionRules,
+    sweepIntervalMinutes: sweepIntervalMs / 60000,
+    lastSweep
+  };
+};
+
+module.exports = {
+  sweepFiles,
+  startFileSweeper,
+  getStorageUsage
+};
@@ -0,0 +1,67 @@
+// Run a controller outside of a live HTTP request and capture what it
+// would have sent back to the client, so the same handlers can be reused
+// by background jobs.
+const invokeHandler = (handler, req) => new Promise((resolve, reject) => {
+  let settled = false;
+
+  const finish = (body) => {
+    if (settled) return;
+    settled = true;
+    res.headersSent = true;
+    resolve({ statusCode: res.statusCode, body });
+  };
+
+  const res = {
+    statusCode: 200,
+    headersSent: false,
+    locals: {},
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(field, value) {
+      if (typeof field === 'object') {
+        Object.assign(this.headers, field);
+      } else {
+        this.headers[field] = value;
+      }
+      return this;
+    },
+    setHeader(field, value) {
+      return this.set(field, value);
+    },
+    location(url) {
+      return this.set('Location', url);
+    },
+    json(body) {
+      finish(body);
+      return this;
+    },
+    send(body) {
+      finish(typeof body === 'string' ? { message: body } : body);
+      return this;
+    }
+  };
+
+  Promise.resolve()
+    .then(() => handler(req, res, (err) => {
+      if (err) reject(err);
+    }))
+    .then(() => {
+      if (!settled) {
+        res.statusCode = 500;
+        finish({ error: 'Operation finished without producing a response' });
+      }
+    })
+    .catch(err => {
+      if (!settled) {
+        settled = true;
+        reject(err);
+      }
+    });
+});
+
+module.exports = {
+  invokeHandler
+};
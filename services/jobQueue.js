@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const { invokeHandler } = require('./invokeHandler');
+const { createProgressReporter, onProgress } = require('./progress');
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore('jobs.json');
+
+const MAX_FINISHED_JOBS = 200;
+const concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+
+const jobs = new Map();     // job id -> job record
+const secretRequests = new Map(); // job id -> { body, query } with passwords, memory only
+const handlers = new Map(); // operation name -> controller
+const queue = [];           // ids of jobs waiting to run
+let activeJobs = 0;
+let started = false;
+
+// Register the controller that runs a given operation, so queued jobs can
+// be dispatched again after a restart
+const registerOperation = (operation, handler) => {
+  handlers.set(operation, handler);
+};
+
+const persistJobs = () => store.save([...jobs.values()]);
+
+// Drop the oldest finished jobs once the table grows past its limit
+const pruneJobs = () => {
+  const finished = [...jobs.values()]
+    .filter(job => job.status === 'completed' || job.status === 'failed')
+    .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt));
+
+  while (finished.length > MAX_FINISHED_JOBS) {
+    jobs.delete(finished.shift().id);
+  }
+};
+
+// Request fields that are never written to jobs.json
+const SECRET_FIELDS = new Set(['password', 'userPassword', 'ownerPassword']);
+
+// Copy of request fields without their passwords, including those inside
+// JSON-encoded fields such as pipeline steps. `withheld` tells whether
+// anything was removed.
+const withoutSecrets = (fields = {}) => {
+  let withheld = false;
+
+  const strip = (value) => {
+    if (Array.isArray(value)) return value.map(strip);
+    if (!value || typeof value !== 'object') return value;
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (SECRET_FIELDS.has(key)) {
+        withheld = true;
+      } else {
+        copy[key] = strip(item);
+      }
+    }
+    return copy;
+  };
+
+  const stripJson = (value) => {
+    if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return value;
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (err) {
+      return value; // Not JSON
+    }
+    const stripped = JSON.stringify(strip(parsed));
+    return stripped === JSON.stringify(parsed) ? value : stripped;
+  };
+
+  const copy = strip(fields);
+  for (const key of Object.keys(copy)) {
+    copy[key] = stripJson(copy[key]);
+  }
+  return { fields: copy, withheld };
+};
+
+// Collect every download URL found in a controller response
+const collectResultUrls = (value, urls = []) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectResultUrls(item, urls));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if ((key === 'url' || key === 'zipUrl') && typeof item === 'string') {
+        urls.push(item);
+      } else {
+        collectResultUrls(item, urls);
+      }
+    }
+  }
+  return urls;
+};
+
+// Public view of a job, without the stored request data
+const toPublicJob = (job) => ({
+  id: job.id,
+  operation: job.operation,
+  owner: job.owner,
+  status: job.status,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  progress: job.progress,
+  resultUrls: job.resultUrls,
+  result: job.result,
+  error: job.error
+});
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.operation);
+
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  await persistJobs();
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown operation: ${job.operation}`);
+    }
+
+    console.log(`Running job ${job.id} (${job.operation})`);
+
+    // Rebuild just enough of an Express request for the controllers
+    const secrets = secretRequests.get(job.id);
+    const req = {
+      body: secrets?.body || job.request.body || {},
+      file: job.request.file,
+      files: job.request.files,
+      // Jobs queued before the query was stored have none
+      query: secrets?.query || job.request.query || {},
+      params: {},
+      headers: {},
+      get: () => undefined,
+      user: job.request.user,
+      jobId: job.id,
+      progress: createProgressReporter(job.id, job.owner)
+    };
+
+    const { statusCode, body } = await invokeHandler(handler, req);
+
+    if (statusCode >= 400) {
+      job.status = 'failed';
+      job.error = {
+        statusCode,
+        message: body?.error || body?.message || 'Operation failed',
+        details: body?.details
+      };
+    } else {
+      job.status = 'completed';
+      job.result = body;
+      job.resultUrls = collectResultUrls(body);
+    }
+  } catch (err) {
+    console.error(`Job ${job.id} failed:`, err);
+    job.status = 'failed';
+    job.error = { statusCode: 500, message: err.message };
+  }
+
+  job.finishedAt = new Date().toISOString();
+  const progress = createProgressReporter(job.id, job.owner);
+  if (job.status === 'completed') {
+    progress.complete(job.result);
+  } else {
+    progress.fail(job.error.message);
+  }
+
+  // Inputs are consumed by the controller, no need to keep them around
+  delete job.request;
+  secretRequests.delete(job.id);
+  pruneJobs();
+  await persistJobs();
+
+  console.log(`Job ${job.id} ${job.status}`);
+};
+
+const processQueue = () => {
+  while (started && activeJobs < concurrency && queue.length > 0) {
+    const job = jobs.get(queue.shift());
+    if (!job) continue;
+
+    activeJobs++;
+    runJob(job)
+      .catch(err => console.error(`Error running job ${job.id}:`, err))
+      .finally(() => {
+        activeJobs--;
+        processQueue();
+      });
+  }
+};
+
+// Create a job from an incoming request and queue it. Passwords in the
+// request stay in memory only, so a job that has them can't be resumed
+// after a restart.
+const enqueueJob = async (operation, req) => {
+  const body = withoutSecrets(req.body);
+  const query = withoutSecrets(req.query);
+  const withheld = body.withheld || query.withheld;
+  const job = {
+    id: crypto.randomUUID(),
+    operation,
+    owner: req.user?.id,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    progress: null,
+    resultUrls: [],
+    result: null,
+    error: null,
+    request: {
+      body: body.fields,
+      query: query.fields,
+      secretsWithheld: withheld,
+      user: req.user,
+      file: req.file,
+      files: req.files
+    }
+  };
+
+  if (withheld) {
+    secretRequests.set(job.id, { body: { ...req.body }, query: { ...req.query } });
+  }
+  jobs.set(job.id, job);
+  queue.push(job.id);
+  await persistJobs();
+  processQueue();
+
+  return job;
+};
+
+// Keep the latest progress event on the job so polling clients see it too
+onProgress((event) => {
+  const job = jobs.get(event.operationId);
+  if (job && event.type === 'progress') {
+    const { stage, page, totalPages, percent, message } = event;
+    job.progress = { stage, page, totalPages, percent, message };
+  }
+});
+
+const getJob = (id) => jobs.get(id);
+
+// Most recent jobs first
+const listJobs = ({ owner, status, limit = 50 } = {}) => [...jobs.values()]
+  .filter(job => (!owner || job.owner === owner) && (!status || job.status === status))
+  .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+  .slice(0, limit);
+
+// Paths of the files uploaded with a job's request
+const uploadPathsOf = (request) => {
+  // upload.fields() gives an object of arrays instead of a plain array
+  const { file, files = [] } = request;
+  return [file, ...(Array.isArray(files) ? files : Object.values(files).flat())]
+    .filter(Boolean)
+    .map(upload => upload.path);
+};
+
+// Uploaded files still needed by jobs that haven't finished, so the
+// retention sweeper leaves them alone
+const listPendingUploads = () => [...jobs.values()]
+  .filter(job => job.request)
+  .flatMap(job => uploadPathsOf(job.request));
+
+// Load persisted jobs and resume anything that was interrupted
+const startJobQueue = async () => {
+  const saved = await store.load([]);
+  for (const job of saved) {
+    jobs.set(job.id, job);
+  }
+
+  const interrupted = [...jobs.values()]
+    .filter(job => job.status === 'queued' || job.status === 'running')
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  for (const job of interrupted) {
+    if (job.request?.secretsWithheld) {
+      // Its passwords were only ever in memory. Nothing will run it, so
+      // its uploads go too.
+      for (const uploadPath of uploadPathsOf(job.request)) {
+        await fsp.unlink(uploadPath).catch(err => {
+          if (err.code !== 'ENOENT') console.error('Cleanup error:', err);
+        });
+      }
+      delete job.request;
+      job.status = 'failed';
+      job.finishedAt = new Date().toISOString();
+      job.error = { statusCode: 500, message: 'Job was interrupted by a server restart, submit it again with its passwords' };
+    } else if (job.request) {
+      job.status = 'queued';
+      job.startedAt = null;
+      queue.push(job.id);
+    } else {
+      job.status = 'failed';
+      job.finishedAt = new Date().toISOString();
+      job.error = { statusCode: 500, message: 'Job was interrupted by a server restart' };
+    }
+  }
+
+  if (interrupted.length > 0) {
+    console.log(`Resuming ${queue.length} interrupted jobs`);
+    await persistJobs();
+  }
+
+  started = true;
+  processQueue();
+};
+
+module.exports = {
+  registerOperation,
+  enqueueJob,
+  getJob,
+  listJobs,
+  listPendingUploads,
+  toPublicJob,
+  startJobQueue
+};
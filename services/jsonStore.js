@@ -0,0 +1,43 @@
+const path = require('path');
+const fsp = require('fs').promises;
+
+// Server state lives outside uploads/ so it is never served statically
+// (DATA_DIR, default ./data)
+const dataDir = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+// Small JSON file store. Writes are serialized and atomic (temp file +
+// rename) so a crash never leaves a half-written file behind.
+const createJsonStore = (filename) => {
+  const filePath = path.join(dataDir, filename);
+  let writeChain = Promise.resolve();
+
+  const load = async (fallback) => {
+    try {
+      return JSON.parse(await fsp.readFile(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Failed to load ${filename}:`, err);
+      }
+      return fallback;
+    }
+  };
+
+  const save = (data) => {
+    writeChain = writeChain
+      .then(async () => {
+        await fsp.mkdir(dataDir, { recursive: true });
+        const tempFile = `${filePath}.${process.pid}.tmp`;
+        await fsp.writeFile(tempFile, JSON.stringify(data, null, 2));
+        await fsp.rename(tempFile, filePath);
+      })
+      .catch(err => console.error(`Failed to persist ${filename}:`, err));
+    return writeChain;
+  };
+
+  return { load, save };
+};
+
+module.exports = {
+  dataDir,
+  createJsonStore
+};
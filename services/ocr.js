@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const Tesseract = require('tesseract.js');
+
+// Language data is read from a local directory (TESSDATA_DIR, default
+// ./tessdata) holding <lang>.traineddata or <lang>.traineddata.gz files.
+// Languages that aren't there are rejected, unless OCR_DOWNLOAD_LANGUAGES=true
+// lets them be downloaded from the CDN once and cached in the same directory.
+const tessdataDir = path.resolve(process.env.TESSDATA_DIR || path.join(__dirname, '..', 'tessdata'));
+const downloadMissing = process.env.OCR_DOWNLOAD_LANGUAGES === 'true';
+
+const OUTPUT_FORMATS = ['text', 'json', 'hocr', 'tsv'];
+
+// Parse a lang parameter ("eng", "eng+hin", "eng,deu" or a JSON array)
+// into a list of Tesseract language codes
+const parseLanguages = (input) => {
+  if (!input) return ['eng'];
+
+  let langs = input;
+  if (typeof input === 'string') {
+    const trimmed = input.trim();
+    langs = trimmed.startsWith('[') ? JSON.parse(trimmed) : trimmed.split(/[+,\s]+/);
+  }
+
+  langs = [...new Set(langs.map(lang => String(lang).trim()).filter(Boolean))];
+  if (langs.length === 0) return ['eng'];
+
+  const invalid = langs.filter(lang => !/^[a-z]{3}(_[a-z]+)*$/i.test(lang));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid language code(s): ${invalid.join(', ')}`);
+  }
+
+  return langs;
+};
+
+const hasLocalData = (lang, gzip) =>
+  fs.existsSync(path.join(tessdataDir, `${lang}.traineddata${gzip ? '.gz' : ''}`));
+
+// Languages available in the local traineddata directory
+const listLocalLanguages = () => {
+  try {
+    return [...new Set(fs.readdirSync(tessdataDir)
+      .filter(file => /\.traineddata(\.gz)?$/.test(file))
+      .map(file => file.replace(/\.traineddata(\.gz)?$/, '')))];
+  } catch (err) {
+    return [];
+  }
+};
+
+// Languages that can't be loaded right now (none when missing ones are
+// downloaded)
+const unavailableLanguages = (langs) => downloadMissing
+  ? []
+  : langs.filter(lang => !hasLocalData(lang, false) && !hasLocalData(lang, true));
+
+// Create a Tesseract worker. Log messages are printed as before and handed
+// to onLog so callers can turn them into progress events.
+const createOcrWorker = async (langs = ['eng'], onLog) => {
+  const langList = Array.isArray(langs) ? langs : parseLanguages(langs);
+  const missing = unavailableLanguages(langList);
+  if (missing.length > 0) {
+    throw Object.assign(new Error(`Language data not installed: ${missing.join(', ')}`), { statusCode: 400 });
+  }
+  fs.mkdirSync(tessdataDir, { recursive: true });
+
+  // Uncompressed files are picked up through the cache path; compressed
+  // ones need langPath. If anything is missing (only when downloads are
+  // enabled), fall back to the CDN and cache what gets downloaded.
+  const allLocal = langList.every(lang => hasLocalData(lang, false) || hasLocalData(lang, true));
+  const dataOptions = {
+    cachePath: tessdataDir,
+    ...(allLocal && {
+      langPath: tessdataDir,
+      gzip: langList.some(lang => !hasLocalData(lang, false))
+    })
+  };
+
+  // createWorker never settles when language data fails to load, so the
+  // failure reported to errorHandler is raced against it
+  let rejectLoad;
+  const loadFailed = new Promise((resolve, reject) => {
+    rejectLoad = reject;
+  });
+
+  const workerPromise = Tesseract.createWorker(langList, Tesseract.OEM.LSTM_ONLY, {
+    ...dataOptions,
+    logger: m => {
+      console.log(m);
+      if (onLog) onLog(m);
+    },
+    errorHandler: err => {
+      console.error('Tesseract error:', err);
+      rejectLoad(new Error(String(err)));
+    }
+  });
+
+  return Promise.race([workerPromise, loadFailed]);
+};
+
+const roundConfidence = (value) => Math.round(value * 100) / 100;
+
+// Flatten Tesseract's block > paragraph > line > word tree into separate
+// lists with bounding boxes and confidence scores
+const toStructuredOutput = (data) => {
+  const blocks = [];
+  const lines = [];
+  const words = [];
+
+  (data.blocks || []).forEach((block, blockIndex) => {
+    blocks.push({
+      index: blockIndex,
+      type: block.blocktype,
+      text: block.text,
+      confidence: roundConfidence(block.confidence),
+      bbox: block.bbox
+    });
+
+    block.paragraphs.forEach((paragraph, paragraphIndex) => {
+      paragraph.lines.forEach(line => {
+        const lineIndex = lines.length;
+        lines.push({
+          index: lineIndex,
+          block: blockIndex,
+          paragraph: paragraphIndex,
+          text: line.text.replace(/\n$/, ''),
+          confidence: roundConfidence(line.confidence),
+          bbox: line.bbox,
+          baseline: line.baseline
+        });
+
+        line.words.forEach(word => {
+          words.push({
+            index: words.length,
+            line: lineIndex,
+            text: word.text,
+            confidence: roundConfidence(word.confidence),
+            bbox: word.bbox
+          });
+        });
+      });
+    });
+  });
+
+  return { blocks, lines, words };
+};
+
+// Parse the requested output formats ("json,hocr" or an array)
+const parseOutputFormats = (input) => {
+  if (!input) return ['text'];
+
+  const formats = (Array.isArray(input) ? input : String(input).split(/[,\s]+/))
+    .map(format => format.trim().toLowerCase())
+    .filter(Boolean);
+
+  const invalid = formats.filter(format => !OUTPUT_FORMATS.includes(format));
+  if (invalid.length > 0) {
+    throw new Error(`Unsupported output format(s): ${invalid.join(', ')}. Use ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  return formats.length > 0 ? formats : ['text'];
+};
+
+// Recognize a single image with a short-lived worker. Returns the plain
+// text plus any extra formats that were asked for.
+const recognizeImage = async (image, { langs = ['eng'], formats = ['text'], onLog } = {}) => {
+  const worker = await createOcrWorker(langs, onLog);
+  try {
+    const { data } = await worker.recognize(image, {}, {
+      text: true,
+      blocks: formats.includes('json'),
+      hocr: formats.includes('hocr'),
+      tsv: formats.includes('tsv')
+    });
+
+    return {
+      text: data.text,
+      confidence: roundConfidence(data.confidence),
+      ...(formats.includes('json') && toStructuredOutput(data)),
+      ...(formats.includes('hocr') && { hocr: data.hocr }),
+      ...(formats.includes('tsv') && { tsv: data.tsv })
+    };
+  } finally {
+    await worker.terminate();
+  }
+};
+
+module.exports = {
+  parseLanguages,
+  parseOutputFormats,
+  listLocalLanguages,
+  unavailableLanguages,
+  createOcrWorker,
+  toStructuredOutput,
+  recognizeImage
+};
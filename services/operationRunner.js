@@ -0,0 +1,152 @@
+const path = require('path');
+const fsp = require('fs').promises;
+const { uploadDir } = require('../middleware/upload');
+const { invokeHandler } = require('./invokeHandler');
+const { createProgressReporter } = require('./progress');
+const { findFileRecord, unregisterFile } = require('./fileRegistry');
+const { verifyDownloadToken } = require('./downloadTokens');
+
+// Run the regular controllers on files that are already on the server, the
+// way pipelines and batches chain them: build the request a route would
+// have produced, invoke the handler and find the files it wrote from the
+// download links in its response.
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.gif': 'image/gif',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif'
+};
+
+const mimeTypeFor = (filename) => MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+
+// Options become the controller's req.body. Scalars are passed as strings,
+// the way they arrive in a multipart form; objects stay as they are for
+// the options that take JSON.
+const toRequestBody = (options = {}) => {
+  const body = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined || value === null || key === 'async' || key === 'operationId') continue;
+    body[key] = typeof value === 'object' ? value : String(value);
+  }
+  return body;
+};
+
+// Multer-style file object for a file already in uploads/
+const toUploadedFile = async ({ path: filePath, filename }, fieldname) => ({
+  fieldname,
+  originalname: filename,
+  mimetype: mimeTypeFor(filename),
+  destination: uploadDir,
+  filename: path.basename(filePath),
+  path: filePath,
+  size: (await fsp.stat(filePath)).size
+});
+
+// Every download URL in a controller response, split into the files it
+// produced (`url`) and bundles that only exist for download (`zipUrl`)
+const collectUrls = (value, found = { files: [], bundles: [] }) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectUrls(item, found));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if (key === 'url' && typeof item === 'string') {
+        found.files.push(item);
+      } else if (key === 'zipUrl' && typeof item === 'string') {
+        found.bundles.push(item);
+      } else {
+        collectUrls(item, found);
+      }
+    }
+  }
+  return found;
+};
+
+// Resolve one of our own download URLs back to the file it points at
+const fromDownloadUrl = (url) => {
+  const { key, filename } = verifyDownloadToken(url.split('/').pop());
+  return { path: path.join(uploadDir, key), filename, url };
+};
+
+// Copy of a response for reports, without links to files that may be gone
+const withoutUrls = (value) => {
+  if (Array.isArray(value)) return value.map(withoutUrls);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => key !== 'url' && key !== 'zipUrl')
+    .map(([key, item]) => [key, withoutUrls(item)]));
+};
+
+// Invoke a controller on files ({ path, filename }) for the user behind
+// parentReq. `as` is how the route hands them over: 'file' for
+// upload.single(), 'files' for upload.array(), or a field name for
+// upload.fields(). Returns the response plus the files it wrote
+// ({ path, filename, url }) and the registry keys of everything it
+// created, ZIP bundles included.
+const runOnFiles = async (handler, parentReq, files, { as = 'file', options } = {}) => {
+  const fieldname = as === 'file' || as === 'files' ? 'pdf' : as;
+  const uploaded = await Promise.all(files.map(file => toUploadedFile(file, fieldname)));
+
+  const req = {
+    body: toRequestBody(options),
+    query: {},
+    params: {},
+    headers: {},
+    get: () => undefined,
+    user: parentReq.user,
+    // The caller reports progress for the whole run
+    progress: createProgressReporter(undefined, parentReq.user?.id),
+    ...(as === 'file' && { file: uploaded[0] }),
+    ...(as === 'files' && { files: uploaded }),
+    ...(as !== 'file' && as !== 'files' && { files: { [as]: uploaded } })
+  };
+
+  const { statusCode, body } = await invokeHandler(handler, req);
+
+  const urls = collectUrls(body);
+  const created = new Set();
+  for (const url of [...urls.files, ...urls.bundles]) {
+    const record = findFileRecord(fromDownloadUrl(url).path);
+    if (record) created.add(record.key);
+  }
+
+  // Handlers may link one file more than once, e.g. a top-level url next
+  // to files[].url, but each file is a single output
+  const outputs = [];
+  const seen = new Set();
+  for (const output of urls.files.map(fromDownloadUrl)) {
+    const resolved = path.resolve(output.path);
+    if (seen.has(resolved)) continue;
+    seen.add(resolved);
+    outputs.push(output);
+  }
+
+  return {
+    statusCode,
+    body,
+    outputs,
+    created: [...created]
+  };
+};
+
+// Delete generated files (or directories) and forget their records
+const discardFiles = async (keys) => {
+  for (const key of keys) {
+    await fsp.rm(path.join(uploadDir, key), { recursive: true, force: true })
+      .catch(e => console.error('Cleanup error:', e));
+    await unregisterFile(key);
+  }
+};
+
+module.exports = {
+  mimeTypeFor,
+  runOnFiles,
+  withoutUrls,
+  discardFiles
+};
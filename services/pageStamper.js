@@ -0,0 +1,195 @@
+const { StandardFonts, rgb, degrees } = require('pdf-lib');
+
+// Helpers for stamping text and images onto existing pages (watermarks,
+// page numbers, headers). Positions are given in the page's visible frame,
+// i.e. with its /Rotate applied, so stamps come out upright however the
+// page is rotated.
+
+const FONTS = {
+  helvetica: StandardFonts.Helvetica,
+  'helvetica-bold': StandardFonts.HelveticaBold,
+  'helvetica-oblique': StandardFonts.HelveticaOblique,
+  times: StandardFonts.TimesRoman,
+  'times-bold': StandardFonts.TimesRomanBold,
+  'times-italic': StandardFonts.TimesRomanItalic,
+  courier: StandardFonts.Courier,
+  'courier-bold': StandardFonts.CourierBold
+};
+
+const POSITIONS = [
+  'center', 'tiled',
+  'top-left', 'top-center', 'top-right',
+  'bottom-left', 'bottom-center', 'bottom-right'
+];
+
+// Most stamps a tiled watermark may put on one page
+const MAX_TILES_PER_PAGE = 2000;
+
+// Embed one of the standard fonts by its short name
+const embedStandardFont = (pdfDoc, name = 'helvetica') => {
+  const key = String(name).toLowerCase();
+  const font = Object.hasOwn(FONTS, key) ? FONTS[key] : null;
+  if (!font) {
+    throw new Error(`Unknown font "${name}". Use ${Object.keys(FONTS).join(', ')}`);
+  }
+  return pdfDoc.embedFont(font);
+};
+
+// Parse "#rgb" or "#rrggbb" into a pdf-lib colour
+const parseColor = (value = '#000000') => {
+  const hex = String(value).trim().replace(/^#/, '');
+  const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+  if (!/^[0-9a-f]{6}$/i.test(full)) {
+    throw new Error(`Invalid color "${value}", use a hex value like #ff0000`);
+  }
+  const channel = (i) => parseInt(full.slice(i, i + 2), 16) / 255;
+  return rgb(channel(0), channel(2), channel(4));
+};
+
+// The standard fonts only cover WinAnsi, swap anything else for "?" so
+// user-supplied text (file names especially) can always be drawn
+const toEncodableText = (font, text) => {
+  const supported = new Set(font.getCharacterSet());
+  return Array.from(String(text), char => (supported.has(char.codePointAt(0)) ? char : '?')).join('');
+};
+
+// Visible size of a page and the rotation that produced it
+const getVisibleBox = (page) => {
+  const { x, y, width, height } = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const sideways = rotation === 90 || rotation === 270;
+  return {
+    x,
+    y,
+    width: sideways ? height : width,
+    height: sideways ? width : height,
+    pageWidth: width,
+    pageHeight: height,
+    rotation
+  };
+};
+
+// Map a point in the visible frame (origin bottom-left) to page space
+const toPageSpace = (box, vx, vy) => {
+  switch (box.rotation) {
+    case 90: return { x: box.x + box.pageWidth - vy, y: box.y + vx };
+    case 180: return { x: box.x + box.pageWidth - vx, y: box.y + box.pageHeight - vy };
+    case 270: return { x: box.x + vy, y: box.y + box.pageHeight - vx };
+    default: return { x: box.x + vx, y: box.y + vy };
+  }
+};
+
+// Map a rectangle in the visible frame to the page-space rectangle it covers
+const toPageRect = (box, { x, y, width, height }) => {
+  const a = toPageSpace(box, x, y);
+  const b = toPageSpace(box, x + width, y + height);
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y)
+  };
+};
+
+// Size of the axis-aligned box around a width x height element rotated by angle
+const rotatedExtent = (width, height, angle) => {
+  const radians = (angle * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  return { width: width * cos + height * sin, height: width * sin + height * cos };
+};
+
+// Centres (in the visible frame) at which to draw an element of the given
+// size for a position. "tiled" repeats it across the page in staggered rows.
+const placementCenters = (box, position, { width, height, angle = 0, margin = 36, spacing = 72 }) => {
+  const extent = rotatedExtent(width, height, angle);
+  const left = margin + extent.width / 2;
+  const right = box.width - margin - extent.width / 2;
+  const bottom = margin + extent.height / 2;
+  const top = box.height - margin - extent.height / 2;
+  const middleX = box.width / 2;
+  const middleY = box.height / 2;
+
+  switch (position) {
+    case 'center': return [{ x: middleX, y: middleY }];
+    case 'top-left': return [{ x: left, y: top }];
+    case 'top-center': return [{ x: middleX, y: top }];
+    case 'top-right': return [{ x: right, y: top }];
+    case 'bottom-left': return [{ x: left, y: bottom }];
+    case 'bottom-center': return [{ x: middleX, y: bottom }];
+    case 'bottom-right': return [{ x: right, y: bottom }];
+    case 'tiled': {
+      const stepX = extent.width + spacing;
+      const stepY = extent.height + spacing;
+
+      // Counted up front, a tiny stamp with no spacing would otherwise mean
+      // millions of drawing operations
+      const rows = Math.ceil((box.height + extent.height) / stepY);
+      const columns = Math.ceil((box.width + extent.width) / stepX) + 1;
+      if (!(rows * columns <= MAX_TILES_PER_PAGE)) {
+        throw Object.assign(new Error(`Tiled watermark would need more than ${MAX_TILES_PER_PAGE} stamps per page, use a larger size or spacing`), { statusCode: 400 });
+      }
+
+      const centers = [];
+      for (let row = 0, cy = stepY / 2; cy - extent.height / 2 < box.height; row++, cy += stepY) {
+        // Offset every other row by half a step so stamps don't line up in columns
+        for (let cx = row % 2 ? stepX : stepX / 2; cx - extent.width / 2 < box.width; cx += stepX) {
+          centers.push({ x: cx, y: cy });
+        }
+      }
+      return centers;
+    }
+    default:
+      throw new Error(`Unknown position "${position}". Use ${POSITIONS.join(', ')}`);
+  }
+};
+
+// pdf-lib rotates drawn elements around their bottom-left corner. Work out
+// that corner and the page-space angle for an element centred at (cx, cy)
+// in the visible frame.
+const placeRotated = (box, { cx, cy, width, height, angle = 0 }) => {
+  const radians = (angle * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const vx = cx - (width / 2) * cos + (height / 2) * sin;
+  const vy = cy - (width / 2) * sin - (height / 2) * cos;
+  const { x, y } = toPageSpace(box, vx, vy);
+  return { x, y, rotate: degrees(angle + box.rotation) };
+};
+
+// Draw a line of text centred on (cx, cy) in the visible frame
+const drawCenteredText = (page, text, { cx, cy, font, size, color, opacity = 1, angle = 0 }) => {
+  const box = getVisibleBox(page);
+  const width = font.widthOfTextAtSize(text, size);
+  const height = font.heightAtSize(size, { descender: false });
+  page.drawText(text, {
+    ...placeRotated(box, { cx, cy, width, height, angle }),
+    size,
+    font,
+    color,
+    opacity
+  });
+};
+
+// Draw an embedded image centred on (cx, cy) in the visible frame
+const drawCenteredImage = (page, image, { cx, cy, width, height, opacity = 1, angle = 0 }) => {
+  const box = getVisibleBox(page);
+  page.drawImage(image, {
+    ...placeRotated(box, { cx, cy, width, height, angle }),
+    width,
+    height,
+    opacity
+  });
+};
+
+module.exports = {
+  POSITIONS,
+  embedStandardFont,
+  parseColor,
+  toEncodableText,
+  getVisibleBox,
+  toPageRect,
+  placementCenters,
+  drawCenteredText,
+  drawCenteredImage
+};
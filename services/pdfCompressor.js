@@ -0,0 +1,534 @@
+const zlib = require('zlib');
+const sharp = require('sharp');
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFNumber,
+  PDFRawStream,
+  PDFStream,
+  decodePDFRawStream
+} = require('pdf-lib');
+
+// Image settings per compression level. Flate (lossless) images are only
+// converted to JPEG from "medium" upwards.
+const LEVELS = {
+  low: { targetDpi: 200, quality: 85, convertLossless: false },
+  medium: { targetDpi: 150, quality: 72, convertLossless: true },
+  high: { targetDpi: 96, quality: 55, convertLossless: true }
+};
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// m1 x m2 for PDF transformation matrices [a b c d e f]
+const multiply = (m1, m2) => [
+  m1[0] * m2[0] + m1[1] * m2[2],
+  m1[0] * m2[1] + m1[1] * m2[3],
+  m1[2] * m2[0] + m1[3] * m2[2],
+  m1[2] * m2[1] + m1[3] * m2[3],
+  m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+  m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+];
+
+const isWhitespace = (c) => c === 0x00 || c === 0x09 || c === 0x0a || c === 0x0c || c === 0x0d || c === 0x20;
+const isDelimiter = (c) => c === 0x28 || c === 0x29 || c === 0x3c || c === 0x3e || c === 0x5b ||
+  c === 0x5d || c === 0x7b || c === 0x7d || c === 0x2f || c === 0x25;
+
+// Minimal content stream scanner: calls onOperator(operator, operands)
+// where operands only keep numbers and names, which is all the image
+// placement tracking below needs
+const scanContentStream = (bytes, onOperator) => {
+  const n = bytes.length;
+  let i = 0;
+  let operands = [];
+
+  const readRegular = () => {
+    const start = i;
+    while (i < n && !isWhitespace(bytes[i]) && !isDelimiter(bytes[i])) i++;
+    return Buffer.from(bytes.subarray(start, i)).toString('latin1');
+  };
+
+  while (i < n) {
+    const c = bytes[i];
+
+    if (isWhitespace(c)) {
+      i++;
+    } else if (c === 0x25) { // % comment
+      while (i < n && bytes[i] !== 0x0a && bytes[i] !== 0x0d) i++;
+    } else if (c === 0x28) { // (literal string)
+      let depth = 1;
+      i++;
+      while (i < n && depth > 0) {
+        if (bytes[i] === 0x5c) {
+          i += 2;
+          continue;
+        }
+        if (bytes[i] === 0x28) depth++;
+        if (bytes[i] === 0x29) depth--;
+        i++;
+      }
+      operands.push(null);
+    } else if (c === 0x3c && bytes[i + 1] !== 0x3c) { // <hex string>
+      while (i < n && bytes[i] !== 0x3e) i++;
+      i++;
+      operands.push(null);
+    } else if (c === 0x3c || c === 0x3e || c === 0x5b || c === 0x5d || c === 0x7b || c === 0x7d) {
+      i += (c === 0x3c || c === 0x3e) && bytes[i + 1] === c ? 2 : 1;
+    } else if (c === 0x2f) { // /Name
+      i++;
+      operands.push({ name: readRegular() });
+    } else {
+      const token = readRegular();
+      if (!token) {
+        i++;
+      } else if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+        operands.push(parseFloat(token));
+      } else if (token === 'true' || token === 'false' || token === 'null') {
+        operands.push(null);
+      } else if (token === 'BI') {
+        // Skip inline image data up to the EI operator
+        while (i < n && !(bytes[i - 1] !== undefined && isWhitespace(bytes[i - 1]) &&
+          bytes[i] === 0x45 && bytes[i + 1] === 0x49 &&
+          (i + 2 >= n || isWhitespace(bytes[i + 2])))) {
+          i++;
+        }
+        i += 2;
+        operands = [];
+      } else {
+        onOperator(token, operands);
+        operands = [];
+      }
+    }
+  }
+};
+
+// Decoded bytes of a stream object, or null if it uses an unsupported filter
+const readStreamBytes = (stream) => {
+  try {
+    if (stream instanceof PDFRawStream) {
+      return decodePDFRawStream(stream).decode();
+    }
+    if (typeof stream.getUnencodedContents === 'function') {
+      return stream.getUnencodedContents();
+    }
+  } catch (err) {
+    console.log('Could not decode content stream:', err.message);
+  }
+  return null;
+};
+
+const pageContentBytes = (page) => {
+  const contents = page.node.Contents();
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+    : [contents];
+
+  const chunks = [];
+  for (const stream of streams) {
+    if (!(stream instanceof PDFStream)) continue;
+    const bytes = readStreamBytes(stream);
+    if (!bytes) return null;
+    chunks.push(Buffer.from(bytes), Buffer.from('\n'));
+  }
+  return Buffer.concat(chunks);
+};
+
+// Walk every page (and nested form XObjects) and record the largest size,
+// in points, at which each image is drawn. Keyed by image ref string.
+const collectImagePlacements = (pdfDoc) => {
+  const placements = new Map();
+  const context = pdfDoc.context;
+
+  const walk = (bytes, resources, startCtm, pageNumber, depth) => {
+    if (!bytes || depth > 8) return;
+
+    const xObjects = resources ? resources.lookupMaybe(PDFName.of('XObject'), PDFDict) : null;
+    const stack = [];
+    let ctm = startCtm;
+
+    scanContentStream(bytes, (op, operands) => {
+      if (op === 'q') {
+        stack.push(ctm);
+      } else if (op === 'Q') {
+        ctm = stack.pop() || startCtm;
+      } else if (op === 'cm' && operands.length === 6 && operands.every(v => typeof v === 'number')) {
+        ctm = multiply(operands, ctm);
+      } else if (op === 'Do' && xObjects && operands[0]?.name) {
+        const ref = xObjects.get(PDFName.of(operands[0].name));
+        const xObject = context.lookup(ref);
+        if (!(ref instanceof PDFRef) || !(xObject instanceof PDFStream)) return;
+
+        const subtype = xObject.dict.lookup(PDFName.of('Subtype'));
+        if (subtype === PDFName.of('Image')) {
+          const width = Math.hypot(ctm[0], ctm[1]);
+          const height = Math.hypot(ctm[2], ctm[3]);
+          const key = ref.toString();
+          const existing = placements.get(key);
+
+          placements.set(key, {
+            width: Math.max(width, existing?.width || 0),
+            height: Math.max(height, existing?.height || 0),
+            page: existing?.page || pageNumber
+          });
+        } else if (subtype === PDFName.of('Form')) {
+          const matrix = xObject.dict.lookupMaybe(PDFName.of('Matrix'), PDFArray);
+          const formMatrix = matrix
+            ? matrix.asArray().map(v => (v instanceof PDFNumber ? v.asNumber() : 0))
+            : IDENTITY;
+          const formResources = xObject.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources;
+          walk(readStreamBytes(xObject), formResources, multiply(formMatrix, ctm), pageNumber, depth + 1);
+        }
+      }
+    });
+  };
+
+  pdfDoc.getPages().forEach((page, index) => {
+    walk(pageContentBytes(page), page.node.Resources(), IDENTITY, index + 1, 0);
+  });
+
+  return placements;
+};
+
+// Undo PNG row predictors (DecodeParms /Predictor 10-15)
+const removePngPredictor = (data, columns, colors, bitsPerComponent) => {
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowLength = Math.ceil((columns * colors * bitsPerComponent) / 8);
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const output = Buffer.alloc(rows * rowLength);
+
+  for (let row = 0; row < rows; row++) {
+    const filter = data[row * (rowLength + 1)];
+    const inOffset = row * (rowLength + 1) + 1;
+    const outOffset = row * rowLength;
+
+    for (let x = 0; x < rowLength; x++) {
+      const raw = data[inOffset + x];
+      const left = x >= bytesPerPixel ? output[outOffset + x - bytesPerPixel] : 0;
+      const up = row > 0 ? output[outOffset - rowLength + x] : 0;
+      const upLeft = row > 0 && x >= bytesPerPixel ? output[outOffset - rowLength + x - bytesPerPixel] : 0;
+
+      let value;
+      switch (filter) {
+        case 1: value = raw + left; break;
+        case 2: value = raw + up; break;
+        case 3: value = raw + Math.floor((left + up) / 2); break;
+        case 4: {
+          const p = left + up - upLeft;
+          const pa = Math.abs(p - left);
+          const pb = Math.abs(p - up);
+          const pc = Math.abs(p - upLeft);
+          value = raw + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+          break;
+        }
+        default: value = raw;
+      }
+      output[outOffset + x] = value & 0xff;
+    }
+  }
+
+  return output;
+};
+
+// Number of colour components for the colour spaces we can re-encode
+const componentCount = (context, colorSpace) => {
+  if (colorSpace === PDFName.of('DeviceRGB')) return 3;
+  if (colorSpace === PDFName.of('DeviceGray')) return 1;
+
+  if (colorSpace instanceof PDFArray) {
+    const family = colorSpace.lookup(0);
+    if (family === PDFName.of('ICCBased')) {
+      const profile = colorSpace.lookup(1);
+      const n = profile instanceof PDFStream ? profile.dict.lookup(PDFName.of('N')) : null;
+      return n instanceof PDFNumber ? n.asNumber() : null;
+    }
+    if (family === PDFName.of('CalRGB')) return 3;
+    if (family === PDFName.of('CalGray')) return 1;
+  }
+
+  return null;
+};
+
+// Load an image XObject into sharp. Returns null (with a reason) for
+// images we can't safely re-encode.
+const openImage = async (context, stream) => {
+  const dict = stream.dict;
+  const filter = dict.lookup(PDFName.of('Filter'));
+  const filters = filter instanceof PDFArray ? filter.asArray() : filter ? [filter] : [];
+  const width = dict.lookup(PDFName.of('Width'), PDFNumber).asNumber();
+  const height = dict.lookup(PDFName.of('Height'), PDFNumber).asNumber();
+
+  if (dict.lookup(PDFName.of('ImageMask'))) return { reason: 'stencil mask' };
+  if (dict.lookup(PDFName.of('Decode'))) return { reason: 'custom decode array' };
+  if (!(stream instanceof PDFRawStream)) return { reason: 'unsupported stream' };
+
+  const channels = componentCount(context, dict.lookup(PDFName.of('ColorSpace')));
+  if (channels !== 1 && channels !== 3) return { reason: 'unsupported colour space' };
+
+  if (filters.length === 1 && filters[0] === PDFName.of('DCTDecode')) {
+    const image = sharp(Buffer.from(stream.contents));
+    const metadata = await image.metadata();
+    if (metadata.space === 'cmyk') return { reason: 'CMYK JPEG' };
+    return { image, width, height, channels, lossless: false };
+  }
+
+  if (filters.length === 1 && filters[0] === PDFName.of('FlateDecode')) {
+    const bitsPerComponent = dict.lookup(PDFName.of('BitsPerComponent'), PDFNumber).asNumber();
+    if (bitsPerComponent !== 8) return { reason: `${bitsPerComponent}-bit image` };
+
+    let data = zlib.inflateSync(Buffer.from(stream.contents));
+    const params = dict.lookupMaybe(PDFName.of('DecodeParms'), PDFDict);
+    const predictor = params?.lookupMaybe(PDFName.of('Predictor'), PDFNumber)?.asNumber() || 1;
+
+    if (predictor >= 10) {
+      data = removePngPredictor(data, width, channels, bitsPerComponent);
+    } else if (predictor !== 1) {
+      return { reason: 'TIFF predictor' };
+    }
+
+    if (data.length < width * height * channels) return { reason: 'truncated image data' };
+
+    const image = sharp(data.subarray(0, width * height * channels), {
+      raw: { width, height, channels }
+    });
+    return { image, width, height, channels, lossless: true };
+  }
+
+  return { reason: `unsupported filter ${filters.map(f => f.toString()).join(' ')}` };
+};
+
+// Downsample and re-encode every raster image. Returns a per-image report.
+const recompressImages = async (pdfDoc, settings) => {
+  const context = pdfDoc.context;
+  const placements = collectImagePlacements(pdfDoc);
+  const report = [];
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFStream)) continue;
+    if (object.dict.lookup(PDFName.of('Subtype')) !== PDFName.of('Image')) continue;
+
+    const key = ref.toString();
+    const placement = placements.get(key);
+    const originalSize = object.getContentsSize();
+    const entry = { ref: key, page: placement?.page || null, originalSize };
+
+    try {
+      const opened = await openImage(context, object);
+      if (!opened.image) {
+        report.push({ ...entry, action: 'skipped', reason: opened.reason });
+        continue;
+      }
+
+      const { image, width, height, channels, lossless } = opened;
+      entry.originalWidth = width;
+      entry.originalHeight = height;
+
+      // Effective resolution at the largest size the image is drawn
+      let scale = 1;
+      if (placement && placement.width > 0 && placement.height > 0) {
+        const dpi = Math.min(width / (placement.width / 72), height / (placement.height / 72));
+        entry.effectiveDpi = Math.round(dpi);
+        if (dpi > settings.targetDpi * 1.1) {
+          scale = settings.targetDpi / dpi;
+        }
+      }
+
+      const newWidth = Math.max(1, Math.round(width * scale));
+      const newHeight = Math.max(1, Math.round(height * scale));
+      if (scale < 1) {
+        image.resize(newWidth, newHeight, { fit: 'fill' });
+      }
+
+      const keepLossless = lossless && !settings.convertLossless;
+      if (keepLossless && scale === 1) {
+        report.push({ ...entry, action: 'skipped', reason: 'already at target resolution' });
+        continue;
+      }
+
+      let newStream;
+      if (keepLossless) {
+        const raw = await image.raw().toBuffer();
+        newStream = context.flateStream(raw, {});
+      } else {
+        const jpeg = await image.jpeg({ quality: settings.quality, mozjpeg: true }).toBuffer();
+        newStream = context.stream(jpeg, { Filter: 'DCTDecode' });
+      }
+
+      if (newStream.getContentsSize() >= originalSize) {
+        report.push({ ...entry, action: 'skipped', reason: 'no size reduction' });
+        continue;
+      }
+
+      // Keep everything about the image except how its data is encoded
+      for (const [name, value] of object.dict.entries()) {
+        if (['Filter', 'DecodeParms', 'Length', 'Width', 'Height', 'BitsPerComponent'].includes(name.asString().slice(1))) continue;
+        newStream.dict.set(name, value);
+      }
+      newStream.dict.set(PDFName.of('Width'), PDFNumber.of(newWidth));
+      newStream.dict.set(PDFName.of('Height'), PDFNumber.of(newHeight));
+      newStream.dict.set(PDFName.of('BitsPerComponent'), PDFNumber.of(8));
+      context.assign(ref, newStream);
+
+      report.push({
+        ...entry,
+        action: 'recompressed',
+        channels,
+        newWidth,
+        newHeight,
+        newSize: newStream.getContentsSize(),
+        savedBytes: originalSize - newStream.getContentsSize()
+      });
+    } catch (err) {
+      report.push({ ...entry, action: 'skipped', reason: err.message });
+    }
+  }
+
+  return report;
+};
+
+// Call visit(ref) for every indirect reference inside a PDF object
+const forEachRef = (object, visit) => {
+  if (object instanceof PDFRef) {
+    visit(object);
+  } else if (object instanceof PDFDict) {
+    for (const [, value] of object.entries()) forEachRef(value, visit);
+  } else if (object instanceof PDFArray) {
+    object.asArray().forEach(value => forEachRef(value, visit));
+  } else if (object instanceof PDFStream) {
+    forEachRef(object.dict, visit);
+  }
+};
+
+// Point every reference in the document at its replacement
+const rewriteRefs = (context, replacements) => {
+  const rewrite = (object) => {
+    if (object instanceof PDFDict) {
+      for (const [key, value] of object.entries()) {
+        if (value instanceof PDFRef && replacements.has(value.toString())) {
+          object.set(key, replacements.get(value.toString()));
+        } else {
+          rewrite(value);
+        }
+      }
+    } else if (object instanceof PDFArray) {
+      object.asArray().forEach((value, index) => {
+        if (value instanceof PDFRef && replacements.has(value.toString())) {
+          object.set(index, replacements.get(value.toString()));
+        } else {
+          rewrite(value);
+        }
+      });
+    } else if (object instanceof PDFStream) {
+      rewrite(object.dict);
+    }
+  };
+
+  for (const [, object] of context.enumerateIndirectObjects()) rewrite(object);
+  Object.values(context.trailerInfo).forEach(rewrite);
+};
+
+// Merge byte-identical objects matched by the predicate. Used for embedded
+// font programs, then font descriptors, then fonts, so a font embedded
+// once per merged source document ends up stored only once.
+const dedupeObjects = (context, predicate) => {
+  const seen = new Map();
+  const replacements = new Map();
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (!predicate(object, context)) continue;
+
+    const fingerprint = object instanceof PDFRawStream
+      ? `${object.dict.toString()}:${Buffer.from(object.contents).toString('base64')}`
+      : object.toString();
+
+    if (seen.has(fingerprint)) {
+      replacements.set(ref.toString(), seen.get(fingerprint));
+    } else {
+      seen.set(fingerprint, ref);
+    }
+  }
+
+  if (replacements.size > 0) rewriteRefs(context, replacements);
+  return replacements.size;
+};
+
+const fontFileRefs = (context) => {
+  const refs = new Set();
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    if (object instanceof PDFDict && object.lookup(PDFName.of('Type')) === PDFName.of('FontDescriptor')) {
+      ['FontFile', 'FontFile2', 'FontFile3'].forEach(key => {
+        const ref = object.get(PDFName.of(key));
+        if (ref instanceof PDFRef) refs.add(ref.toString());
+      });
+    }
+  }
+  return refs;
+};
+
+const dedupeFonts = (context) => {
+  const fontFiles = fontFileRefs(context);
+  let removed = 0;
+
+  const isType = (type) => (object) => object instanceof PDFDict &&
+    object.lookup(PDFName.of('Type')) === PDFName.of(type);
+
+  // Font programs first, then the dictionaries that point at them
+  const fontFileObjects = new Set(
+    context.enumerateIndirectObjects()
+      .filter(([ref]) => fontFiles.has(ref.toString()))
+      .map(([, object]) => object)
+  );
+  removed += dedupeObjects(context, object => fontFileObjects.has(object));
+  removed += dedupeObjects(context, isType('FontDescriptor'));
+  removed += dedupeObjects(context, isType('Font'));
+
+  return removed;
+};
+
+// Delete every indirect object that can't be reached from the trailer
+const removeUnusedObjects = (context) => {
+  const reachable = new Set();
+  const pending = [];
+
+  const visit = (ref) => {
+    const key = ref.toString();
+    if (reachable.has(key)) return;
+    reachable.add(key);
+    pending.push(ref);
+  };
+
+  Object.values(context.trailerInfo).forEach(value => forEachRef(value, visit));
+  while (pending.length > 0) {
+    forEachRef(context.lookup(pending.pop()), visit);
+  }
+
+  let removed = 0;
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref.toString())) {
+      context.delete(ref);
+      removed++;
+    }
+  }
+  return removed;
+};
+
+// Compress a loaded document in place: re-encode images, merge duplicate
+// fonts and drop unreachable objects
+const compressDocument = async (pdfDoc, level, overrides = {}) => {
+  const settings = { ...(Object.hasOwn(LEVELS, level) ? LEVELS[level] : LEVELS.medium) };
+  if (overrides.targetDpi) settings.targetDpi = overrides.targetDpi;
+  if (overrides.quality) settings.quality = overrides.quality;
+
+  const images = await recompressImages(pdfDoc, settings);
+  const duplicateFontObjects = dedupeFonts(pdfDoc.context);
+  const unusedObjects = removeUnusedObjects(pdfDoc.context);
+
+  return { settings, images, duplicateFontObjects, unusedObjects };
+};
+
+module.exports = {
+  LEVELS,
+  compressDocument,
+  removeUnusedObjects
+};
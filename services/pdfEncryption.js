@@ -0,0 +1,122 @@
+const { PDFDocument, PDFDict, PDFName, PDFNumber, PDFBool } = require('pdf-lib');
+const { openPdf } = require('./pdfRenderer');
+
+// Reading the standard security handler's /Encrypt dictionary: algorithm,
+// key length, permission bits and whether opening needs a password.
+
+const fail = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// PDF.js PasswordException code for a password that doesn't match
+const INCORRECT_PASSWORD = 2;
+
+const numberOf = (dict, key) => {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFNumber ? value.asNumber() : undefined;
+};
+
+const nameOf = (dict, key) => {
+  const value = dict?.lookup(PDFName.of(key));
+  return value instanceof PDFName ? value.decodeText() : undefined;
+};
+
+// Work out the cipher from V (and the crypt filters for V4 and up)
+const describeCipher = (encrypt) => {
+  const version = numberOf(encrypt, 'V') ?? 0;
+
+  if (version === 1) return { algorithm: 'RC4', keyLength: 40 };
+  if (version === 2 || version === 3) return { algorithm: 'RC4', keyLength: numberOf(encrypt, 'Length') ?? 40 };
+
+  if (version === 4 || version === 5) {
+    const filterName = nameOf(encrypt, 'StmF') ?? 'Identity';
+    const cryptFilters = encrypt.lookup(PDFName.of('CF'));
+    const method = filterName === 'Identity'
+      ? 'None'
+      : nameOf(cryptFilters instanceof PDFDict ? cryptFilters.lookup(PDFName.of(filterName)) : undefined, 'CFM');
+
+    if (method === 'AESV3') return { algorithm: 'AES', keyLength: 256 };
+    if (method === 'AESV2') return { algorithm: 'AES', keyLength: 128 };
+    if (method === 'V2') return { algorithm: 'RC4', keyLength: 128 };
+    if (method === 'None') return { algorithm: 'none', keyLength: 0 };
+  }
+
+  return { algorithm: 'unknown', keyLength: numberOf(encrypt, 'Length') ?? null };
+};
+
+// Decode /P. Bit numbers are 1-based as in the PDF specification; revision
+// 2 files only have the first four permissions, the others follow them.
+const describePermissions = (p, revision) => {
+  const bit = (n) => ((p >>> 0) & (1 << (n - 1))) !== 0;
+  const legacy = revision < 3;
+
+  const canPrint = bit(3);
+  const permissions = {
+    print: !canPrint ? 'none' : (legacy || bit(12) ? 'full' : 'low'),
+    modifyOther: bit(4),
+    extract: bit(5),
+    annotate: bit(6),
+    form: bit(6) || (!legacy && bit(9)),
+    accessibility: legacy ? bit(5) : bit(10),
+    assemble: legacy ? bit(4) : bit(11)
+  };
+
+  const restricted = Object.entries(permissions)
+    .filter(([, value]) => value === false || value === 'none' || value === 'low')
+    .map(([key]) => key);
+
+  return { permissions, restricted };
+};
+
+// Try to open the file with PDF.js: with no password to learn whether the
+// user password is empty, or with the given one to check it
+const checkPassword = async (bytes, password) => {
+  try {
+    const pdf = await openPdf(bytes, { password });
+    await pdf.destroy();
+    return 'ok';
+  } catch (err) {
+    if (err.name !== 'PasswordException') throw fail(`Could not open PDF: ${err.message}`);
+    return err.code === INCORRECT_PASSWORD ? 'incorrect' : 'needed';
+  }
+};
+
+// Report whether a PDF is encrypted and how. Throws (statusCode 400) when
+// the file cannot be parsed.
+const inspectEncryption = async (bytes) => {
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false, ignoreEncryption: true });
+  } catch (err) {
+    throw fail('Invalid or corrupted PDF file');
+  }
+
+  const encrypt = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Encrypt);
+  if (!(encrypt instanceof PDFDict)) {
+    return { encrypted: false };
+  }
+
+  const handler = nameOf(encrypt, 'Filter') ?? 'unknown';
+  if (handler !== 'Standard') {
+    // Certificate (public key) encryption, nothing a password can open
+    return { encrypted: true, handler, supported: false, ...describeCipher(encrypt) };
+  }
+
+  const revision = numberOf(encrypt, 'R') ?? 2;
+  const encryptMetadata = encrypt.lookup(PDFName.of('EncryptMetadata'));
+  const passwordCheck = await checkPassword(bytes);
+
+  return {
+    encrypted: true,
+    handler,
+    supported: true,
+    ...describeCipher(encrypt),
+    revision,
+    encryptMetadata: encryptMetadata instanceof PDFBool ? encryptMetadata.asBoolean() : true,
+    userPasswordRequired: passwordCheck !== 'ok',
+    ...describePermissions(numberOf(encrypt, 'P') ?? 0, revision)
+  };
+};
+
+module.exports = {
+  checkPassword,
+  inspectEncryption
+};
@@ -0,0 +1,203 @@
+const {
+  StandardFonts,
+  PDFTextField,
+  PDFCheckBox,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList,
+  PDFButton,
+  PDFSignature
+} = require('pdf-lib');
+const { toEncodableText } = require('./pageStamper');
+
+// AcroForm helpers on top of pdf-lib's PDFForm: describing fields with
+// their widgets, and filling them from a { name: value } object.
+
+const fieldType = (field) => {
+  if (field instanceof PDFTextField) return 'text';
+  if (field instanceof PDFCheckBox) return 'checkbox';
+  if (field instanceof PDFRadioGroup) return 'radio';
+  if (field instanceof PDFDropdown) return 'dropdown';
+  if (field instanceof PDFOptionList) return 'list';
+  if (field instanceof PDFButton) return 'button';
+  if (field instanceof PDFSignature) return 'signature';
+  return 'unknown';
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Map each annotation dictionary to the 1-based number of the page it sits on
+const indexWidgetPages = (pdfDoc) => {
+  const pages = new Map();
+  pdfDoc.getPages().forEach((page, index) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    for (let i = 0; i < annots.size(); i++) {
+      pages.set(annots.lookup(i), index + 1);
+    }
+  });
+  return pages;
+};
+
+const fieldValue = (field, type) => {
+  switch (type) {
+    case 'text': return field.getText() ?? '';
+    case 'checkbox': return field.isChecked();
+    case 'radio': return field.getSelected() ?? null;
+    case 'dropdown':
+    case 'list': return field.getSelected();
+    default: return null;
+  }
+};
+
+// Describe every field: type, current value, options, flags and where its
+// widgets are (rectangles in PDF points, origin bottom-left)
+const describeFields = (pdfDoc) => {
+  const form = pdfDoc.getForm();
+  const widgetPages = indexWidgetPages(pdfDoc);
+
+  return form.getFields().map(field => {
+    const type = fieldType(field);
+    const options = ['radio', 'dropdown', 'list'].includes(type) ? field.getOptions() : undefined;
+
+    const widgets = field.acroField.getWidgets().map((widget, index) => {
+      const { x, y, width, height } = widget.getRectangle();
+      let page = widgetPages.get(widget.dict);
+      if (page === undefined && widget.P()) {
+        const pageIndex = pdfDoc.getPages().findIndex(candidate => candidate.ref === widget.P());
+        page = pageIndex >= 0 ? pageIndex + 1 : undefined;
+      }
+      return {
+        page: page ?? null,
+        rect: { x: round(x), y: round(y), width: round(width), height: round(height) },
+        // Each radio button stands for one of the group's options
+        ...(type === 'radio' && options[index] !== undefined && { option: options[index] })
+      };
+    });
+
+    return {
+      name: field.getName(),
+      type,
+      value: fieldValue(field, type),
+      ...(options && { options }),
+      readOnly: field.isReadOnly(),
+      required: field.isRequired(),
+      ...(type === 'text' && {
+        multiline: field.isMultiline(),
+        maxLength: field.getMaxLength() ?? null
+      }),
+      ...(type === 'dropdown' && { editable: field.isEditable(), multiSelect: field.isMultiselect() }),
+      ...(type === 'list' && { multiSelect: field.isMultiselect() }),
+      page: widgets[0]?.page ?? null,
+      rect: widgets[0]?.rect ?? null,
+      widgets
+    };
+  });
+};
+
+const TRUE_VALUES = ['true', 'on', 'yes', '1', 'checked'];
+const FALSE_VALUES = ['false', 'off', 'no', '0', 'unchecked', ''];
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  throw new Error(`expects true or false, got "${value}"`);
+};
+
+const toChoices = (value) => (Array.isArray(value) ? value : [value]).map(String);
+
+// Work out how to set one field, throwing a message when the value doesn't
+// fit. Nothing is changed until every value has been checked.
+const planFieldValue = (field, type, value, font) => {
+  if (type === 'text') {
+    if (typeof value === 'object' && value !== null) {
+      throw new Error('expects a string');
+    }
+    const text = value === null ? '' : String(value);
+    const maxLength = field.getMaxLength();
+    if (maxLength !== undefined && text.length > maxLength) {
+      throw new Error(`is limited to ${maxLength} characters`);
+    }
+    // Line breaks aren't glyphs, the appearance generator handles them
+    const printable = text.replace(/\r\n|\r|\n/g, '');
+    if (toEncodableText(font, printable) !== printable) {
+      throw new Error('contains characters the form font cannot display');
+    }
+    return () => field.setText(text);
+  }
+
+  if (type === 'checkbox') {
+    const checked = value === null ? false : toBoolean(value);
+    return () => (checked ? field.check() : field.uncheck());
+  }
+
+  if (type === 'radio') {
+    if (value === null || value === '') return () => field.clear();
+    const options = field.getOptions();
+    if (!options.includes(String(value))) {
+      throw new Error(`must be one of ${options.join(', ')}`);
+    }
+    return () => field.select(String(value));
+  }
+
+  if (type === 'dropdown' || type === 'list') {
+    if (value === null || (Array.isArray(value) && value.length === 0)) return () => field.clear();
+    const choices = toChoices(value);
+    if (choices.length > 1 && !field.isMultiselect()) {
+      throw new Error('accepts a single option');
+    }
+    const options = field.getOptions();
+    const unknown = choices.filter(choice => !options.includes(choice));
+    // Editable dropdowns (combo boxes) also take free text
+    if (unknown.length > 0 && !(type === 'dropdown' && field.isEditable())) {
+      throw new Error(`must be one of ${options.join(', ')}`);
+    }
+    if (unknown.some(choice => toEncodableText(font, choice) !== choice)) {
+      throw new Error('contains characters the form font cannot display');
+    }
+    return () => field.select(choices.length === 1 ? choices[0] : choices);
+  }
+
+  throw new Error(`is a ${type} field and cannot be filled`);
+};
+
+// Fill fields from a { name: value } object. Every value is validated
+// first; when any is rejected nothing is changed and the problems are
+// returned instead.
+const fillFields = async (pdfDoc, values) => {
+  const form = pdfDoc.getForm();
+  // pdf-lib regenerates field appearances with Helvetica
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+  const errors = [];
+  const updates = [];
+  for (const [name, value] of Object.entries(values)) {
+    const field = form.getFieldMaybe(name);
+    if (!field) {
+      errors.push({ field: name, error: 'No such field in this form' });
+      continue;
+    }
+
+    const type = fieldType(field);
+    try {
+      updates.push(planFieldValue(field, type, value, font));
+    } catch (err) {
+      errors.push({ field: name, error: `${type} field ${err.message}` });
+    }
+  }
+
+  if (errors.length > 0) {
+    return { filled: [], errors };
+  }
+
+  updates.forEach(update => update());
+  form.updateFieldAppearances(font);
+  return { filled: Object.keys(values), errors };
+};
+
+module.exports = {
+  describeFields,
+  fillFields
+};
@@ -0,0 +1,340 @@
+const { PDFName, PDFString, PDFHexString, PDFRawStream, PDFStream, decodePDFRawStream } = require('pdf-lib');
+
+// Reading and writing document metadata: the Info dictionary, the catalog
+// /Lang entry and the XMP packet. Edits are applied to Info and mirrored
+// into XMP so both stay in sync, as Acrobat does.
+
+const INFO_KEYS = {
+  title: 'Title',
+  author: 'Author',
+  subject: 'Subject',
+  keywords: 'Keywords',
+  creator: 'Creator',
+  producer: 'Producer',
+  creationDate: 'CreationDate',
+  modificationDate: 'ModDate'
+};
+const DATE_FIELDS = ['creationDate', 'modificationDate'];
+const STANDARD_INFO_KEYS = new Set([...Object.values(INFO_KEYS), 'Trapped']);
+
+const NAMESPACES = {
+  dc: 'http://purl.org/dc/elements/1.1/',
+  xmp: 'http://ns.adobe.com/xap/1.0/',
+  pdf: 'http://ns.adobe.com/pdf/1.3/',
+  // Custom Info keys, the namespace Acrobat uses for them
+  pdfx: 'http://ns.adobe.com/pdfx/1.3/'
+};
+
+// XMP properties kept in sync with the Info dictionary
+const XMP_PROPERTIES = {
+  title: { name: 'dc:title', container: 'Alt' },
+  author: { name: 'dc:creator', container: 'Seq' },
+  subject: { name: 'dc:description', container: 'Alt' },
+  keywords: { name: 'pdf:Keywords' },
+  creator: { name: 'xmp:CreatorTool' },
+  producer: { name: 'pdf:Producer' },
+  creationDate: { name: 'xmp:CreateDate' },
+  modificationDate: { name: 'xmp:ModifyDate' },
+  language: { name: 'dc:language', container: 'Bag' }
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Decode an Info dictionary value to a string (dates to ISO strings)
+const decodeInfoValue = (key, value) => {
+  if (value instanceof PDFString || value instanceof PDFHexString) {
+    if (key === 'CreationDate' || key === 'ModDate') {
+      try {
+        return value.decodeDate().toISOString();
+      } catch (err) {
+        // Not a valid PDF date, fall back to the raw text
+      }
+    }
+    return value.decodeText();
+  }
+  if (value instanceof PDFName) return value.decodeText();
+  return value ? value.toString() : null;
+};
+
+// The XMP packet of the document as a string, or null
+const readXmpPacket = (pdfDoc) => {
+  const stream = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+  if (!(stream instanceof PDFStream)) return null;
+
+  const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+  return Buffer.from(bytes).toString('utf8');
+};
+
+// Read one XMP property, in element or attribute form. Containers come
+// back as arrays.
+const readXmpProperty = (xml, name) => {
+  const pattern = escapeRegExp(name);
+  const element = xml.match(new RegExp(`<${pattern}(?:\\s[^>]*)?>([\\s\\S]*?)</${pattern}>`));
+  if (element) {
+    const items = [...element[1].matchAll(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/g)];
+    return items.length > 0
+      ? items.map(item => unescapeXml(item[1].trim()))
+      : unescapeXml(element[1].trim());
+  }
+
+  const attribute = xml.match(new RegExp(`\\s${pattern}="([^"]*)"`));
+  return attribute ? unescapeXml(attribute[1]) : undefined;
+};
+
+const readXmpFields = (xml) => {
+  const fields = {};
+  for (const [field, { name, container }] of Object.entries(XMP_PROPERTIES)) {
+    const value = readXmpProperty(xml, name);
+    if (value === undefined) continue;
+    fields[field] = Array.isArray(value) && container !== 'Seq' && container !== 'Bag' ? value[0] : value;
+  }
+
+  // Keywords are sometimes only stored as a dc:subject bag
+  if (!fields.keywords) {
+    const subject = readXmpProperty(xml, 'dc:subject');
+    if (subject) fields.keywords = Array.isArray(subject) ? subject.join(', ') : subject;
+  }
+
+  const metadataDate = readXmpProperty(xml, 'xmp:MetadataDate');
+  if (metadataDate) fields.metadataDate = metadataDate;
+
+  // PDF/A identification, useful to know before editing
+  const part = readXmpProperty(xml, 'pdfaid:part');
+  if (part) fields.pdfa = `${part}${readXmpProperty(xml, 'pdfaid:conformance') || ''}`;
+
+  const custom = {};
+  for (const [, name] of xml.matchAll(/<pdfx:([\w.-]+)[\s>]/g)) {
+    custom[name] = readXmpProperty(xml, `pdfx:${name}`);
+  }
+  if (Object.keys(custom).length > 0) fields.custom = custom;
+
+  return fields;
+};
+
+// Everything a client may want to know about a document's metadata
+const readMetadata = (pdfDoc, { includeXmp = false } = {}) => {
+  const infoDict = pdfDoc.getInfoDict();
+  const info = {};
+  const custom = {};
+
+  for (const [key, value] of infoDict.entries()) {
+    const name = key.decodeText();
+    const field = Object.keys(INFO_KEYS).find(f => INFO_KEYS[f] === name);
+    const decoded = decodeInfoValue(name, infoDict.lookup(key) || value);
+    if (field) {
+      info[field] = decoded;
+    } else if (name === 'Trapped') {
+      info.trapped = decoded;
+    } else {
+      custom[name] = decoded;
+    }
+  }
+
+  const lang = pdfDoc.catalog.lookup(PDFName.of('Lang'));
+  const xmpPacket = readXmpPacket(pdfDoc);
+
+  return {
+    info: { ...info, custom },
+    language: lang ? decodeInfoValue('Lang', lang) : null,
+    xmp: xmpPacket
+      ? { present: true, fields: readXmpFields(xmpPacket), ...(includeXmp && { packet: xmpPacket }) }
+      : { present: false }
+  };
+};
+
+// Validate a change set from a request. Fields set to null or "" are
+// removed, dates accept ISO strings or "now".
+const normalizeMetadataChanges = (changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new Error('metadata must be an object');
+  }
+
+  const normalized = {};
+  for (const [field, value] of Object.entries(changes)) {
+    if (field === 'custom') continue;
+    if (!INFO_KEYS[field] && field !== 'language') {
+      throw new Error(`Unknown metadata field "${field}". Use ${[...Object.keys(INFO_KEYS), 'language', 'custom'].join(', ')}`);
+    }
+
+    if (value === null || value === '') {
+      normalized[field] = null;
+    } else if (DATE_FIELDS.includes(field)) {
+      const date = value === 'now' ? new Date() : new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`${field} must be an ISO date or "now"`);
+      }
+      normalized[field] = date;
+    } else if (field === 'keywords') {
+      normalized[field] = Array.isArray(value) ? value.map(String) : String(value).split(/\s*[,;]\s*/).filter(Boolean);
+    } else {
+      normalized[field] = String(value);
+    }
+  }
+
+  if (changes.custom !== undefined) {
+    if (!changes.custom || typeof changes.custom !== 'object' || Array.isArray(changes.custom)) {
+      throw new Error('custom must be an object of key/value pairs');
+    }
+    normalized.custom = {};
+    for (const [key, value] of Object.entries(changes.custom)) {
+      if (!/^[A-Za-z][\w.-]{0,63}$/.test(key)) {
+        throw new Error(`Invalid custom key "${key}"`);
+      }
+      if (STANDARD_INFO_KEYS.has(key)) {
+        throw new Error(`"${key}" is a standard field, set it directly instead of under custom`);
+      }
+      normalized.custom[key] = value === null || value === '' ? null : String(value);
+    }
+  }
+
+  return normalized;
+};
+
+const serializeXmpProperty = (name, container, value) => {
+  if (!container) return `<${name}>${escapeXml(value)}</${name}>`;
+
+  const values = Array.isArray(value) ? value : [value];
+  const items = values.map(item => container === 'Alt'
+    ? `<rdf:li xml:lang="x-default">${escapeXml(item)}</rdf:li>`
+    : `<rdf:li>${escapeXml(item)}</rdf:li>`);
+  return `<${name}><rdf:${container}>${items.join('')}</rdf:${container}></${name}>`;
+};
+
+// Drop a property from every rdf:Description, in element or attribute form
+const removeXmpProperty = (xml, name) => {
+  const pattern = escapeRegExp(name);
+  return xml
+    .replace(new RegExp(`<${pattern}(?:\\s[^>]*)?>[\\s\\S]*?</${pattern}>`, 'g'), '')
+    .replace(new RegExp(`<${pattern}(?:\\s[^>]*)?/>`, 'g'), '')
+    .replace(new RegExp(`\\s${pattern}="[^"]*"`, 'g'), '');
+};
+
+// Rebuild the managed part of the XMP packet from the current Info values.
+// Properties we don't manage (PDF/A identification, other schemas) are kept.
+const writeXmpPacket = (pdfDoc) => {
+  const { info, language } = readMetadata(pdfDoc);
+  let xml = readXmpPacket(pdfDoc);
+
+  const properties = [];
+  const values = { ...info, language };
+  for (const [field, { name, container }] of Object.entries(XMP_PROPERTIES)) {
+    const value = values[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (field === 'author') {
+      properties.push(serializeXmpProperty(name, container, String(value).split(/\s*;\s*/)));
+    } else {
+      properties.push(serializeXmpProperty(name, container, value));
+    }
+  }
+  if (info.keywords) {
+    properties.push(serializeXmpProperty('dc:subject', 'Bag', info.keywords.split(/\s*[,;]\s*/).filter(Boolean)));
+  }
+  properties.push(serializeXmpProperty('xmp:MetadataDate', null, new Date().toISOString()));
+  for (const [key, value] of Object.entries(info.custom)) {
+    properties.push(serializeXmpProperty(`pdfx:${key}`, null, value));
+  }
+
+  const description = [
+    '<rdf:Description rdf:about=""',
+    ...Object.entries(NAMESPACES).map(([prefix, uri]) => ` xmlns:${prefix}="${uri}"`),
+    '>',
+    ...properties,
+    '</rdf:Description>'
+  ].join('');
+
+  if (xml && xml.includes('</rdf:RDF>')) {
+    for (const { name } of Object.values(XMP_PROPERTIES)) {
+      xml = removeXmpProperty(xml, name);
+    }
+    xml = removeXmpProperty(xml, 'dc:subject');
+    xml = removeXmpProperty(xml, 'xmp:MetadataDate');
+    xml = xml.replace(/<pdfx:([\w.-]+)(?:\s[^>]*)?>[\s\S]*?<\/pdfx:\1>/g, '');
+    xml = xml.replace('</rdf:RDF>', `${description}</rdf:RDF>`);
+  } else {
+    xml = [
+      '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+      '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+      description,
+      '</rdf:RDF>',
+      '</x:xmpmeta>',
+      '<?xpacket end="w"?>'
+    ].join('\n');
+  }
+
+  // XMP is stored uncompressed so other tools can find and read it
+  const stream = pdfDoc.context.stream(Buffer.from(xml, 'utf8'), {
+    Type: 'Metadata',
+    Subtype: 'XML'
+  });
+  pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(stream));
+};
+
+// Apply validated changes (see normalizeMetadataChanges) to Info, /Lang
+// and XMP
+const applyMetadata = (pdfDoc, changes) => {
+  const infoDict = pdfDoc.getInfoDict();
+
+  for (const [field, key] of Object.entries(INFO_KEYS)) {
+    if (!(field in changes)) continue;
+    const value = changes[field];
+    if (value === null) {
+      infoDict.delete(PDFName.of(key));
+    } else if (DATE_FIELDS.includes(field)) {
+      infoDict.set(PDFName.of(key), PDFString.fromDate(value));
+    } else if (field === 'keywords') {
+      infoDict.set(PDFName.of(key), PDFHexString.fromText(value.join(', ')));
+    } else {
+      infoDict.set(PDFName.of(key), PDFHexString.fromText(value));
+    }
+  }
+
+  for (const [key, value] of Object.entries(changes.custom || {})) {
+    if (value === null) {
+      infoDict.delete(PDFName.of(key));
+    } else {
+      infoDict.set(PDFName.of(key), PDFHexString.fromText(value));
+    }
+  }
+
+  if ('language' in changes) {
+    if (changes.language === null) {
+      pdfDoc.catalog.delete(PDFName.of('Lang'));
+    } else {
+      pdfDoc.catalog.set(PDFName.of('Lang'), PDFString.of(changes.language));
+    }
+  }
+
+  writeXmpPacket(pdfDoc);
+};
+
+// Remove the Info dictionary entries and the XMP packet
+const stripMetadata = (pdfDoc) => {
+  const infoDict = pdfDoc.getInfoDict();
+  for (const key of infoDict.keys()) {
+    infoDict.delete(key);
+  }
+  pdfDoc.catalog.delete(PDFName.of('Metadata'));
+};
+
+module.exports = {
+  readMetadata,
+  normalizeMetadataChanges,
+  applyMetadata,
+  stripMetadata
+};
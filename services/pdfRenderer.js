@@ -0,0 +1,74 @@
+const path = require('path');
+const sharp = require('sharp');
+
+// pdfjs-dist only ships ES modules, so it is loaded once on first use
+let pdfjsPromise;
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+};
+
+// Fonts for the 14 standard PDF fonts, needed to render documents that
+// don't embed them
+const standardFontDataUrl = path.join(
+  path.dirname(require.resolve('pdfjs-dist/package.json')),
+  'standard_fonts'
+) + path.sep;
+
+// Open a PDF for rendering with PDF.js. Encrypted files need their user
+// or owner password unless the user password is empty.
+const openPdf = async (data, { password } = {}) => {
+  const pdfjs = await loadPdfjs();
+  const loadingTask = pdfjs.getDocument({
+    data: new Uint8Array(data),
+    password,
+    standardFontDataUrl,
+    verbosity: 0
+  });
+  return loadingTask.promise;
+};
+
+// Render one page (1-based) at the given scale (1 = 72 DPI). Returns the
+// page as a sharp image of raw RGBA pixels plus its size in pixels. Pages
+// get a white background unless `transparent` is set.
+const renderPage = async (pdf, pageNumber, { scale = 1, transparent = false } = {}) => {
+  const page = await pdf.getPage(pageNumber);
+
+  try {
+    const viewport = page.getViewport({ scale });
+    const { canvas, context } = pdf.canvasFactory.create(
+      Math.ceil(viewport.width),
+      Math.ceil(viewport.height)
+    );
+
+    // Pages without a background are transparent, paint them white
+    if (!transparent) {
+      context.fillStyle = 'white';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    // PDF.js fills the canvas with its own background first, white unless
+    // a transparent one is passed
+    await page.render({
+      canvasContext: context,
+      viewport,
+      ...(transparent && { background: 'rgba(0, 0, 0, 0)' })
+    }).promise;
+
+    const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+    const image = sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+      raw: { width, height, channels: 4 }
+    });
+
+    return { image, width, height };
+  } finally {
+    page.cleanup();
+  }
+};
+
+module.exports = {
+  openPdf,
+  renderPage
+};
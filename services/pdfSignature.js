@@ -0,0 +1,718 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const {
+  PDFDocument,
+  PDFName,
+  PDFNumber,
+  PDFString,
+  PDFHexString,
+  PDFDict,
+  PDFArray,
+  PDFCrossRefStream,
+  StandardFonts,
+  rgb,
+  drawText,
+  drawImage,
+  pushGraphicsState,
+  popGraphicsState
+} = require('pdf-lib');
+const { getVisibleBox, toPageRect, placementCenters, toEncodableText } = require('./pageStamper');
+
+// Digital signatures with PKCS#12 credentials. Signatures are written as
+// PAdES baseline (ETSI.CAdES.detached) CMS objects in an incremental
+// update, so the original bytes, and any earlier signatures over them,
+// stay untouched. Verification checks each signature against the byte
+// ranges it covers; certificates are not checked against a trust store.
+
+const { asn1 } = forge;
+
+const OID = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+  timeStampToken: '1.2.840.113549.1.9.16.2.14',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  rsaPss: '1.2.840.113549.1.1.10',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2'
+};
+
+const DIGEST_ALGORITHMS = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+};
+
+// Room reserved for the CMS object on top of the certificates it embeds
+const SIGNATURE_OVERHEAD = 8192;
+const BYTE_RANGE_PLACEHOLDER = 9999999999;
+
+const fail = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// --- ASN.1 helpers ---
+
+const der = (node) => Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+const fromDer = (buffer) => asn1.fromDer(forge.util.createBuffer(Buffer.from(buffer).toString('binary')), {
+  parseAllBytes: false
+});
+const bytesOf = (node) => Buffer.from(node.value, 'binary');
+
+const sequence = (items) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, items);
+const set = (items) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, items);
+const tagged = (tag, items) => asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, true, items);
+const oid = (id) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(id).getBytes());
+const integer = (value) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(value).getBytes());
+const octets = (buffer) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, buffer.toString('binary'));
+const nullValue = () => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '');
+const algorithm = (id, withNull = false) => sequence([oid(id), ...(withNull ? [nullValue()] : [])]);
+const attribute = (id, value) => sequence([oid(id), set([value])]);
+
+const isTagged = (node, tag) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === tag;
+
+// Serial number and issuer name nodes of a DER certificate
+const certificateIds = (certificateDer) => {
+  const tbs = fromDer(certificateDer).value[0];
+  const offset = isTagged(tbs.value[0], 0) ? 1 : 0;
+  return { serial: tbs.value[offset], issuer: tbs.value[offset + 2] };
+};
+
+const normalizeSerial = (hex) => hex.toUpperCase().replace(/^0+(?=.)/, '');
+
+// --- Credentials ---
+
+// Read the private key and certificates from a .p12/.pfx file. The
+// signing certificate is the one matching the key, the rest are sent
+// along as its chain.
+const loadPkcs12 = (buffer, password = '') => {
+  let p12;
+  try {
+    p12 = forge.pkcs12.pkcs12FromAsn1(fromDer(buffer), String(password));
+  } catch (err) {
+    throw fail(/MAC|password/i.test(err.message)
+      ? 'Incorrect certificate password'
+      : 'Not a valid PKCS#12 (.p12/.pfx) file');
+  }
+
+  const { pkcs8ShroudedKeyBag, keyBag, certBag } = forge.pki.oids;
+  const keyBags = [
+    ...(p12.getBags({ bagType: pkcs8ShroudedKeyBag })[pkcs8ShroudedKeyBag] || []),
+    ...(p12.getBags({ bagType: keyBag })[keyBag] || [])
+  ];
+  const certBags = p12.getBags({ bagType: certBag })[certBag] || [];
+  if (keyBags.length === 0 || certBags.length === 0) {
+    throw fail('The certificate file must contain a private key and its certificate');
+  }
+
+  // node-forge only decodes RSA keys and certificates itself, anything else
+  // is handed to Node's crypto as raw DER
+  const keyBagEntry = keyBags[0];
+  const privateKey = keyBagEntry.key
+    ? crypto.createPrivateKey(forge.pki.privateKeyToPem(keyBagEntry.key))
+    : crypto.createPrivateKey({ key: der(keyBagEntry.asn1), format: 'der', type: 'pkcs8' });
+  if (!['rsa', 'ec'].includes(privateKey.asymmetricKeyType)) {
+    throw fail(`Unsupported key type "${privateKey.asymmetricKeyType}", use an RSA or EC certificate`);
+  }
+
+  const certificates = certBags.map(bag => new crypto.X509Certificate(
+    bag.cert ? der(forge.pki.certificateToAsn1(bag.cert)) : der(bag.asn1)
+  ));
+  const certificate = certificates.find(candidate => candidate.checkPrivateKey(privateKey));
+  if (!certificate) {
+    throw fail('None of the certificates in the file matches its private key');
+  }
+
+  const now = Date.now();
+  if (new Date(certificate.validTo).getTime() < now) {
+    throw fail(`The certificate expired on ${new Date(certificate.validTo).toISOString()}`);
+  }
+  if (new Date(certificate.validFrom).getTime() > now) {
+    throw fail(`The certificate is not valid before ${new Date(certificate.validFrom).toISOString()}`);
+  }
+
+  return {
+    privateKey,
+    certificate,
+    chain: certificates.filter(candidate => candidate !== certificate)
+  };
+};
+
+// Split an X.509 distinguished name ("CN=...\nO=...") into its parts
+const parseDistinguishedName = (name) => Object.fromEntries(String(name || '')
+  .split('\n')
+  .map(part => part.split('='))
+  .filter(([key, value]) => key && value !== undefined)
+  .map(([key, ...value]) => [key.trim(), value.join('=').trim()]));
+
+// --- CMS ---
+
+// Build the detached CMS SignedData for a digest of the signed byte
+// ranges: content type, message digest and the ESS signing-certificate-v2
+// attribute PAdES requires. The signing time goes into the signature
+// dictionary (/M) instead of the CMS, as PAdES baseline asks.
+const buildSignedData = (contentDigest, { privateKey, certificate, chain }) => {
+  const { serial, issuer } = certificateIds(certificate.raw);
+  const certificateHash = crypto.createHash('sha256').update(certificate.raw).digest();
+
+  // DER wants SET OF members in ascending order of their encodings
+  const signedAttributes = [
+    attribute(OID.contentType, oid(OID.data)),
+    attribute(OID.messageDigest, octets(contentDigest)),
+    attribute(OID.signingCertificateV2, sequence([sequence([sequence([
+      octets(certificateHash),
+      sequence([sequence([tagged(4, [issuer])]), serial])
+    ])])]))
+  ].sort((a, b) => Buffer.compare(der(a), der(b)));
+
+  // The signature covers the attributes encoded as a plain SET
+  const signature = crypto.sign('sha256', der(set(signedAttributes)), privateKey);
+  const signatureAlgorithm = privateKey.asymmetricKeyType === 'ec'
+    ? algorithm(OID.ecdsaWithSha256)
+    : algorithm(OID.rsaEncryption, true);
+
+  const signerInfo = sequence([
+    integer(1),
+    sequence([issuer, serial]),
+    algorithm(OID.sha256),
+    tagged(0, signedAttributes),
+    signatureAlgorithm,
+    octets(signature)
+  ]);
+
+  const signedData = sequence([
+    integer(1),
+    set([algorithm(OID.sha256)]),
+    sequence([oid(OID.data)]),
+    tagged(0, [certificate, ...chain].map(cert => fromDer(cert.raw))),
+    set([signerInfo])
+  ]);
+
+  return der(sequence([oid(OID.signedData), tagged(0, [signedData])]));
+};
+
+// --- Incremental update ---
+
+const serializeObject = (object) => {
+  const bytes = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(bytes, 0);
+  return bytes;
+};
+
+const hashObject = (object) => crypto.createHash('sha1').update(serializeObject(object)).digest('hex');
+
+// Fingerprint every object so changed ones can be found after editing
+const snapshotObjects = (context) => new Map(
+  context.enumerateIndirectObjects().map(([ref, object]) => [ref.tag, hashObject(object)])
+);
+
+// Locate the last cross-reference section of the original file: its
+// offset, whether it is a stream and the /Size it declares
+const readLastXref = (bytes) => {
+  const tail = Buffer.from(bytes.subarray(Math.max(0, bytes.length - 2048))).toString('latin1');
+  const startxref = [...tail.matchAll(/startxref\s+(\d+)/g)].pop();
+  if (!startxref) {
+    throw fail('The PDF has no cross-reference table and must be repaired before signing');
+  }
+
+  const offset = parseInt(startxref[1], 10);
+  const text = Buffer.from(bytes.subarray(offset, offset + 64)).toString('latin1');
+  const isStream = !text.startsWith('xref');
+  const trailerStart = isStream ? offset : Buffer.from(bytes).indexOf('trailer', offset, 'latin1');
+  const trailer = Buffer.from(bytes.subarray(trailerStart, trailerStart + 4096)).toString('latin1');
+  const size = trailer.match(/\/Size\s+(\d+)/);
+  if (trailerStart < 0 || !size) {
+    throw fail('The PDF cross-reference table is damaged and must be repaired before signing');
+  }
+
+  return { offset, isStream, size: parseInt(size[1], 10) };
+};
+
+// Append every new or changed object after the original bytes, followed
+// by a cross-reference section of the same kind as the previous one.
+// Returns the complete file and the offset of each written object.
+const writeIncrementalUpdate = (original, context, before, previousXref) => {
+  const chunks = [Buffer.from(original)];
+  let offset = original.length;
+  const push = (data) => {
+    const chunk = Buffer.from(data);
+    chunks.push(chunk);
+    offset += chunk.length;
+  };
+
+  if (original[original.length - 1] !== 0x0a) push('\n');
+
+  const changed = context.enumerateIndirectObjects()
+    .filter(([ref, object]) => before.get(ref.tag) !== hashObject(object))
+    .sort(([a], [b]) => a.objectNumber - b.objectNumber);
+
+  const offsets = new Map();
+  const writeObject = (ref, object) => {
+    offsets.set(ref.tag, offset);
+    push(`${ref.objectNumber} ${ref.generationNumber} obj\n`);
+    push(serializeObject(object));
+    push('\nendobj\n');
+  };
+  changed.forEach(([ref, object]) => writeObject(ref, object));
+
+  const { Root, Info, ID } = context.trailerInfo;
+  const trailer = {
+    Root,
+    ...(Info && { Info }),
+    ...(ID && { ID }),
+    Prev: previousXref.offset
+  };
+
+  if (previousXref.isStream) {
+    const xrefRef = context.nextRef();
+    const xrefStream = PDFCrossRefStream.create(context.obj({ ...trailer, Size: xrefRef.objectNumber + 1 }));
+    changed.forEach(([ref]) => xrefStream.addUncompressedEntry(ref, offsets.get(ref.tag)));
+    xrefStream.addUncompressedEntry(xrefRef, offset);
+    const xrefOffset = offset;
+    writeObject(xrefRef, xrefStream);
+    push(`startxref\n${xrefOffset}\n%%EOF\n`);
+  } else {
+    const xrefOffset = offset;
+    let table = 'xref\n';
+    // Consecutive object numbers share a subsection
+    for (let i = 0; i < changed.length;) {
+      let j = i;
+      while (j + 1 < changed.length && changed[j + 1][0].objectNumber === changed[j][0].objectNumber + 1) j++;
+      table += `${changed[i][0].objectNumber} ${j - i + 1}\n`;
+      for (let k = i; k <= j; k++) {
+        const [ref] = changed[k];
+        table += `${String(offsets.get(ref.tag)).padStart(10, '0')} ${String(ref.generationNumber).padStart(5, '0')} n\r\n`;
+      }
+      i = j + 1;
+    }
+    push(table);
+    push(`trailer\n${context.obj({ ...trailer, Size: context.largestObjectNumber + 1 }).toString()}\n`);
+    push(`startxref\n${xrefOffset}\n%%EOF\n`);
+  }
+
+  return { bytes: Buffer.concat(chunks), offsets };
+};
+
+// --- Appearance ---
+
+// Rotation that keeps the appearance upright on a page with /Rotate
+const ROTATION_MATRICES = {
+  0: [1, 0, 0, 1, 0, 0],
+  90: [0, 1, -1, 0, 0, 0],
+  180: [-1, 0, 0, -1, 0, 0],
+  270: [0, -1, 1, 0, 0, 0]
+};
+
+const formatSigningTime = (date) => date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+
+// Form XObject showing the optional image on the left and the signer's
+// details on the right, sized to width x height in the visible frame
+const buildAppearance = (pdfDoc, { width, height, rotation, lines, font, image }) => {
+  const padding = 4;
+  const operators = [pushGraphicsState()];
+
+  let textLeft = padding;
+  if (image) {
+    const maxWidth = lines.length > 0 ? width * 0.4 : width - padding * 2;
+    const scale = Math.min(maxWidth / image.width, (height - padding * 2) / image.height);
+    const imageWidth = image.width * scale;
+    const imageHeight = image.height * scale;
+    operators.push(...drawImage('Im1', {
+      x: padding,
+      y: (height - imageHeight) / 2,
+      width: imageWidth,
+      height: imageHeight,
+      rotate: { type: 'degrees', angle: 0 },
+      xSkew: { type: 'degrees', angle: 0 },
+      ySkew: { type: 'degrees', angle: 0 }
+    }));
+    textLeft = padding * 2 + imageWidth;
+  }
+
+  if (lines.length > 0) {
+    // Largest size up to 10pt at which every line fits
+    const available = width - textLeft - padding;
+    const widest = Math.max(...lines.map(line => font.widthOfTextAtSize(line, 1)));
+    const size = Math.max(4, Math.min(10, available / widest, (height - padding * 2) / (lines.length * 1.2)));
+    const lineHeight = size * 1.2;
+    const top = (height + lines.length * lineHeight) / 2 - size;
+
+    lines.forEach((line, index) => {
+      operators.push(...drawText(font.encodeText(line), {
+        color: rgb(0, 0, 0),
+        font: 'F1',
+        size,
+        x: textLeft,
+        y: top - index * lineHeight,
+        rotate: { type: 'degrees', angle: 0 },
+        xSkew: { type: 'degrees', angle: 0 },
+        ySkew: { type: 'degrees', angle: 0 }
+      }));
+    });
+  }
+  operators.push(popGraphicsState());
+
+  const stream = pdfDoc.context.formXObject(operators, {
+    BBox: [0, 0, width, height],
+    Matrix: ROTATION_MATRICES[rotation] || ROTATION_MATRICES[0],
+    Resources: {
+      Font: { F1: font.ref },
+      ...(image && { XObject: { Im1: image.ref } })
+    }
+  });
+  return pdfDoc.context.register(stream);
+};
+
+// Unique field name for a new signature
+const nextSignatureName = (acroForm) => {
+  const taken = new Set(acroForm.getAllFields().map(([field]) => field.getFullyQualifiedName()));
+  let index = 1;
+  while (taken.has(`Signature${index}`)) index++;
+  return `Signature${index}`;
+};
+
+// --- Signing ---
+
+// Sign a PDF. Options: page (1-based or "last", the default), visible,
+// position or x/y, width, height, margin, image (PNG bytes), showDetails,
+// name, reason, location, contactInfo and fieldName.
+const signPdf = async (bytes, credentials, options = {}) => {
+  const previousXref = readLastXref(bytes);
+
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+  } catch (err) {
+    throw fail(err.message.includes('encrypted')
+      ? 'Encrypted PDFs must be unprotected before they can be signed'
+      : 'Invalid or corrupted PDF file');
+  }
+
+  const context = pdfDoc.context;
+  // Object and cross-reference streams aren't registered by pdf-lib, so
+  // new objects are numbered after the original /Size
+  context.largestObjectNumber = Math.max(context.largestObjectNumber, previousXref.size - 1);
+  const before = snapshotObjects(context);
+
+  const pages = pdfDoc.getPages();
+  const pageNumber = options.page === undefined || options.page === 'last' ? pages.length : options.page;
+  if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pages.length) {
+    throw fail(`page must be between 1 and ${pages.length}, or "last"`);
+  }
+  const page = pages[pageNumber - 1];
+  const signedAt = new Date();
+  const subject = parseDistinguishedName(credentials.certificate.subject);
+  const signerName = options.name || subject.CN || subject.O || 'Unknown signer';
+
+  const placeholderLength = [credentials.certificate, ...credentials.chain]
+    .reduce((total, cert) => total + cert.raw.length, SIGNATURE_OVERHEAD);
+
+  const signatureDict = context.obj({
+    Type: 'Sig',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: 'ETSI.CAdES.detached',
+    ByteRange: [0, BYTE_RANGE_PLACEHOLDER, BYTE_RANGE_PLACEHOLDER, BYTE_RANGE_PLACEHOLDER],
+    Contents: PDFHexString.of('0'.repeat(placeholderLength * 2)),
+    M: PDFString.fromDate(signedAt),
+    Name: PDFHexString.fromText(signerName),
+    ...(options.reason && { Reason: PDFHexString.fromText(options.reason) }),
+    ...(options.location && { Location: PDFHexString.fromText(options.location) }),
+    ...(options.contactInfo && { ContactInfo: PDFHexString.fromText(options.contactInfo) })
+  });
+  const signatureRef = context.register(signatureDict);
+
+  const acroForm = pdfDoc.catalog.getOrCreateAcroForm();
+  const fieldName = options.fieldName || nextSignatureName(acroForm);
+
+  // Signature field and its widget share one dictionary. Print (4) and
+  // Locked (128) keep the appearance fixed.
+  const widget = context.obj({
+    Type: 'Annot',
+    Subtype: 'Widget',
+    FT: 'Sig',
+    T: PDFHexString.fromText(fieldName),
+    V: signatureRef,
+    F: 132,
+    P: page.ref,
+    Rect: [0, 0, 0, 0]
+  });
+
+  if (options.visible !== false) {
+    const box = getVisibleBox(page);
+    const width = options.width || 180;
+    const height = options.height || 60;
+    let x = options.x;
+    let y = options.y;
+    if (x === undefined || y === undefined) {
+      const [center] = placementCenters(box, options.position || 'bottom-right', { width, height, margin: options.margin ?? 36 });
+      x = center.x - width / 2;
+      y = center.y - height / 2;
+    }
+
+    const rect = toPageRect(box, { x, y, width, height });
+    widget.set(PDFName.of('Rect'), context.obj([rect.x, rect.y, rect.x + rect.width, rect.y + rect.height]));
+
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const image = options.image ? await pdfDoc.embedPng(options.image) : undefined;
+    const lines = options.showDetails === false ? [] : [
+      `Digitally signed by ${signerName}`,
+      `Date: ${formatSigningTime(signedAt)}`,
+      ...(options.reason ? [`Reason: ${options.reason}`] : []),
+      ...(options.location ? [`Location: ${options.location}`] : [])
+    ].map(line => toEncodableText(font, line));
+
+    // Fonts and images are only written into the document on flush
+    await pdfDoc.flush();
+    const appearanceRef = buildAppearance(pdfDoc, { width, height, rotation: box.rotation, lines, font, image });
+    widget.set(PDFName.of('AP'), context.obj({ N: appearanceRef }));
+  }
+
+  const widgetRef = context.register(widget);
+  page.node.addAnnot(widgetRef);
+  acroForm.addField(widgetRef);
+  acroForm.dict.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+
+  const { bytes: updated, offsets } = writeIncrementalUpdate(bytes, context, before, previousXref);
+
+  // Fill in the byte ranges around the /Contents placeholder, then sign them
+  const objectStart = offsets.get(signatureRef.tag);
+  const byteRangeStart = updated.indexOf('/ByteRange', objectStart, 'latin1');
+  const arrayStart = updated.indexOf('[', byteRangeStart, 'latin1');
+  const arrayEnd = updated.indexOf(']', arrayStart, 'latin1') + 1;
+  const contentsStart = updated.indexOf('<', updated.indexOf('/Contents', objectStart, 'latin1'), 'latin1');
+  const contentsEnd = updated.indexOf('>', contentsStart, 'latin1') + 1;
+
+  const byteRange = `[0 ${contentsStart} ${contentsEnd} ${updated.length - contentsEnd}]`;
+  updated.write(byteRange.padEnd(arrayEnd - arrayStart, ' '), arrayStart, 'latin1');
+
+  const digest = crypto.createHash('sha256')
+    .update(updated.subarray(0, contentsStart))
+    .update(updated.subarray(contentsEnd))
+    .digest();
+  const cms = buildSignedData(digest, credentials).toString('hex');
+  if (cms.length > contentsEnd - contentsStart - 2) {
+    throw new Error('Signature is larger than the space reserved for it');
+  }
+  updated.write(cms, contentsStart + 1, 'latin1');
+
+  return {
+    bytes: updated,
+    fieldName,
+    signer: signerName,
+    signedAt: signedAt.toISOString(),
+    page: pageNumber,
+    visible: options.visible !== false
+  };
+};
+
+// --- Verification ---
+
+// Attributes of a SignerInfo as { oid: valueNode }
+const readAttributes = (node) => Object.fromEntries((node?.value || []).map(attr => [
+  asn1.derToOid(attr.value[0].value),
+  attr.value[1].value[0]
+]));
+
+const readTime = (node) => (node.type === asn1.Type.UTCTIME
+  ? asn1.utcTimeToDate(node.value)
+  : asn1.generalizedTimeToDate(node.value));
+
+// Time from an RFC 3161 timestamp token (not verified)
+const readTimestampTime = (token) => {
+  try {
+    const signedData = token.value[1].value[0];
+    const encapsulated = signedData.value[2];
+    const tstInfo = fromDer(bytesOf(encapsulated.value[1].value[0]));
+    return readTime(tstInfo.value[4]).toISOString();
+  } catch (err) {
+    return null;
+  }
+};
+
+const describeCertificate = (certificate) => {
+  const subject = parseDistinguishedName(certificate.subject);
+  return {
+    name: subject.CN || subject.O || null,
+    organization: subject.O || null,
+    email: subject.emailAddress || null,
+    subject: certificate.subject.split('\n').join(', '),
+    issuer: certificate.issuer.split('\n').join(', '),
+    serialNumber: normalizeSerial(certificate.serialNumber),
+    validFrom: new Date(certificate.validFrom).toISOString(),
+    validTo: new Date(certificate.validTo).toISOString(),
+    selfSigned: certificate.subject === certificate.issuer
+  };
+};
+
+// Check one CMS signature against the bytes it covers
+const checkSignature = (contents, signedContent) => {
+  const contentInfo = fromDer(contents);
+  if (asn1.derToOid(contentInfo.value[0].value) !== OID.signedData) {
+    throw new Error('Signature is not a CMS SignedData object');
+  }
+
+  const signedData = contentInfo.value[1].value[0];
+  const certificates = (signedData.value.find(node => isTagged(node, 0))?.value || [])
+    .map(node => new crypto.X509Certificate(der(node)));
+  const signerInfo = signedData.value[signedData.value.length - 1].value[0];
+  const encapsulated = signedData.value[2];
+
+  const [, sid, digestAlgorithm, ...rest] = signerInfo.value;
+  const signedAttributesNode = rest.find(node => isTagged(node, 0));
+  const unsignedAttributesNode = rest.find(node => isTagged(node, 1));
+  const [signatureAlgorithm, signatureValue] = rest.filter(node => !isTagged(node, 0) && !isTagged(node, 1));
+
+  // Issuer and serial number, or a subject key identifier with a single certificate
+  let certificate = certificates[0];
+  if (!isTagged(sid, 0)) {
+    const serial = normalizeSerial(forge.util.bytesToHex(sid.value[1].value));
+    certificate = certificates.find(cert => normalizeSerial(cert.serialNumber) === serial) || certificate;
+  }
+  if (!certificate) {
+    throw new Error('The signer certificate is not embedded in the signature');
+  }
+
+  const digestOid = asn1.derToOid(digestAlgorithm.value[0].value);
+  const hashName = DIGEST_ALGORITHMS[digestOid];
+  if (!hashName) {
+    throw new Error(`Unsupported digest algorithm ${digestOid}`);
+  }
+
+  // adbe.pkcs7.sha1 signatures sign a SHA-1 digest carried inside the CMS
+  let content = signedContent;
+  let contentMatches = true;
+  const eContent = encapsulated.value[1]?.value[0];
+  if (eContent) {
+    content = bytesOf(eContent);
+    contentMatches = content.equals(crypto.createHash('sha1').update(signedContent).digest());
+  }
+
+  const signatureOid = asn1.derToOid(signatureAlgorithm.value[0].value);
+  const key = signatureOid === OID.rsaPss
+    ? { key: certificate.publicKey, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_AUTO }
+    : certificate.publicKey;
+  const signature = bytesOf(signatureValue);
+
+  let digestMatches = contentMatches;
+  let signatureValid;
+  let signingTime = null;
+  if (signedAttributesNode) {
+    const attributes = readAttributes(signedAttributesNode);
+    const messageDigest = attributes[OID.messageDigest];
+    digestMatches = contentMatches && Boolean(messageDigest) &&
+      bytesOf(messageDigest).equals(crypto.createHash(hashName).update(content).digest());
+
+    // The signature is over the attributes re-tagged as a SET
+    const signedAttributes = der(signedAttributesNode);
+    signedAttributes[0] = 0x31;
+    signatureValid = crypto.verify(hashName, signedAttributes, key, signature);
+
+    if (attributes[OID.signingTime]) {
+      signingTime = readTime(attributes[OID.signingTime]).toISOString();
+    }
+  } else {
+    signatureValid = crypto.verify(hashName, content, key, signature);
+  }
+
+  const timestampToken = readAttributes(unsignedAttributesNode)[OID.timeStampToken];
+
+  return {
+    certificate,
+    chainLength: certificates.length,
+    digestAlgorithm: hashName,
+    digestMatches,
+    signatureValid,
+    signingTime,
+    timestamp: timestampToken ? { time: readTimestampTime(timestampToken) } : null
+  };
+};
+
+const decodeText = (value) => (value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null);
+
+// List every signature field with its signer, signing time and whether
+// the signed byte ranges still match the signature
+const verifySignatures = async (bytes) => {
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false, ignoreEncryption: true });
+  } catch (err) {
+    throw fail('Invalid or corrupted PDF file');
+  }
+
+  const acroForm = pdfDoc.catalog.getAcroForm();
+  const fields = acroForm ? acroForm.getAllFields() : [];
+  const buffer = Buffer.from(bytes);
+
+  const signatures = [];
+  for (const [field] of fields) {
+    if (field.dict.lookup(PDFName.of('FT')) !== PDFName.of('Sig')) continue;
+    const signature = field.dict.lookup(PDFName.of('V'));
+    if (!(signature instanceof PDFDict)) {
+      signatures.push({ field: field.getFullyQualifiedName(), signed: false });
+      continue;
+    }
+
+    const result = {
+      field: field.getFullyQualifiedName(),
+      signed: true,
+      subFilter: signature.lookup(PDFName.of('SubFilter'))?.decodeText() || null,
+      name: decodeText(signature.lookup(PDFName.of('Name'))),
+      reason: decodeText(signature.lookup(PDFName.of('Reason'))),
+      location: decodeText(signature.lookup(PDFName.of('Location'))),
+      contactInfo: decodeText(signature.lookup(PDFName.of('ContactInfo')))
+    };
+
+    try {
+      const byteRange = signature.lookup(PDFName.of('ByteRange'), PDFArray).asArray().map(value => value.asNumber());
+      const contents = signature.lookup(PDFName.of('Contents'));
+      if (byteRange.length % 2 !== 0 || byteRange[0] !== 0 || !contents) {
+        throw new Error('Malformed signature dictionary');
+      }
+
+      const ranges = [];
+      for (let i = 0; i < byteRange.length; i += 2) {
+        if (byteRange[i] + byteRange[i + 1] > buffer.length) {
+          throw new Error('Signed byte range lies outside the file');
+        }
+        ranges.push(buffer.subarray(byteRange[i], byteRange[i] + byteRange[i + 1]));
+      }
+      const signedEnd = byteRange[byteRange.length - 2] + byteRange[byteRange.length - 1];
+
+      const check = checkSignature(Buffer.from(contents.asBytes()), Buffer.concat(ranges));
+      let signedAt = check.signingTime || check.timestamp?.time || null;
+      if (!signedAt && signature.lookup(PDFName.of('M'))) {
+        signedAt = signature.lookup(PDFName.of('M')).decodeDate().toISOString();
+      }
+
+      const signedTime = signedAt ? new Date(signedAt).getTime() : Date.now();
+      Object.assign(result, {
+        signer: describeCertificate(check.certificate),
+        signedAt,
+        timestamp: check.timestamp,
+        digestAlgorithm: check.digestAlgorithm,
+        byteRange,
+        coversWholeDocument: signedEnd === buffer.length,
+        digestMatches: check.digestMatches,
+        signatureValid: check.signatureValid,
+        intact: check.digestMatches && check.signatureValid,
+        certificateValidAtSigning: signedTime >= new Date(check.certificate.validFrom).getTime() &&
+          signedTime <= new Date(check.certificate.validTo).getTime(),
+        certificatesEmbedded: check.chainLength
+      });
+    } catch (err) {
+      Object.assign(result, { intact: false, error: err.message });
+    }
+
+    signatures.push(result);
+  }
+
+  return signatures;
+};
+
+module.exports = {
+  loadPkcs12,
+  signPdf,
+  verifySignatures
+};
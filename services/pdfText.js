@@ -0,0 +1,351 @@
+// Text extraction from a PDF's own text layer with PDF.js. Positions are
+// in points in the page's visible frame (origin top-left, /Rotate applied)
+// so they line up with rendered page images.
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Multiply two PDF transformation matrices [a, b, c, d, e, f]
+const multiply = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5]
+];
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const unionBox = (boxes) => {
+  const left = Math.min(...boxes.map(box => box.x));
+  const top = Math.min(...boxes.map(box => box.y));
+  const right = Math.max(...boxes.map(box => box.x + box.width));
+  const bottom = Math.max(...boxes.map(box => box.y + box.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+const roundBox = (box) => ({
+  x: round(box.x),
+  y: round(box.y),
+  width: round(box.width),
+  height: round(box.height)
+});
+
+// Position, size and font of one PDF.js text item in the visible frame
+const toTextItem = (item, viewport, styles, fontNames) => {
+  const tx = multiply(viewport.transform, item.transform);
+  const fontSize = Math.hypot(tx[2], tx[3]);
+  const angle = Math.atan2(tx[1], tx[0]);
+  const style = styles[item.fontName] || {};
+  const ascent = (style.ascent || 0.8) * fontSize;
+  const descent = (style.descent || -0.2) * fontSize;
+
+  // Corners of the run from its baseline origin; "up" points against the
+  // visible frame's downward y axis
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const corners = [0, item.width].flatMap(along => [ascent, descent].map(up => ({
+    x: tx[4] + along * cos + up * sin,
+    y: tx[5] + along * sin - up * cos
+  })));
+  const xs = corners.map(corner => corner.x);
+  const ys = corners.map(corner => corner.y);
+
+  return {
+    text: item.str,
+    x: Math.min(...xs),
+    y: Math.min(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys),
+    baseline: tx[5],
+    fontSize,
+    fontName: fontNames[item.fontName] || style.fontFamily,
+    angle: Math.round((angle * 180) / Math.PI)
+  };
+};
+
+// Find the widest empty band across the boxes along one axis
+const findGap = (boxes, start, size, minGap) => {
+  const spans = boxes
+    .map(box => [box[start], box[start] + box[size]])
+    .sort((a, b) => a[0] - b[0]);
+
+  let best = null;
+  let end = spans[0][1];
+  for (const [from, to] of spans.slice(1)) {
+    if (from - end >= minGap && (!best || from - end > best.width)) {
+      best = { at: (end + from) / 2, width: from - end };
+    }
+    end = Math.max(end, to);
+  }
+  return best;
+};
+
+// Recursive XY-cut: split the page at column gutters first, then at gaps
+// between paragraphs, and read the pieces left-to-right, top-to-bottom.
+// Each piece that can't be split any further becomes a block.
+const xyCut = (items, bodySize) => {
+  if (items.length <= 1) return [items];
+
+  const column = findGap(items, 'x', 'width', bodySize * 1.5);
+  if (column) {
+    return [
+      ...xyCut(items.filter(item => item.x + item.width / 2 < column.at), bodySize),
+      ...xyCut(items.filter(item => item.x + item.width / 2 >= column.at), bodySize)
+    ];
+  }
+
+  const row = findGap(items, 'y', 'height', bodySize * 0.3);
+  if (row) {
+    return [
+      ...xyCut(items.filter(item => item.y + item.height / 2 < row.at), bodySize),
+      ...xyCut(items.filter(item => item.y + item.height / 2 >= row.at), bodySize)
+    ];
+  }
+
+  return [items];
+};
+
+// Group a block's items into lines by baseline, each sorted left to right
+const groupLines = (items) => {
+  const lines = [];
+  for (const item of [...items].sort((a, b) => a.baseline - b.baseline || a.x - b.x)) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(item.baseline - line.baseline) <= Math.min(item.fontSize, line.fontSize) * 0.5) {
+      line.items.push(item);
+      line.fontSize = Math.max(line.fontSize, item.fontSize);
+    } else {
+      lines.push({ baseline: item.baseline, fontSize: item.fontSize, items: [item] });
+    }
+  }
+
+  return lines.map(line => {
+    const sorted = line.items.sort((a, b) => a.x - b.x);
+    // Runs are often split mid-line; only add a space where there is a gap
+    const text = sorted.reduce((joined, item, index) => {
+      if (index === 0) return item.text;
+      const previous = sorted[index - 1];
+      const gap = item.x - (previous.x + previous.width);
+      const needsSpace = gap > item.fontSize * 0.15 && !/\s$/.test(joined) && !/^\s/.test(item.text);
+      return joined + (needsSpace ? ' ' : '') + item.text;
+    }, '');
+    return { text: text.replace(/\s+/g, ' ').trim(), fontSize: line.fontSize, items: sorted };
+  });
+};
+
+// Number blocks, lines and items in reading order and flatten them into
+// the per-page structure shared with OCR results
+const buildPage = (page, blocks) => {
+  const result = { ...page, text: '', blocks: [], lines: [], items: [] };
+
+  blocks.forEach(block => {
+    const blockIndex = result.blocks.length;
+    const lineIndices = [];
+
+    block.lines.forEach(line => {
+      const lineIndex = result.lines.length;
+      lineIndices.push(lineIndex);
+
+      result.lines.push({
+        index: lineIndex,
+        block: blockIndex,
+        text: line.text,
+        bbox: roundBox(unionBox(line.items)),
+        fontSize: round(line.fontSize),
+        ...(line.confidence !== undefined && { confidence: line.confidence })
+      });
+
+      line.items.forEach(item => {
+        result.items.push({
+          index: result.items.length,
+          line: lineIndex,
+          text: item.text,
+          bbox: roundBox(item),
+          ...(item.fontName !== undefined && { fontName: item.fontName }),
+          fontSize: round(item.fontSize),
+          ...(item.angle !== undefined && { angle: item.angle }),
+          ...(item.confidence !== undefined && { confidence: item.confidence })
+        });
+      });
+    });
+
+    result.blocks.push({
+      index: blockIndex,
+      text: block.lines.map(line => line.text).join('\n'),
+      bbox: roundBox(unionBox(block.lines.flatMap(line => line.items))),
+      fontSize: round(Math.max(...block.lines.map(line => line.fontSize))),
+      lines: lineIndices
+    });
+  });
+
+  result.text = result.blocks.map(block => block.text).join('\n\n');
+  return result;
+};
+
+// Extract the text layer of one page (1-based) with positions, fonts and
+// reading order. Pages without a text layer come back with no blocks.
+const extractPageText = async (pdf, pageNumber) => {
+  const page = await pdf.getPage(pageNumber);
+
+  try {
+    const viewport = page.getViewport({ scale: 1 });
+    const content = await page.getTextContent();
+
+    // Real font names are only known once the page's fonts are loaded
+    await page.getOperatorList();
+    const fontNames = {};
+    for (const id of Object.keys(content.styles)) {
+      if (page.commonObjs.has(id)) {
+        fontNames[id] = page.commonObjs.get(id).name;
+      }
+    }
+
+    const items = content.items
+      .filter(item => item.str && item.str.trim())
+      .map(item => toTextItem(item, viewport, content.styles, fontNames));
+
+    const bodySize = median(items.map(item => item.fontSize)) || 10;
+    const blocks = items.length > 0
+      ? xyCut(items, bodySize).map(blockItems => ({ lines: groupLines(blockItems) }))
+      : [];
+
+    return buildPage({
+      page: pageNumber,
+      width: round(viewport.width),
+      height: round(viewport.height),
+      rotation: viewport.rotation,
+      source: 'text'
+    }, blocks);
+  } finally {
+    page.cleanup();
+  }
+};
+
+// Turn Tesseract's structured output for a page rendered at `scale`
+// pixels per point into the same page structure
+const pageFromOcr = (pageInfo, ocr, scale) => {
+  const toBox = ({ x0, y0, x1, y1 }) => ({
+    x: x0 / scale,
+    y: y0 / scale,
+    width: (x1 - x0) / scale,
+    height: (y1 - y0) / scale
+  });
+
+  const blocks = [];
+  const blockByParagraph = new Map();
+  ocr.lines.forEach(line => {
+    const words = ocr.words.filter(word => word.line === line.index && word.text.trim());
+    if (words.length === 0) return;
+
+    const key = `${line.block}:${line.paragraph}`;
+    if (!blockByParagraph.has(key)) {
+      blockByParagraph.set(key, { lines: [] });
+      blocks.push(blockByParagraph.get(key));
+    }
+
+    // Tesseract doesn't report font sizes, the line height is close enough
+    const lineBox = toBox(line.bbox);
+    blockByParagraph.get(key).lines.push({
+      text: line.text.trim(),
+      fontSize: lineBox.height,
+      confidence: line.confidence,
+      items: words.map(word => ({
+        ...toBox(word.bbox),
+        text: word.text,
+        fontSize: lineBox.height,
+        confidence: word.confidence
+      }))
+    });
+  });
+
+  return buildPage({ ...pageInfo, source: 'ocr', confidence: ocr.confidence }, blocks);
+};
+
+// Plain text for the whole document, pages separated by form feeds
+const toPlainText = (pages) => pages.map(page => page.text).join('\n\f');
+
+const BULLET = /^[•◦▪‣●○■□–\-*]\s+/;
+const NUMBERED = /^\(?(\d+|[a-z])[.)]\s+/i;
+
+const escapeMarkdown = (text) => text
+  .replace(/([\\`*_[\]])/g, '\\$1')
+  .replace(/^(#{1,6}\s|>|\+\s|\d+\.\s)/, '\\$1');
+
+// Join wrapped lines into a paragraph, undoing hyphenation at line breaks
+const joinLines = (lines) => lines.reduce((joined, line) => {
+  if (!joined) return line;
+  if (/\p{L}-$/u.test(joined) && /^\p{Ll}/u.test(line)) {
+    return joined.slice(0, -1) + line;
+  }
+  return `${joined} ${line}`;
+}, '');
+
+// Markdown for the whole document. Blocks set noticeably larger than the
+// body text become headings (largest size first), bulleted and numbered
+// lines become list items, everything else a paragraph.
+const toMarkdown = (pages) => {
+  const allLines = pages.flatMap(page => page.lines);
+  const sizeWeights = new Map();
+  allLines.forEach(line => {
+    const size = Math.round(line.fontSize);
+    sizeWeights.set(size, (sizeWeights.get(size) || 0) + line.text.length);
+  });
+  const bodySize = [...sizeWeights.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+
+  const isHeading = (block) => block.lines.length <= 3 &&
+    block.text.length <= 200 &&
+    Math.round(block.fontSize) >= bodySize * 1.15;
+  const headingSizes = [...new Set(pages
+    .flatMap(page => page.blocks.filter(isHeading).map(block => Math.round(block.fontSize))))]
+    .sort((a, b) => b - a);
+
+  return pages.map(page => {
+    const parts = [`<!-- page ${page.page} -->`];
+
+    page.blocks.forEach(block => {
+      const lines = block.lines.map(index => page.lines[index].text).filter(Boolean);
+      if (lines.length === 0) return;
+
+      if (isHeading(block)) {
+        const level = Math.min(headingSizes.indexOf(Math.round(block.fontSize)) + 1, 6);
+        parts.push(`${'#'.repeat(level)} ${escapeMarkdown(lines.join(' '))}`);
+        return;
+      }
+
+      if (BULLET.test(lines[0]) || NUMBERED.test(lines[0])) {
+        // Lines that don't start a new item continue the previous one
+        const listItems = [];
+        lines.forEach(line => {
+          if (BULLET.test(line) || NUMBERED.test(line) || listItems.length === 0) {
+            listItems.push([line]);
+          } else {
+            listItems[listItems.length - 1].push(line);
+          }
+        });
+        parts.push(listItems.map(itemLines => {
+          const first = itemLines[0];
+          const number = first.match(NUMBERED);
+          const marker = number && /^\d+$/.test(number[1]) ? `${number[1]}.` : '-';
+          const rest = first.replace(BULLET, '').replace(NUMBERED, '');
+          return `${marker} ${escapeMarkdown(joinLines([rest, ...itemLines.slice(1)]))}`;
+        }).join('\n'));
+        return;
+      }
+
+      parts.push(escapeMarkdown(joinLines(lines)));
+    });
+
+    return parts.join('\n\n');
+  }).join('\n\n');
+};
+
+module.exports = {
+  extractPageText,
+  pageFromOcr,
+  toPlainText,
+  toMarkdown
+};
@@ -0,0 +1,163 @@
+const { EventEmitter } = require('events');
+const { WebSocketServer } = require('ws');
+const { resolveUser } = require('../middleware/auth');
+
+// Operation progress is published here by the controllers and fanned out
+// to WebSocket subscribers. The latest event per operation is kept for a
+// while so clients that subscribe late still get the current state.
+// Events carry the owning user and are only delivered to that user.
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+const lastEvents = new Map(); // "owner:operationId" -> latest event
+const RETAIN_FINISHED_MS = 10 * 60 * 1000;
+
+const eventKey = (owner, operationId) => `${owner}:${operationId}`;
+
+const publish = (operationId, owner, event) => {
+  const message = {
+    ...event,
+    operationId,
+    owner,
+    timestamp: new Date().toISOString()
+  };
+
+  const key = eventKey(owner, operationId);
+  lastEvents.set(key, message);
+  if (event.type === 'complete' || event.type === 'error') {
+    setTimeout(() => {
+      if (lastEvents.get(key) === message) {
+        lastEvents.delete(key);
+      }
+    }, RETAIN_FINISHED_MS).unref();
+  }
+
+  hub.emit('event', message);
+};
+
+// Progress reporter bound to one operation. Every method is a no-op when
+// the client did not ask to follow the operation.
+const createProgressReporter = (operationId, owner) => {
+  const enabled = Boolean(operationId);
+
+  return {
+    operationId,
+    update({ stage, page, totalPages, percent, message } = {}) {
+      if (!enabled) return;
+      publish(operationId, owner, { type: 'progress', stage, page, totalPages, percent, message });
+    },
+    page(stage, page, totalPages) {
+      if (!enabled) return;
+      publish(operationId, owner, {
+        type: 'progress',
+        stage,
+        page,
+        totalPages,
+        percent: totalPages ? Math.round((page / totalPages) * 100) : undefined
+      });
+    },
+    complete(result) {
+      if (!enabled) return;
+      publish(operationId, owner, { type: 'complete', stage: 'done', percent: 100, result });
+    },
+    fail(error) {
+      if (!enabled) return;
+      publish(operationId, owner, { type: 'error', stage: 'failed', error });
+    }
+  };
+};
+
+// Get the reporter for a request. Background jobs report under their job
+// ID; inline requests can pick their own ID via the operationId field or
+// the X-Operation-Id header.
+const progressFor = (req) => {
+  if (!req.progress) {
+    const operationId = req.jobId || req.body?.operationId || req.get?.('X-Operation-Id');
+    req.progress = createProgressReporter(operationId, req.user?.id);
+  }
+  return req.progress;
+};
+
+const onProgress = (listener) => {
+  hub.on('event', listener);
+  return () => hub.off('event', listener);
+};
+
+// Attach the /ws/progress endpoint to the HTTP server. Clients send
+// { "action": "subscribe", "operationId": "..." } (or pass ?operationId=)
+// and receive progress, complete and error events for that operation.
+// Browsers can't set headers on a WebSocket, so the JWT may also be passed
+// as ?token=.
+const attachProgressSocket = (server) => {
+  const wss = new WebSocketServer({ server, path: '/ws/progress' });
+
+  wss.on('connection', (socket, req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const header = req.headers.authorization || '';
+    const token = url.searchParams.get('token') || (header.startsWith('Bearer ') ? header.slice(7) : null);
+    const user = resolveUser(token);
+
+    if (!user) {
+      socket.close(4401, 'Unauthorized');
+      return;
+    }
+
+    const subscriptions = new Set();
+
+    const send = ({ owner, ...message }) => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+
+    const subscribe = (operationId) => {
+      subscriptions.add(operationId);
+      send({ type: 'subscribed', operationId });
+
+      const last = lastEvents.get(eventKey(user.id, operationId));
+      if (last) send(last);
+    };
+
+    const stopListening = onProgress((event) => {
+      if (subscriptions.has(event.operationId) && event.owner === user.id) send(event);
+    });
+
+    const initialId = url.searchParams.get('operationId');
+    if (initialId) subscribe(initialId);
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (err) {
+        return send({ type: 'error', error: 'Invalid JSON message' });
+      }
+
+      if (!message.operationId) {
+        return send({ type: 'error', error: 'operationId is required' });
+      }
+
+      if (message.action === 'subscribe') {
+        subscribe(message.operationId);
+      } else if (message.action === 'unsubscribe') {
+        subscriptions.delete(message.operationId);
+        send({ type: 'unsubscribed', operationId: message.operationId });
+      } else {
+        send({ type: 'error', error: `Unknown action: ${message.action}` });
+      }
+    });
+
+    socket.on('close', stopListening);
+    socket.on('error', (err) => console.error('Progress socket error:', err));
+  });
+
+  console.log('Progress WebSocket available at /ws/progress');
+  return wss;
+};
+
+module.exports = {
+  createProgressReporter,
+  progressFor,
+  onProgress,
+  attachProgressSocket
+};
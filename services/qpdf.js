@@ -0,0 +1,65 @@
+const os = require('os');
+const path = require('path');
+const fsp = require('fs').promises;
+const util = require('util');
+const { execFile } = require('child_process');
+
+const execFilePromise = util.promisify(execFile);
+
+// qpdf is run with its arguments in an @file (one per line) so passwords
+// never appear on the command line, where any process on the machine could
+// read them. The file lives in a private temporary directory (0700, file
+// 0600) and is removed as soon as qpdf exits.
+const runQpdf = async (args) => {
+  if (args.some(arg => /[\r\n]/.test(arg))) {
+    throw new Error('qpdf arguments cannot contain line breaks');
+  }
+
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'qpdf-'));
+  const argFile = path.join(dir, 'args');
+  try {
+    await fsp.writeFile(argFile, `${args.join('\n')}\n`, { mode: 0o600 });
+    return await execFilePromise('qpdf', [`@${argFile}`]);
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+};
+
+// Individual permissions, applied on top of the --modify level
+const PERMISSION_FLAGS = ['extract', 'annotate', 'form', 'accessibility', 'assemble'];
+
+// Arguments for encrypting inputFile into outputPath with the options
+// read by protectPDF
+const encryptArgs = ({ userPassword, ownerPassword, keyLength, permissions }, inputFile, outputPath) => [
+  '--encrypt',
+  `--user-password=${userPassword}`,
+  `--owner-password=${ownerPassword}`,
+  `--bits=${keyLength}`,
+  `--print=${permissions.print}`,
+  // The modify level comes first so the individual flags below refine it
+  `--modify=${permissions.modify}`,
+  ...PERMISSION_FLAGS
+    .filter(flag => permissions[flag] !== undefined)
+    .map(flag => `--${flag}=${permissions[flag] ? 'y' : 'n'}`),
+  // 256-bit keys always use AES, 128-bit ones default to RC4 in qpdf
+  ...(keyLength === 128 ? ['--use-aes=y'] : []),
+  '--', // End of encryption options
+  inputFile,
+  outputPath
+];
+
+// Arguments for decrypting inputFile into outputPath. Files with only an
+// owner password open without one.
+const decryptArgs = (password, inputFile, outputPath) => [
+  ...(password !== undefined ? [`--password=${password}`] : []),
+  '--decrypt',
+  inputFile,
+  outputPath
+];
+
+module.exports = {
+  PERMISSION_FLAGS,
+  encryptArgs,
+  decryptArgs,
+  runQpdf
+};
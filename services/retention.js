@@ -0,0 +1,63 @@
+// How long generated files are kept, per artifact type. Defaults can be
+// overridden with FILE_RETENTION, a comma separated list of type=hours
+// pairs, e.g. "merged=168,split=1,default=24".
+const HOUR = 60 * 60 * 1000;
+
+// Every type registerOutput() is called with is listed here, `default`
+// only applies to types added without an entry
+const DEFAULT_RETENTION_HOURS = {
+  default: 24,
+  merged: 24 * 7,
+  split: 1,
+  organized: 24,
+  watermarked: 24,
+  stamped: 24,
+  metadata: 24,
+  filled: 24,
+  signed: 24,
+  'pdf-images': 24,
+  compressed: 24,
+  'image-pdf': 24,
+  protected: 24,
+  unprotected: 1,
+  searchable: 24,
+  // Results of several operations, bundled for download
+  pipeline: 24,
+  batch: 24,
+  // Cached page thumbnails, counted from when they were last viewed
+  thumbnail: 24 * 7,
+  // Uploaded inputs that no request claimed, e.g. after a crash
+  orphan: 24
+};
+
+const parseRetentionRules = (spec) => {
+  const rules = { ...DEFAULT_RETENTION_HOURS };
+  if (!spec) return rules;
+
+  for (const entry of spec.split(',')) {
+    const [type, value] = entry.split('=').map(part => part && part.trim());
+    const hours = Number(value);
+    if (!type || !Number.isFinite(hours) || hours <= 0) {
+      console.error(`Ignoring invalid FILE_RETENTION entry: "${entry}"`);
+      continue;
+    }
+    rules[type] = hours;
+  }
+
+  return rules;
+};
+
+const retentionRules = parseRetentionRules(process.env.FILE_RETENTION);
+
+// Retention period in milliseconds for an artifact type
+const retentionFor = (type) => (retentionRules[type] || retentionRules.default) * HOUR;
+
+// Expiry timestamp for an artifact created at the given time
+const expiryFor = (type, createdAt = new Date()) =>
+  new Date(new Date(createdAt).getTime() + retentionFor(type)).toISOString();
+
+module.exports = {
+  retentionRules,
+  retentionFor,
+  expiryFor
+};
@@ -0,0 +1,144 @@
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+const { dataDir } = require('./jsonStore');
+const { openPdf, renderPage } = require('./pdfRenderer');
+const { retentionFor } = require('./retention');
+
+// Page thumbnails are cached on disk as data/thumbnails/<document hash>/
+// p<page>-w<width>.jpg. Keying by the document's contents means a page is
+// rendered once however the file is reached, and a changed file never gets
+// a stale thumbnail. The file sweeper prunes thumbnails that haven't been
+// used for the 'thumbnail' retention period.
+const cacheDir = path.join(dataDir, 'thumbnails');
+
+const THUMBNAIL_QUALITY = 80;
+
+// Document hashes by path, size and modification time, so unchanged files
+// aren't read again on every request
+const documentHashes = new Map();
+const MAX_REMEMBERED_HASHES = 1000;
+
+const hashDocument = async (filePath) => {
+  const stats = await fsp.stat(filePath);
+  const cacheKey = `${filePath}:${stats.size}:${stats.mtimeMs}`;
+  if (documentHashes.has(cacheKey)) return documentHashes.get(cacheKey);
+
+  const hash = await new Promise((resolve, reject) => {
+    const digest = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => digest.update(chunk))
+      .on('end', () => resolve(digest.digest('hex')));
+  });
+
+  if (documentHashes.size >= MAX_REMEMBERED_HASHES) documentHashes.clear();
+  documentHashes.set(cacheKey, hash);
+  return hash;
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Render one page at the given width in pixels and write it to outputPath
+const renderThumbnail = async (filePath, pageNumber, width, outputPath) => {
+  let pdf;
+  try {
+    pdf = await openPdf(await fsp.readFile(filePath));
+  } catch (err) {
+    throw badRequest(err.name === 'PasswordException'
+      ? 'Document is password protected'
+      : 'Invalid or corrupted PDF file');
+  }
+
+  try {
+    if (pageNumber > pdf.numPages) {
+      throw badRequest(`Page ${pageNumber} is outside the document (1-${pdf.numPages})`);
+    }
+
+    const page = await pdf.getPage(pageNumber);
+    const { width: pageWidth } = page.getViewport({ scale: 1 });
+    const { image } = await renderPage(pdf, pageNumber, { scale: width / pageWidth });
+
+    // Written under a temporary name so a half-written file is never served
+    await fsp.mkdir(path.dirname(outputPath), { recursive: true });
+    const tempPath = `${outputPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await image.resize({ width }).jpeg({ quality: THUMBNAIL_QUALITY }).toFile(tempPath);
+    await fsp.rename(tempPath, outputPath);
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+// Renders in progress, so simultaneous requests for one thumbnail share
+// a single render
+const pendingRenders = new Map();
+
+// Thumbnail of a page (1-based) of the PDF at filePath. Resolves to the
+// path of the cached JPEG and whether it was already cached.
+const getThumbnail = async (filePath, { page, width }) => {
+  const hash = await hashDocument(filePath);
+  const thumbnailPath = path.join(cacheDir, hash, `p${page}-w${width}.jpg`);
+
+  try {
+    // Touching the file marks it as used, the sweeper prunes by mtime
+    const now = new Date();
+    await fsp.utimes(thumbnailPath, now, now);
+    return { path: thumbnailPath, cached: true };
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  if (!pendingRenders.has(thumbnailPath)) {
+    pendingRenders.set(thumbnailPath, renderThumbnail(filePath, page, width, thumbnailPath)
+      .finally(() => pendingRenders.delete(thumbnailPath)));
+  }
+  await pendingRenders.get(thumbnailPath);
+  return { path: thumbnailPath, cached: false };
+};
+
+// Delete thumbnails unused for longer than the retention period, and the
+// folders of documents that have none left
+const pruneThumbnails = async () => {
+  const result = { removed: 0, bytesFreed: 0 };
+  const cutoff = Date.now() - retentionFor('thumbnail');
+
+  let documents;
+  try {
+    documents = await fsp.readdir(cacheDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return result;
+    throw err;
+  }
+
+  for (const document of documents) {
+    const documentDir = path.join(cacheDir, document);
+    const names = await fsp.readdir(documentDir).catch(() => []);
+    let kept = 0;
+
+    for (const name of names) {
+      const thumbnailPath = path.join(documentDir, name);
+      const stats = await fsp.stat(thumbnailPath).catch(() => null);
+      if (!stats) continue;
+      if (stats.mtimeMs >= cutoff) {
+        kept++;
+        continue;
+      }
+      await fsp.rm(thumbnailPath, { force: true });
+      result.removed++;
+      result.bytesFreed += stats.size;
+    }
+
+    if (kept === 0) {
+      // Fails harmlessly if a thumbnail was written in the meantime
+      await fsp.rmdir(documentDir).catch(() => {});
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  getThumbnail,
+  pruneThumbnails
+};
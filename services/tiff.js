@@ -0,0 +1,162 @@
+const fsp = require('fs').promises;
+
+// Join single-page TIFF files into one multi-page TIFF. sharp can only
+// save pages of the same size as one document and rendered PDF pages often
+// differ, so the files are chained here instead: each one is appended as it
+// is, every offset inside it moved by the position it lands at, and the
+// previous page's last IFD pointed at its first. Only one page is held in
+// memory at a time.
+
+// Size in bytes of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+const IFD_TYPE = 13;
+// StripOffsets, FreeOffsets and TileOffsets point into the file
+const OFFSET_TAGS = new Set([273, 288, 324]);
+// SubIFDs, Exif, GPS and Interoperability point at further IFDs
+const IFD_TAGS = new Set([330, 34665, 34853, 40965]);
+
+const byteOrderOf = (buffer) => {
+  const order = buffer.length >= 8 ? buffer.toString('latin1', 0, 2) : '';
+  if (order !== 'II' && order !== 'MM') {
+    throw new Error('Not a TIFF file');
+  }
+  const magic = order === 'II' ? buffer.readUInt16LE(2) : buffer.readUInt16BE(2);
+  if (magic !== 42) {
+    throw new Error('Only classic (non-BigTIFF) files can be joined');
+  }
+  return order;
+};
+
+const accessorsFor = (buffer, order) => order === 'II'
+  ? {
+      u16: offset => buffer.readUInt16LE(offset),
+      u32: offset => buffer.readUInt32LE(offset),
+      w16: (value, offset) => buffer.writeUInt16LE(value, offset),
+      w32: (value, offset) => buffer.writeUInt32LE(value, offset)
+    }
+  : {
+      u16: offset => buffer.readUInt16BE(offset),
+      u32: offset => buffer.readUInt32BE(offset),
+      w16: (value, offset) => buffer.writeUInt16BE(value, offset),
+      w32: (value, offset) => buffer.writeUInt32BE(value, offset)
+    };
+
+// Rewrite every offset in a TIFF file for it to be placed `shift` bytes
+// into another file. Returns the (unshifted) position of its first IFD and
+// of the next-IFD field of its last one.
+const relocate = (buffer, order, shift) => {
+  const io = accessorsFor(buffer, order);
+  const visited = new Set();
+
+  const move = (value) => {
+    const moved = value + shift;
+    if (moved > 0xffffffff) {
+      throw new Error('Multi-page TIFF would be larger than 4 GB');
+    }
+    return moved;
+  };
+
+  // Shift the entries of one IFD, returns the position of its next-IFD field
+  const relocateIfd = (offset) => {
+    if (visited.has(offset) || offset + 2 > buffer.length) {
+      throw new Error('Damaged TIFF file');
+    }
+    visited.add(offset);
+
+    const count = io.u16(offset);
+    const nextField = offset + 2 + count * 12;
+    if (nextField + 4 > buffer.length) {
+      throw new Error('Damaged TIFF file');
+    }
+
+    const nested = [];
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const tag = io.u16(entry);
+      const type = io.u16(entry + 2);
+      const valueCount = io.u32(entry + 4);
+
+      // Values that don't fit in the entry are stored elsewhere
+      let valuePosition = entry + 8;
+      if ((TYPE_SIZES[type] || 1) * valueCount > 4) {
+        valuePosition = io.u32(entry + 8);
+        io.w32(move(valuePosition), entry + 8);
+      }
+
+      const pointsAtIfd = IFD_TAGS.has(tag) || type === IFD_TYPE;
+      if (!OFFSET_TAGS.has(tag) && !pointsAtIfd) continue;
+      for (let k = 0; k < valueCount; k++) {
+        if (type === 3) {
+          const position = valuePosition + k * 2;
+          const moved = move(io.u16(position));
+          if (moved > 0xffff) {
+            throw new Error('TIFF offset does not fit its field after joining');
+          }
+          io.w16(moved, position);
+        } else {
+          const position = valuePosition + k * 4;
+          const value = io.u32(position);
+          io.w32(move(value), position);
+          if (pointsAtIfd) nested.push(value);
+        }
+      }
+    }
+
+    nested.forEach(relocateChain);
+    return nextField;
+  };
+
+  // Shift a chain of IFDs, returns the next-IFD field of the last one
+  const relocateChain = (first) => {
+    let nextField = relocateIfd(first);
+    for (let next = io.u32(nextField); next !== 0; next = io.u32(nextField)) {
+      io.w32(move(next), nextField);
+      nextField = relocateIfd(next);
+    }
+    return nextField;
+  };
+
+  const firstIfd = io.u32(4);
+  return { firstIfd, lastNextField: relocateChain(firstIfd) };
+};
+
+// Write the pages (paths of TIFF files, in order) to outputPath as one
+// multi-page TIFF
+const writeMultiPageTiff = async (outputPath, pagePaths) => {
+  const handle = await fsp.open(outputPath, 'w');
+  try {
+    let order;
+    let length = 0;
+    let previousNextField = null;
+
+    for (const pagePath of pagePaths) {
+      const page = await fsp.readFile(pagePath);
+      const pageOrder = byteOrderOf(page);
+      if (order && pageOrder !== order) {
+        throw new Error('TIFF pages use different byte orders');
+      }
+      order = pageOrder;
+
+      // Offsets have to stay on word boundaries
+      const base = length + (length % 2);
+      const { firstIfd, lastNextField } = relocate(page, order, base);
+      await handle.write(page, 0, page.length, base);
+
+      // Link the previous page to this one
+      if (previousNextField !== null) {
+        const link = Buffer.alloc(4);
+        accessorsFor(link, order).w32(base + firstIfd, 0);
+        await handle.write(link, 0, 4, previousNextField);
+      }
+
+      previousNextField = base + lastNextField;
+      length = base + page.length;
+    }
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  writeMultiPageTiff
+};
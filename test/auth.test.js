@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+// Read by middleware/auth when it is loaded
+const secret = 'test-jwt-secret';
+process.env.JWT_SECRET = secret;
+
+const express = require('express');
+const { uploadDir, createPdf, uploadFile, listen } = require('./helpers');
+const { registerFile, isOwnedBy } = require('../services/fileRegistry');
+const { enqueueJob } = require('../services/jobQueue');
+
+const app = express();
+app.use('/api/jobs', require('../routes/jobs'));
+app.use('/api', require('../routes/pdfOperations'));
+
+const tokenFor = (sub, options = {}) => jwt.sign({ sub }, secret, { expiresIn: '5m', ...options });
+
+let server;
+test.before(async () => {
+  server = await listen(app);
+});
+test.after(() => server.close());
+
+const get = (route, token) => fetch(`${server.url}${route}`, {
+  headers: token ? { Authorization: `Bearer ${token}` } : {}
+});
+
+test('rejects requests without a valid bearer token', async () => {
+  let response = await get('/api/jobs');
+  assert.strictEqual(response.status, 401);
+  assert.deepStrictEqual(await response.json(), { error: 'Authentication required' });
+
+  const rejected = [
+    'not-a-jwt',
+    jwt.sign({ sub: 'alice' }, 'some-other-secret'),
+    tokenFor('alice', { expiresIn: -10 }),
+    jwt.sign({ name: 'no subject' }, secret)
+  ];
+  for (const token of rejected) {
+    response = await get('/api/jobs', token);
+    assert.strictEqual(response.status, 401, token);
+    assert.deepStrictEqual(await response.json(), { error: 'Invalid or expired token' });
+  }
+
+  response = await get('/api/jobs', tokenFor('alice'));
+  assert.strictEqual(response.status, 200);
+});
+
+test('only shows jobs to the user who queued them', async () => {
+  const request = (id) => ({ body: {}, query: {}, user: { id, roles: [] } });
+  const alicesJob = await enqueueJob('split-pdf', request('alice'));
+  const bobsJob = await enqueueJob('split-pdf', request('bob'));
+
+  const list = await (await get('/api/jobs', tokenFor('alice'))).json();
+  assert.deepStrictEqual(list.jobs.map(job => job.id), [alicesJob.id]);
+
+  assert.strictEqual((await get(`/api/jobs/${alicesJob.id}`, tokenFor('alice'))).status, 200);
+  assert.strictEqual((await get(`/api/jobs/${bobsJob.id}`, tokenFor('alice'))).status, 404);
+});
+
+test('lists merged files only to their owner', async () => {
+  const upload = await uploadFile(await createPdf(1), { originalname: 'merged.pdf' });
+  await registerFile(upload.path, { owner: 'alice', type: 'merged', filename: 'quarterly.pdf' });
+
+  assert.ok(isOwnedBy(upload.path, 'alice'));
+  assert.ok(!isOwnedBy(upload.path, 'bob'));
+  assert.ok(!isOwnedBy(path.join(uploadDir, 'unregistered.pdf'), 'alice'));
+
+  const alices = await (await get('/api/merged-pdfs', tokenFor('alice'))).json();
+  assert.deepStrictEqual(alices.map(file => file.name), ['quarterly.pdf']);
+
+  const bobs = await (await get('/api/merged-pdfs', tokenFor('bob'))).json();
+  assert.deepStrictEqual(bobs, []);
+});
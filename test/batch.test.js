@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fsp = require('fs').promises;
+const { PDFDocument } = require('pdf-lib');
+const { createPdf, uploadFile, makeRequest, downloadPath, readZip } = require('./helpers');
+const { createZip } = require('../utils');
+const { invokeHandler } = require('../services/invokeHandler');
+const { runBatch } = require('../controllers/batch');
+
+// A ZIP upload holding the given { name, bytes } files
+const zipUpload = async (files, originalname = 'scans.zip') => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'batch-zip-'));
+  try {
+    const entries = await Promise.all(files.map(async (file, i) => {
+      const filePath = path.join(dir, `${i}`);
+      await fsp.writeFile(filePath, file.bytes);
+      return { path: filePath, name: file.name };
+    }));
+    await createZip(path.join(dir, 'upload.zip'), entries);
+    return uploadFile(await fsp.readFile(path.join(dir, 'upload.zip')), { fieldname: 'files', originalname, mimetype: 'application/zip' });
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+};
+
+const batch = (files, body) => invokeHandler(runBatch, makeRequest({ files, body }));
+
+test('runs the operation on every file and returns a ZIP with a manifest', async () => {
+  const loose = await uploadFile(await createPdf(2), { fieldname: 'files', originalname: 'report.pdf' });
+  const zip = await zipUpload([
+    { name: 'report.pdf', bytes: await createPdf(1) },
+    { name: 'scans/letter.pdf', bytes: await createPdf(3) },
+    { name: 'notes.txt', bytes: Buffer.from('not a pdf') }
+  ]);
+
+  const { statusCode, body } = await batch([loose, zip], { operation: 'compress', level: 'low' });
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  assert.deepStrictEqual([body.operation, body.total, body.succeeded, body.failed], ['compress', 4, 3, 1]);
+  assert.deepStrictEqual(body.manifest.map(entry => [entry.file, entry.status]), [
+    ['report.pdf', 'succeeded'],
+    ['report.pdf', 'succeeded'],
+    ['letter.pdf', 'succeeded'],
+    ['notes.txt', 'failed']
+  ]);
+  const [first, second, , notes] = body.manifest;
+  assert.notStrictEqual(first.outputs[0], second.outputs[0]);
+  assert.strictEqual(notes.error, 'Only PDF files are allowed');
+  // Per-file results keep their details but link nowhere
+  assert.ok(!JSON.stringify(first.result).includes('/download/'));
+
+  const entries = await readZip(downloadPath(body.zipUrl));
+  const names = entries.map(entry => entry.name);
+  assert.deepStrictEqual(names, [...body.manifest.flatMap(entry => entry.outputs || []), 'manifest.json']);
+
+  const manifest = JSON.parse(entries.find(entry => entry.name === 'manifest.json').data);
+  assert.deepStrictEqual(manifest, { operation: 'compress', total: 4, succeeded: 3, failed: 1, files: JSON.parse(JSON.stringify(body.manifest)) });
+
+  const pageCounts = await Promise.all(entries.slice(0, 3).map(async entry => (await PDFDocument.load(entry.data)).getPageCount()));
+  assert.deepStrictEqual(pageCounts, [2, 1, 3]);
+
+  // Only the ZIP is kept
+  await assert.rejects(fsp.access(loose.path), { code: 'ENOENT' });
+  await assert.rejects(fsp.access(zip.path), { code: 'ENOENT' });
+});
+
+test('fails with the manifest when no file could be processed', async () => {
+  const upload = await uploadFile(Buffer.from('not a pdf'), { fieldname: 'files', originalname: 'notes.txt', mimetype: 'text/plain' });
+  const { statusCode, body } = await batch([upload], { operation: 'compress' });
+
+  assert.strictEqual(statusCode, 400);
+  assert.strictEqual(body.error, 'None of the files could be processed');
+  assert.deepStrictEqual(body.manifest.map(entry => entry.status), ['failed']);
+  await assert.rejects(fsp.access(upload.path), { code: 'ENOENT' });
+});
+
+test('rejects unknown operations and unreadable archives', async () => {
+  for (const operation of ['shred', 'constructor', undefined]) {
+    const upload = await uploadFile(await createPdf(1), { fieldname: 'files' });
+    const { statusCode, body } = await batch([upload], { operation });
+    assert.strictEqual(statusCode, 400, String(operation));
+    assert.strictEqual(body.error, 'Invalid batch operation');
+    await assert.rejects(fsp.access(upload.path), { code: 'ENOENT' });
+  }
+
+  const bad = await uploadFile(Buffer.from('PK not really'), { fieldname: 'files', originalname: 'bad.zip', mimetype: 'application/zip' });
+  const { statusCode, body } = await batch([bad], { operation: 'compress' });
+  assert.strictEqual(statusCode, 400);
+  assert.strictEqual(body.error, 'Could not read ZIP archive bad.zip');
+
+  assert.strictEqual((await batch([], { operation: 'compress' })).statusCode, 400);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createPdf, uploadFile, listen } = require('./helpers');
+const { registerFile, findFileRecord, unregisterFile } = require('../services/fileRegistry');
+const { createDownloadUrl, verifyDownloadToken } = require('../services/downloadTokens');
+const { downloadFile } = require('../controllers/pdfOperations');
+
+const app = express();
+app.get('/download/:token?', downloadFile);
+
+let server;
+test.before(async () => {
+  server = await listen(app);
+});
+test.after(() => server.close());
+
+const download = (url) => fetch(`${server.url}${url}`);
+
+// A generated file registered to alice
+const storedFile = async (filename = 'result.pdf') => {
+  const bytes = await createPdf(1);
+  const upload = await uploadFile(bytes, { originalname: filename });
+  const record = await registerFile(upload.path, { owner: 'alice', type: 'merged', filename });
+  return { bytes, path: upload.path, record };
+};
+
+test('serves the file behind a valid link under its download name', async () => {
+  const file = await storedFile('Annual report.pdf');
+  const response = await download(createDownloadUrl(file.path, { owner: 'alice' }));
+
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /filename="Annual report.pdf"/);
+  assert.strictEqual(response.headers.get('cache-control'), 'private, no-store');
+  assert.deepStrictEqual(Buffer.from(await response.arrayBuffer()), file.bytes);
+});
+
+test('rejects missing, malformed and tampered tokens', async () => {
+  const file = await storedFile();
+  const url = createDownloadUrl(file.path, { owner: 'alice' });
+  const [payload, signature] = url.split('/').pop().split('.');
+
+  assert.strictEqual((await download('/download')).status, 400);
+  assert.strictEqual((await download('/download/not-a-token')).status, 400);
+
+  // Pointing a signed token at another file breaks its signature
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  const forged = Buffer.from(JSON.stringify({ ...claims, k: '../data/files.json' })).toString('base64url');
+  const response = await download(`/download/${forged}.${signature}`);
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(await response.text(), 'Invalid download token');
+});
+
+test('expires links after their lifetime', async (t) => {
+  const file = await storedFile();
+  const url = createDownloadUrl(file.path, { owner: 'alice' });
+  assert.strictEqual((await download(url)).status, 200);
+
+  // Links live for an hour by default
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 61 * 60 * 1000);
+  const response = await download(url);
+  assert.strictEqual(response.status, 410);
+  assert.strictEqual(await response.text(), 'Download link has expired');
+});
+
+test('never lets a link outlive the file it points at', async () => {
+  const file = await storedFile();
+  file.record.expiresAt = new Date(Date.now() + 5 * 60 * 1000).toISOString();
+
+  const url = createDownloadUrl(file.path, { owner: 'alice' });
+  assert.strictEqual(verifyDownloadToken(url.split('/').pop()).key, findFileRecord(file.path).key);
+
+  const [payload] = url.split('/').pop().split('.');
+  const { e: expires } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  assert.ok(expires <= Math.ceil(new Date(file.record.expiresAt).getTime() / 1000));
+});
+
+test('only serves files still registered to the owner the link names', async () => {
+  const file = await storedFile();
+
+  // A validly signed link for someone who doesn't own the file
+  assert.strictEqual((await download(createDownloadUrl(file.path, { owner: 'bob' }))).status, 404);
+
+  // The owner's own link stops working once the file is forgotten
+  const url = createDownloadUrl(file.path, { owner: 'alice' });
+  await unregisterFile(file.record.key);
+  assert.strictEqual((await download(url)).status, 404);
+});
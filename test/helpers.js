@@ -0,0 +1,159 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Every test file runs in a process of its own. Point uploads/ and data/ at
+// a fresh temporary directory before any module reads them, so tests never
+// touch the server's real files.
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-server-test-'));
+process.env.UPLOAD_DIR = path.join(root, 'uploads');
+process.env.DATA_DIR = path.join(root, 'data');
+process.env.DOWNLOAD_TOKEN_SECRET = process.env.DOWNLOAD_TOKEN_SECRET || 'test-download-secret';
+fs.mkdirSync(process.env.UPLOAD_DIR, { recursive: true });
+process.on('exit', () => fs.rmSync(root, { recursive: true, force: true }));
+
+const fsp = fs.promises;
+const crypto = require('crypto');
+const yauzl = require('yauzl');
+const { PDFDocument } = require('pdf-lib');
+const { uploadDir } = require('../middleware/upload');
+const { dataDir } = require('../services/jsonStore');
+const { verifyDownloadToken } = require('../services/downloadTokens');
+
+// A PDF with the given number of pages, page n showing the text "Page n"
+const createPdf = async (pageCount = 1, { size = [595, 842] } = {}) => {
+  const doc = await PDFDocument.create();
+  for (let i = 1; i <= pageCount; i++) {
+    doc.addPage(size).drawText(`Page ${i}`, { x: 50, y: size[1] - 80, size: 24 });
+  }
+  return Buffer.from(await doc.save());
+};
+
+// A document whose page n is 200 + n points wide, so every output page can
+// be traced back to the page it came from
+const numberedDocument = async (pageCount) => {
+  const doc = await PDFDocument.create();
+  for (let n = 1; n <= pageCount; n++) {
+    doc.addPage([200 + n, 300]).drawText(`Page ${n}`, { x: 20, y: 250, size: 18 });
+  }
+  return doc;
+};
+
+// Source page numbers of the pages of a PDF made from numberedDocument(),
+// 0 for pages that don't come from it
+const sourcePages = async (bytes) => (await PDFDocument.load(bytes)).getPages().map(page => {
+  const n = Math.round(page.getWidth()) - 200;
+  return n >= 1 && n < 100 ? n : 0;
+});
+
+// Write bytes into uploads/ the way multer would have and return the file
+// object it would have put on the request
+const uploadFile = async (bytes, { fieldname = 'file', originalname = 'doc.pdf', mimetype = 'application/pdf' } = {}) => {
+  await fsp.mkdir(uploadDir, { recursive: true });
+  const filePath = path.join(uploadDir, `${fieldname}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}${path.extname(originalname)}`);
+  await fsp.writeFile(filePath, bytes);
+  return { fieldname, originalname, mimetype, path: filePath, size: bytes.length };
+};
+
+// Just enough of an Express request for the controllers
+const makeRequest = ({ file, files, body = {}, query = {}, user = { id: 'test-user' } } = {}) => ({
+  file,
+  files,
+  body,
+  query,
+  params: {},
+  headers: {},
+  get: () => undefined,
+  user
+});
+
+// Path in uploads/ of the file behind a /download/<token> URL
+const downloadPath = (url) => path.join(uploadDir, verifyDownloadToken(url.split('/').pop()).key);
+
+// Resolve once check() returns something truthy, polling every few ms
+const waitFor = async (check, { timeout = 10000, interval = 20 } = {}) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+};
+
+// Entries of a ZIP file as [{ name, data }], in archive order
+const readZip = (zipPath) => new Promise((resolve, reject) => {
+  yauzl.open(zipPath, { lazyEntries: true }, (err, zipfile) => {
+    if (err) return reject(err);
+    const entries = [];
+    zipfile.on('error', reject);
+    zipfile.on('end', () => resolve(entries));
+    zipfile.on('entry', (entry) => {
+      zipfile.openReadStream(entry, (streamError, stream) => {
+        if (streamError) return reject(streamError);
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('error', reject);
+        stream.on('end', () => {
+          entries.push({ name: entry.fileName, data: Buffer.concat(chunks) });
+          zipfile.readEntry();
+        });
+      });
+    });
+    zipfile.readEntry();
+  });
+});
+
+// Serve an Express app on a free local port. Resolves to its base URL and
+// a function that stops it.
+const listen = (app) => new Promise((resolve, reject) => {
+  const server = app.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(done => server.close(done))
+  }));
+  server.on('error', reject);
+});
+
+// Put a stand-in qpdf first on the PATH. It copies its input to its output,
+// keeps the @file of arguments it was given and exits with exitCode, so
+// tests can see what qpdf would have been asked to do.
+const installFakeQpdf = async ({ exitCode = 0, stderr = '' } = {}) => {
+  const binDir = path.join(root, 'bin');
+  const argsCopy = path.join(binDir, 'last-args');
+  await fsp.mkdir(binDir, { recursive: true });
+  await fsp.writeFile(path.join(binDir, 'qpdf'), [
+    '#!/bin/sh',
+    `echo "$@" > '${argsCopy}.command-line'`,
+    `cp "\${1#@}" '${argsCopy}'`,
+    `input=$(tail -n 2 '${argsCopy}' | head -n 1)`,
+    `output=$(tail -n 1 '${argsCopy}')`,
+    'cp "$input" "$output"',
+    ...(stderr ? [`echo '${stderr}' >&2`] : []),
+    `exit ${exitCode}`,
+    ''
+  ].join('\n'), { mode: 0o755 });
+  if (!process.env.PATH.startsWith(`${binDir}${path.delimiter}`)) {
+    process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+  }
+
+  return {
+    // Arguments of the last run, one per line of the @file
+    lastArgs: async () => (await fsp.readFile(argsCopy, 'utf8')).split('\n').slice(0, -1),
+    lastCommandLine: async () => (await fsp.readFile(`${argsCopy}.command-line`, 'utf8')).trim()
+  };
+};
+
+module.exports = {
+  uploadDir,
+  dataDir,
+  createPdf,
+  numberedDocument,
+  sourcePages,
+  uploadFile,
+  makeRequest,
+  downloadPath,
+  waitFor,
+  readZip,
+  listen,
+  installFakeQpdf
+};
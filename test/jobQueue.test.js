@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fsp = require('fs').promises;
+const { dataDir, uploadFile, makeRequest, waitFor } = require('./helpers');
+const { registerOperation, enqueueJob, getJob, startJobQueue } = require('../services/jobQueue');
+
+const jobsFile = path.join(dataDir, 'jobs.json');
+const readSavedJobs = async () => JSON.parse(await fsp.readFile(jobsFile, 'utf8'));
+const finished = (id) => () => {
+  const job = getJob(id);
+  return job && (job.status === 'completed' || job.status === 'failed') && job;
+};
+
+// Echoes what it was called with. Waits for `gate` so tests can look at
+// a job while it is still pending.
+let openGate;
+let gate = Promise.resolve();
+registerOperation('echo', async (req, res) => {
+  await gate;
+  res.json({ body: req.body, query: req.query, user: req.user });
+});
+
+test('restores interrupted jobs from jobs.json on start', async () => {
+  const createdAt = new Date(Date.now() - 60000).toISOString();
+  const upload = await uploadFile(Buffer.from('%PDF-1.7'), { fieldname: 'pdf' });
+  await fsp.mkdir(dataDir, { recursive: true });
+  await fsp.writeFile(jobsFile, JSON.stringify([
+    {
+      id: 'was-running',
+      operation: 'echo',
+      owner: 'alice',
+      status: 'running',
+      createdAt,
+      startedAt: createdAt,
+      request: { body: { level: 'high' }, query: { mode: 'fast' }, user: { id: 'alice' } }
+    },
+    {
+      id: 'lost-inputs',
+      operation: 'echo',
+      owner: 'alice',
+      status: 'queued',
+      createdAt
+    },
+    {
+      id: 'withheld-password',
+      operation: 'echo',
+      owner: 'alice',
+      status: 'queued',
+      createdAt,
+      request: { body: {}, secretsWithheld: true, user: { id: 'alice' }, file: upload }
+    }
+  ]));
+
+  await startJobQueue();
+
+  const resumed = await waitFor(finished('was-running'));
+  assert.strictEqual(resumed.status, 'completed');
+  assert.deepStrictEqual(resumed.result.body, { level: 'high' });
+  assert.deepStrictEqual(resumed.result.query, { mode: 'fast' });
+  assert.strictEqual(resumed.result.user.id, 'alice');
+
+  assert.strictEqual(getJob('lost-inputs').status, 'failed');
+  assert.match(getJob('lost-inputs').error.message, /interrupted by a server restart/);
+
+  // Its password only ever lived in memory, so it can't run again and its
+  // upload is not kept around
+  const withheld = getJob('withheld-password');
+  assert.strictEqual(withheld.status, 'failed');
+  assert.match(withheld.error.message, /submit it again with its passwords/);
+  await assert.rejects(fsp.access(upload.path), { code: 'ENOENT' });
+
+  await waitFor(async () => (await readSavedJobs()).find(job => job.id === 'was-running')?.status === 'completed');
+  const saved = await readSavedJobs();
+  assert.ok(saved.every(job => !job.request), 'finished jobs keep no request data');
+});
+
+test('persists queued jobs with their request until they finish', async () => {
+  gate = new Promise(resolve => {
+    openGate = resolve;
+  });
+
+  const job = await enqueueJob('echo', makeRequest({ body: { level: 'low' }, query: { mode: 'exact' } }));
+
+  const saved = (await readSavedJobs()).find(entry => entry.id === job.id);
+  assert.ok(saved, 'queued job is written to jobs.json');
+  assert.ok(['queued', 'running'].includes(saved.status));
+  assert.deepStrictEqual(saved.request.body, { level: 'low' });
+  assert.deepStrictEqual(saved.request.query, { mode: 'exact' });
+
+  openGate();
+  const done = await waitFor(finished(job.id));
+  assert.strictEqual(done.status, 'completed');
+  assert.deepStrictEqual(done.result.query, { mode: 'exact' });
+  assert.deepStrictEqual(done.resultUrls, []);
+
+  await waitFor(async () => (await readSavedJobs()).find(entry => entry.id === job.id)?.status === 'completed');
+});
+
+test('persists queued jobs without their passwords', async () => {
+  gate = new Promise(resolve => {
+    openGate = resolve;
+  });
+
+  const job = await enqueueJob('echo', makeRequest({
+    body: { userPassword: 'hunter2', keyLength: '256', steps: JSON.stringify([{ operation: 'protect', options: { password: 'hunter3' } }]) },
+    query: { ownerPassword: 'hunter4', print: 'none' }
+  }));
+
+  const raw = await fsp.readFile(jobsFile, 'utf8');
+  assert.doesNotMatch(raw, /hunter/);
+  const saved = JSON.parse(raw).find(entry => entry.id === job.id);
+  assert.ok(saved, 'queued job is written to jobs.json');
+  assert.strictEqual(saved.request.secretsWithheld, true);
+  assert.deepStrictEqual(saved.request.query, { print: 'none' });
+  assert.strictEqual(saved.request.body.keyLength, '256');
+
+  openGate();
+  const done = await waitFor(finished(job.id));
+  assert.strictEqual(done.status, 'completed');
+  // The handler still gets the passwords
+  assert.strictEqual(done.result.body.userPassword, 'hunter2');
+  assert.strictEqual(done.result.query.ownerPassword, 'hunter4');
+});
+
+test('records the status and error of a failing job', async () => {
+  registerOperation('reject', async (req, res) => {
+    res.status(400).json({ error: 'Bad input', details: 'nothing to do' });
+  });
+
+  const job = await enqueueJob('reject', makeRequest());
+  const done = await waitFor(finished(job.id));
+  assert.strictEqual(done.status, 'failed');
+  assert.deepStrictEqual(done.error, { statusCode: 400, message: 'Bad input', details: 'nothing to do' });
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const { numberedDocument, sourcePages, uploadFile, makeRequest, downloadPath } = require('./helpers');
+const { invokeHandler } = require('../services/invokeHandler');
+const { organizePDF } = require('../controllers/pdfOperations');
+
+const organize = async (doc, operations) => {
+  const bytes = Buffer.from(await doc.save());
+  const upload = await uploadFile(bytes, { fieldname: 'pdf' });
+  const result = await invokeHandler(organizePDF, makeRequest({
+    file: upload,
+    body: { operations: JSON.stringify(operations) }
+  }));
+  const output = result.statusCode === 200 ? await fsp.readFile(downloadPath(result.body.url)) : null;
+  return { ...result, upload, inputSize: bytes.length, output };
+};
+
+const rotationsOf = async (bytes) => (await PDFDocument.load(bytes)).getPages().map(page => page.getRotation().angle);
+
+// A document whose pages each carry their own incompressible image, so
+// its size shows how many images end up in the output
+const documentWithImages = async (pageCount) => {
+  const doc = await numberedDocument(pageCount);
+  for (const page of doc.getPages()) {
+    const noise = await sharp({
+      create: { width: 120, height: 120, channels: 3, background: 'white', noise: { type: 'gaussian', mean: 128, sigma: 60 } }
+    }).png().toBuffer();
+    page.drawImage(await doc.embedPng(noise), { x: 10, y: 10, width: 120, height: 120 });
+  }
+  return doc;
+};
+
+test('applies rotate, delete, move, duplicate and insert-blank in order', async () => {
+  const { statusCode, body, output } = await organize(await numberedDocument(5), [
+    { op: 'delete', pages: '2' },                  // 1 3 4 5
+    { op: 'move', pages: '4', to: 1 },             // 5 1 3 4
+    { op: 'duplicate', pages: '2', copies: 2 },    // 5 1 1 1 3 4
+    { op: 'rotate', pages: '1,3', angle: -90 },
+    { op: 'insert-blank', after: 'end', size: 'A4', orientation: 'landscape' }
+  ]);
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  assert.strictEqual(body.originalPageCount, 5);
+  assert.strictEqual(body.pageCount, 7);
+  assert.deepStrictEqual(await sourcePages(output), [5, 1, 1, 1, 3, 4, 0]);
+  assert.deepStrictEqual(await rotationsOf(output), [270, 0, 270, 0, 0, 0, 0]);
+  assert.deepStrictEqual(body.pages.map(page => page.source), [5, 1, 1, 1, 3, 4, 'blank']);
+
+  const blank = (await PDFDocument.load(output)).getPage(6);
+  assert.deepStrictEqual([Math.round(blank.getWidth()), Math.round(blank.getHeight())], [842, 595]);
+});
+
+test('blank pages default to the size of the page before them', async () => {
+  const { statusCode, output } = await organize(await numberedDocument(2), [{ op: 'insert-blank', after: 1 }]);
+
+  assert.strictEqual(statusCode, 200);
+  const doc = await PDFDocument.load(output);
+  assert.strictEqual(doc.getPageCount(), 3);
+  assert.deepStrictEqual(doc.getPage(1).getSize(), doc.getPage(0).getSize());
+});
+
+test('drops what only deleted pages used', async () => {
+  const { statusCode, inputSize, output } = await organize(await documentWithImages(3), [{ op: 'delete', pages: '2-3' }]);
+
+  assert.strictEqual(statusCode, 200);
+  assert.deepStrictEqual(await sourcePages(output), [1]);
+  assert.ok(output.length < inputSize / 2, `${output.length} bytes out of ${inputSize}`);
+});
+
+test('duplicated pages share their contents instead of copying them', async () => {
+  const { statusCode, inputSize, output } = await organize(await documentWithImages(2), [
+    { op: 'duplicate', pages: '1', copies: 3 },
+    { op: 'rotate', pages: '2', angle: 180 }
+  ]);
+
+  assert.strictEqual(statusCode, 200);
+  assert.deepStrictEqual(await sourcePages(output), [1, 1, 1, 1, 2]);
+  // Only the copy that was asked for is rotated
+  assert.deepStrictEqual(await rotationsOf(output), [0, 180, 0, 0, 0]);
+  assert.ok(output.length < inputSize * 1.1, `${output.length} bytes out of ${inputSize}`);
+});
+
+test('rejects invalid operations with a 400 and removes the upload', async () => {
+  const cases = [
+    [[], /non-empty array/],
+    [[{ op: 'flip', pages: '1' }], /Operation 1 \(flip\): Unknown operation/],
+    [[{ op: 'rotate', angle: 45 }], /angle must be 90, 180 or 270/],
+    [[{ op: 'move', pages: '1', to: 9 }], /to must be a position between 1 and 3/],
+    [[{ op: 'delete', pages: '1-end' }], /would remove every page/]
+  ];
+
+  for (const [operations, message] of cases) {
+    const { statusCode, body, upload } = await organize(await numberedDocument(3), operations);
+    assert.strictEqual(statusCode, 400, JSON.stringify(operations));
+    assert.match(body.details, message);
+    await assert.rejects(fsp.access(upload.path), { code: 'ENOENT' });
+  }
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPdf, uploadFile, makeRequest } = require('./helpers');
+const { invokeHandler } = require('../services/invokeHandler');
+const { runPipeline } = require('../controllers/pipeline');
+
+const pipelineRequest = (files, steps) => makeRequest({
+  files,
+  body: { steps: JSON.stringify(steps) },
+  user: { id: 'pipeline-test' }
+});
+
+test('header-footer followed by compress runs compress once on the stamped file', async () => {
+  const upload = await uploadFile(await createPdf(2), { fieldname: 'files' });
+  const { statusCode, body } = await invokeHandler(runPipeline, pipelineRequest([upload], [
+    { operation: 'header-footer', options: { footer: '{page}' } },
+    'compress'
+  ]));
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  // header-footer links its file both as url and files[].url
+  assert.deepStrictEqual(body.steps.map(step => step.outputs.length), [1, 1]);
+  assert.strictEqual(body.files.length, 1);
+  assert.ok(body.url);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const { createPdf, uploadFile, makeRequest, downloadPath, installFakeQpdf } = require('./helpers');
+const { encryptArgs } = require('../services/qpdf');
+const { invokeHandler } = require('../services/invokeHandler');
+const { protectPDF } = require('../controllers/pdfOperations');
+
+const protect = async (body) => {
+  const upload = await uploadFile(await createPdf(1), { fieldname: 'pdf', originalname: 'contract.pdf' });
+  const result = await invokeHandler(protectPDF, makeRequest({ file: upload, body }));
+  return { ...result, upload };
+};
+
+test('encryptArgs sets the modify level before the individual permissions', () => {
+  const args = encryptArgs({
+    userPassword: 'open sesame',
+    ownerPassword: 'owner',
+    keyLength: 256,
+    permissions: { print: 'low', modify: 'annotate', extract: false, annotate: undefined, form: true, accessibility: true, assemble: undefined }
+  }, '/in.pdf', '/out.pdf');
+
+  assert.deepStrictEqual(args, [
+    '--encrypt',
+    '--user-password=open sesame',
+    '--owner-password=owner',
+    '--bits=256',
+    '--print=low',
+    '--modify=annotate',
+    '--extract=n',
+    '--form=y',
+    '--accessibility=y',
+    '--',
+    '/in.pdf',
+    '/out.pdf'
+  ]);
+});
+
+test('encryptArgs asks for AES with 128-bit keys', () => {
+  const args = encryptArgs({
+    userPassword: '',
+    ownerPassword: 'owner',
+    keyLength: 128,
+    permissions: { print: 'full', modify: 'none' }
+  }, '/in.pdf', '/out.pdf');
+
+  assert.deepStrictEqual(args.slice(3, 7), ['--bits=128', '--print=full', '--modify=none', '--use-aes=y']);
+});
+
+test('passes passwords and permissions to qpdf through an @file', async () => {
+  const qpdf = await installFakeQpdf();
+  const { statusCode, body, upload } = await protect({ userPassword: 'secret one', keyLength: '128', print: 'none', annotate: 'yes' });
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  const args = await qpdf.lastArgs();
+  assert.deepStrictEqual(args.slice(0, 2), ['--encrypt', '--user-password=secret one']);
+  // An owner password is generated so the permissions can't simply be lifted
+  assert.match(args[2], /^--owner-password=[\w-]{32}$/);
+  assert.deepStrictEqual(args.slice(3, -3), [
+    '--bits=128', '--print=none', '--modify=none', '--extract=n', '--annotate=y', '--accessibility=y', '--use-aes=y'
+  ]);
+  assert.deepStrictEqual(args.slice(-3), ['--', upload.path, downloadPath(body.url)]);
+  assert.match(await qpdf.lastCommandLine(), /^@\S+$/);
+
+  assert.strictEqual(body.encryption.ownerPasswordGenerated, true);
+  assert.strictEqual(body.encryption.userPasswordSet, true);
+  assert.deepStrictEqual(body.encryption.permissions, {
+    print: 'none', modify: 'none', extract: false, annotate: true, form: undefined, accessibility: true, assemble: undefined
+  });
+  await assert.rejects(fsp.access(upload.path), { code: 'ENOENT' });
+});
+
+test('returns the file with qpdf\'s warnings when it exits with code 3', async () => {
+  await installFakeQpdf({ exitCode: 3, stderr: 'WARNING: recovered damaged xref' });
+  const { statusCode, body } = await protect({ password: 'secret' });
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  assert.match(body.warnings, /recovered damaged xref/);
+  await fsp.access(downloadPath(body.url));
+});
+
+test('fails without an output when qpdf fails', async () => {
+  await installFakeQpdf({ exitCode: 2, stderr: 'qpdf: not a PDF file' });
+  const { statusCode, body, upload } = await protect({ password: 'secret' });
+
+  assert.strictEqual(statusCode, 500);
+  assert.strictEqual(body.error, 'Failed to protect PDF using qpdf');
+  assert.match(body.details, /not a PDF file/);
+  await assert.rejects(fsp.access(upload.path), { code: 'ENOENT' });
+});
+
+test('rejects invalid protection options with a 400', async () => {
+  const cases = [
+    [{}, /Give a password/],
+    [{ password: 'a\nb' }, /line breaks/],
+    [{ password: 'x', keyLength: '192' }, /keyLength must be one of 128, 256/],
+    [{ password: 'x', print: 'sometimes' }, /print must be one of/],
+    [{ password: 'x', modify: 'everything' }, /modify must be one of/],
+    [{ password: 'x', extract: 'maybe' }, /extract must be true or false/]
+  ];
+
+  for (const [options, message] of cases) {
+    const { statusCode, body, upload } = await protect(options);
+    assert.strictEqual(statusCode, 400, JSON.stringify(options));
+    assert.match(body.details, message);
+    await assert.rejects(fsp.access(upload.path), { code: 'ENOENT' });
+  }
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const forge = require('node-forge');
+const { createPdf, uploadFile, makeRequest, downloadPath } = require('./helpers');
+const { invokeHandler } = require('../services/invokeHandler');
+const { signPDF, verifyPDF } = require('../controllers/pdfOperations');
+
+// A self-signed .p12 for "Test Signer", valid from yesterday for a year
+const createPkcs12 = (password) => {
+  const keys = forge.pki.rsa.generateKeyPair(1024);
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const attributes = [{ name: 'commonName', value: 'Test Signer' }, { name: 'organizationName', value: 'Tests' }];
+  cert.setSubject(attributes);
+  cert.setIssuer(attributes);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+
+  const p12 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [cert], password, { algorithm: '3des' });
+  return Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary');
+};
+
+const password = 'correct horse';
+const certificate = createPkcs12(password);
+
+const sign = async (body) => {
+  const pdf = await uploadFile(await createPdf(2), { fieldname: 'pdf', originalname: 'contract.pdf' });
+  const p12 = await uploadFile(certificate, { fieldname: 'certificate', originalname: 'signer.p12', mimetype: 'application/x-pkcs12' });
+  const result = await invokeHandler(signPDF, makeRequest({ files: { pdf: [pdf], certificate: [p12] }, body }));
+  return { ...result, pdf, p12 };
+};
+
+const verify = async (bytes) => {
+  const upload = await uploadFile(bytes, { fieldname: 'pdf' });
+  return invokeHandler(verifyPDF, makeRequest({ file: upload }));
+};
+
+test('a signed PDF verifies as intact and names its signer', async () => {
+  const { statusCode, body, pdf, p12 } = await sign({ password, reason: 'Approved', location: 'Berlin' });
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  assert.strictEqual(body.signature.signer, 'Test Signer');
+  assert.strictEqual(body.signature.page, 2);
+  // Neither the upload nor the private key stays on disk
+  await assert.rejects(fsp.access(pdf.path), { code: 'ENOENT' });
+  await assert.rejects(fsp.access(p12.path), { code: 'ENOENT' });
+
+  const signed = await fsp.readFile(downloadPath(body.url));
+  const { statusCode: verifyStatus, body: report } = await verify(signed);
+
+  assert.strictEqual(verifyStatus, 200, JSON.stringify(report));
+  assert.strictEqual(report.signatureCount, 1);
+  assert.strictEqual(report.allIntact, true);
+  assert.strictEqual(report.modifiedAfterLastSignature, false);
+
+  const [signature] = report.signatures;
+  assert.strictEqual(signature.field, body.signature.field);
+  assert.strictEqual(signature.subFilter, 'ETSI.CAdES.detached');
+  assert.strictEqual(signature.reason, 'Approved');
+  assert.strictEqual(signature.location, 'Berlin');
+  assert.strictEqual(signature.coversWholeDocument, true);
+  assert.strictEqual(signature.certificateValidAtSigning, true);
+  assert.match(JSON.stringify(signature.signer), /Test Signer/);
+});
+
+test('detects changes to the signed bytes', async () => {
+  const { body } = await sign({ password, visible: 'false' });
+  const signed = await fsp.readFile(downloadPath(body.url));
+
+  // The binary marker on the header's comment line is covered by the
+  // signature but not needed to parse the file
+  const tampered = Buffer.from(signed);
+  tampered[11] ^= 0x01;
+
+  const { statusCode, body: report } = await verify(tampered);
+  assert.strictEqual(statusCode, 200, JSON.stringify(report));
+  assert.strictEqual(report.signatureCount, 1);
+  assert.strictEqual(report.allIntact, false);
+  assert.strictEqual(report.signatures[0].digestMatches, false);
+});
+
+test('reports anything appended after the signature', async () => {
+  const { body } = await sign({ password });
+  const signed = await fsp.readFile(downloadPath(body.url));
+
+  const { body: report } = await verify(Buffer.concat([signed, Buffer.from('\n% appended later\n')]));
+  assert.strictEqual(report.allIntact, true);
+  assert.strictEqual(report.modifiedAfterLastSignature, true);
+  assert.strictEqual(report.signatures[0].coversWholeDocument, false);
+});
+
+test('rejects a wrong certificate password and still removes the key', async () => {
+  const { statusCode, body, pdf, p12 } = await sign({ password: 'wrong' });
+
+  assert.strictEqual(statusCode, 400);
+  assert.strictEqual(body.details, 'Incorrect certificate password');
+  await assert.rejects(fsp.access(pdf.path), { code: 'ENOENT' });
+  await assert.rejects(fsp.access(p12.path), { code: 'ENOENT' });
+});
+
+test('an unsigned PDF has no signatures', async () => {
+  const { statusCode, body } = await verify(await createPdf(1));
+
+  assert.strictEqual(statusCode, 200);
+  assert.strictEqual(body.signatureCount, 0);
+  assert.strictEqual(body.allIntact, false);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const sharp = require('sharp');
+const { PDFName, PDFHexString } = require('pdf-lib');
+const { numberedDocument, sourcePages, uploadFile, makeRequest, downloadPath, readZip } = require('./helpers');
+const { invokeHandler } = require('../services/invokeHandler');
+const { splitPDF } = require('../controllers/pdfOperations');
+
+// Top-level bookmarks pointing at the given (1-based) pages
+const addBookmarks = (doc, bookmarks) => {
+  const { context } = doc;
+  const outlinesRef = context.nextRef();
+  const refs = bookmarks.map(() => context.nextRef());
+  bookmarks.forEach(({ title, page }, i) => {
+    context.assign(refs[i], context.obj({
+      Title: PDFHexString.fromText(title),
+      Parent: outlinesRef,
+      ...(i > 0 && { Prev: refs[i - 1] }),
+      ...(i < refs.length - 1 && { Next: refs[i + 1] }),
+      Dest: [doc.getPage(page - 1).ref, 'XYZ', null, null, null]
+    }));
+  });
+  context.assign(outlinesRef, context.obj({ Type: 'Outlines', First: refs[0], Last: refs[refs.length - 1], Count: refs.length }));
+  doc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+};
+
+const split = async (doc, body) => {
+  const upload = await uploadFile(Buffer.from(await doc.save()), { fieldname: 'pdf', originalname: 'report.pdf' });
+  const result = await invokeHandler(splitPDF, makeRequest({ file: upload, body }));
+  return { ...result, upload };
+};
+
+// Source pages of every part, in order
+const partPages = (body) => Promise.all(body.pages.map(async part =>
+  sourcePages(await fsp.readFile(downloadPath(part.url)))));
+
+test('pages mode writes one file per page and bundles them in a ZIP', async () => {
+  const { statusCode, body, upload } = await split(await numberedDocument(3), {});
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  assert.strictEqual(body.mode, 'pages');
+  assert.deepStrictEqual(await partPages(body), [[1], [2], [3]]);
+
+  const entries = await readZip(downloadPath(body.zipUrl));
+  assert.deepStrictEqual(entries.map(entry => entry.name), ['report-page-1.pdf', 'report-page-2.pdf', 'report-page-3.pdf']);
+  assert.deepStrictEqual(await sourcePages(entries[1].data), [2]);
+
+  // The upload is not needed once the parts are written
+  await assert.rejects(fsp.access(upload.path), { code: 'ENOENT' });
+});
+
+test('ranges mode writes one file per range', async () => {
+  const { statusCode, body } = await split(await numberedDocument(6), { mode: 'ranges', ranges: '1-2, 5-end' });
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  assert.deepStrictEqual(await partPages(body), [[1, 2], [5, 6]]);
+  assert.deepStrictEqual(body.pages.map(part => part.pageRange), ['1-2', '5-6']);
+});
+
+test('every mode cuts the document into chunks of N pages', async () => {
+  const { statusCode, body } = await split(await numberedDocument(5), { mode: 'every', every: '2' });
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  assert.deepStrictEqual(await partPages(body), [[1, 2], [3, 4], [5]]);
+});
+
+test('outline mode starts a file at every top-level bookmark', async () => {
+  const doc = await numberedDocument(6);
+  addBookmarks(doc, [{ title: 'Introduction', page: 2 }, { title: 'Results', page: 4 }]);
+  const { statusCode, body } = await split(doc, { mode: 'outline' });
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  assert.deepStrictEqual(await partPages(body), [[1], [2, 3], [4, 5, 6]]);
+  assert.deepStrictEqual(body.pages.map(part => part.label), ['Front matter', 'Introduction', 'Results']);
+  assert.deepStrictEqual(body.pages.map(part => part.filename), ['01-Front matter.pdf', '02-Introduction.pdf', '03-Results.pdf']);
+});
+
+test('size mode keeps every part under the size limit', async () => {
+  // Each page carries its own incompressible image of roughly 30 KB
+  const doc = await numberedDocument(8);
+  for (const [index, page] of doc.getPages().entries()) {
+    const noise = await sharp({
+      create: { width: 100, height: 100, channels: 3, background: 'white', noise: { type: 'gaussian', mean: 128, sigma: 60 } }
+    }).png().toBuffer();
+    page.drawImage(await doc.embedPng(noise), { x: 10, y: 10, width: 100, height: 100 });
+    page.drawText(`image ${index + 1}`, { x: 20, y: 200, size: 12 });
+  }
+
+  const { statusCode, body } = await split(doc, { mode: 'size', maxSizeKB: '70' });
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  assert.ok(body.pages.length > 1 && body.pages.length < 8, `${body.pages.length} parts`);
+  assert.deepStrictEqual((await partPages(body)).flat(), [1, 2, 3, 4, 5, 6, 7, 8]);
+  for (const part of body.pages) {
+    assert.ok(part.size <= 70 * 1024, `part ${part.part} is ${part.size} bytes`);
+  }
+});
+
+test('rejects invalid split options with a 400 and removes the upload', async () => {
+  const cases = [
+    [{ mode: 'halves' }, /Unknown split mode/],
+    [{ mode: 'ranges' }, /ranges parameter is required/],
+    [{ mode: 'every', every: '0' }, /positive number of pages/],
+    [{ mode: 'outline' }, /no bookmarks/],
+    [{ mode: 'size', maxSizeKB: '-1' }, /maxSizeKB/]
+  ];
+
+  for (const [options, message] of cases) {
+    const { statusCode, body, upload } = await split(await numberedDocument(2), options);
+    assert.strictEqual(statusCode, 400, JSON.stringify(options));
+    assert.match(body.details, message);
+    await assert.rejects(fsp.access(upload.path), { code: 'ENOENT' });
+  }
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fsp = require('fs').promises;
+const sharp = require('sharp');
+const express = require('express');
+const { dataDir, createPdf, uploadFile, listen } = require('./helpers');
+const { registerFile } = require('../services/fileRegistry');
+const { createDownloadUrl } = require('../services/downloadTokens');
+const { getThumbnail, pruneThumbnails } = require('../services/thumbnails');
+const { getPageThumbnail } = require('../controllers/thumbnails');
+
+const cacheDir = path.join(dataDir, 'thumbnails');
+
+const app = express();
+app.get('/thumbnail/:token', getPageThumbnail);
+
+let server;
+test.before(async () => {
+  server = await listen(app);
+});
+test.after(() => server.close());
+
+test('renders a thumbnail once and serves it from the cache after', async () => {
+  const bytes = await createPdf(2);
+  const first = await uploadFile(bytes);
+
+  const miss = await getThumbnail(first.path, { page: 2, width: 120 });
+  assert.strictEqual(miss.cached, false);
+  assert.strictEqual(path.relative(cacheDir, miss.path).split(path.sep)[1], 'p2-w120.jpg');
+  const { format, width } = await sharp(miss.path).metadata();
+  assert.deepStrictEqual([format, width], ['jpeg', 120]);
+
+  assert.deepStrictEqual(await getThumbnail(first.path, { page: 2, width: 120 }), { path: miss.path, cached: true });
+
+  // The cache is keyed by contents, not by where the file lives
+  const copy = await uploadFile(bytes);
+  assert.deepStrictEqual(await getThumbnail(copy.path, { page: 2, width: 120 }), { path: miss.path, cached: true });
+
+  // Another size or another document is a new thumbnail
+  assert.strictEqual((await getThumbnail(first.path, { page: 2, width: 80 })).cached, false);
+  const other = await uploadFile(await createPdf(3));
+  assert.notStrictEqual((await getThumbnail(other.path, { page: 2, width: 120 })).path, miss.path);
+});
+
+test('simultaneous requests share one render', async () => {
+  const upload = await uploadFile(await createPdf(1, { size: [300, 300] }));
+
+  const results = await Promise.all([1, 2, 3].map(() => getThumbnail(upload.path, { page: 1, width: 64 })));
+  assert.deepStrictEqual(results.map(result => result.cached), [false, false, false]);
+  assert.strictEqual(new Set(results.map(result => result.path)).size, 1);
+  assert.deepStrictEqual(await fsp.readdir(path.dirname(results[0].path)), ['p1-w64.jpg']);
+});
+
+test('rejects pages outside the document', async () => {
+  const upload = await uploadFile(await createPdf(2));
+  await assert.rejects(getThumbnail(upload.path, { page: 3, width: 100 }), { statusCode: 400, message: 'Page 3 is outside the document (1-2)' });
+});
+
+test('prunes thumbnails that have not been used for the retention period', async () => {
+  // A document no other test renders, so its folder only holds these
+  const upload = await uploadFile(await createPdf(2, { size: [400, 500] }));
+  const stale = await getThumbnail(upload.path, { page: 1, width: 50 });
+  const fresh = await getThumbnail(upload.path, { page: 2, width: 50 });
+  const longAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+  await fsp.utimes(stale.path, longAgo, longAgo);
+
+  const { removed, bytesFreed } = await pruneThumbnails();
+  assert.ok(removed >= 1);
+  assert.ok(bytesFreed > 0);
+  await assert.rejects(fsp.access(stale.path), { code: 'ENOENT' });
+  await fsp.access(fresh.path);
+
+  // Viewing a thumbnail again keeps it; a document with none left loses its folder
+  await fsp.utimes(fresh.path, longAgo, longAgo);
+  assert.strictEqual((await getThumbnail(upload.path, { page: 2, width: 50 })).cached, true);
+  await pruneThumbnails();
+  await fsp.access(fresh.path);
+
+  await fsp.utimes(fresh.path, longAgo, longAgo);
+  await pruneThumbnails();
+  await assert.rejects(fsp.access(path.dirname(fresh.path)), { code: 'ENOENT' });
+});
+
+test('serves thumbnails behind download tokens with the cache status', async () => {
+  const upload = await uploadFile(await createPdf(1));
+  await registerFile(upload.path, { owner: 'alice', type: 'merged' });
+  const token = createDownloadUrl(upload.path, { owner: 'alice' }).split('/').pop();
+
+  let response = await fetch(`${server.url}/thumbnail/${token}?width=90`);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('x-thumbnail-cache'), 'miss');
+  assert.strictEqual(response.headers.get('content-type'), 'image/jpeg');
+  assert.strictEqual((await sharp(Buffer.from(await response.arrayBuffer())).metadata()).width, 90);
+
+  response = await fetch(`${server.url}/thumbnail/${token}?width=90`);
+  assert.strictEqual(response.headers.get('x-thumbnail-cache'), 'hit');
+
+  assert.strictEqual((await fetch(`${server.url}/thumbnail/${token}?width=5000`)).status, 400);
+  assert.strictEqual((await fetch(`${server.url}/thumbnail/${token}?page=4`)).status, 400);
+  const bobs = createDownloadUrl(upload.path, { owner: 'bob' }).split('/').pop();
+  assert.strictEqual((await fetch(`${server.url}/thumbnail/${bobs}`)).status, 404);
+});
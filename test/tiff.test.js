@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fsp = require('fs').promises;
+const sharp = require('sharp');
+const { uploadDir, createPdf, uploadFile, makeRequest, downloadPath } = require('./helpers');
+const { writeMultiPageTiff } = require('../services/tiff');
+const { invokeHandler } = require('../services/invokeHandler');
+const { pdfToImage } = require('../controllers/pdfOperations');
+
+// Single-page TIFFs in uploads/ with the given size, colour and encoding
+const writeTiffs = (pages) => Promise.all(pages.map(async ({ width, height, color, tiff = {} }, i) => {
+  const filePath = path.join(uploadDir, `tiff-page-${Date.now()}-${i}.tif`);
+  await sharp({ create: { width, height, channels: 3, background: color } }).tiff(tiff).toFile(filePath);
+  return filePath;
+}));
+
+// Colour of the top-left pixel of a page
+const pixelAt = async (filePath, page) => {
+  const { data } = await sharp(filePath, { page }).removeAlpha().extract({ left: 0, top: 0, width: 1, height: 1 }).raw().toBuffer({ resolveWithObject: true });
+  return [...data];
+};
+
+test('joins pages of different sizes and encodings into one TIFF', async () => {
+  const pagePaths = await writeTiffs([
+    { width: 120, height: 80, color: { r: 255, g: 0, b: 0 }, tiff: { compression: 'none' } },
+    { width: 50, height: 200, color: { r: 0, g: 0, b: 255 }, tiff: { compression: 'lzw' } },
+    { width: 64, height: 64, color: { r: 0, g: 255, b: 0 }, tiff: { compression: 'deflate', tile: true, tileWidth: 16, tileHeight: 16 } }
+  ]);
+  const outputPath = path.join(uploadDir, `joined-${Date.now()}.tif`);
+
+  await writeMultiPageTiff(outputPath, pagePaths);
+
+  const metadata = await sharp(outputPath).metadata();
+  assert.strictEqual(metadata.pages, 3);
+  const sizes = await Promise.all([0, 1, 2].map(async page => {
+    const { width, height } = await sharp(outputPath, { page }).metadata();
+    return [width, height];
+  }));
+  assert.deepStrictEqual(sizes, [[120, 80], [50, 200], [64, 64]]);
+  assert.deepStrictEqual(await Promise.all([0, 1, 2].map(page => pixelAt(outputPath, page))), [[255, 0, 0], [0, 0, 255], [0, 255, 0]]);
+});
+
+test('refuses files that are not TIFFs', async () => {
+  const [page] = await writeTiffs([{ width: 10, height: 10, color: 'white' }]);
+  const notTiff = path.join(uploadDir, `not-a-tiff-${Date.now()}.tif`);
+  await fsp.writeFile(notTiff, await sharp(page).png().toBuffer());
+
+  await assert.rejects(writeMultiPageTiff(path.join(uploadDir, 'never.tif'), [page, notTiff]), /Not a TIFF file/);
+});
+
+test('pdf-to-image writes TIFF output as one multi-page file', async () => {
+  const upload = await uploadFile(await createPdf(2, { size: [200, 300] }), { fieldname: 'pdf', originalname: 'scan.pdf' });
+  const { statusCode, body } = await invokeHandler(pdfToImage, makeRequest({
+    file: upload,
+    body: { imageFormat: 'tiff', imageQuality: 'low', colorMode: 'bw' }
+  }));
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  assert.strictEqual(body.images.length, 1);
+  assert.strictEqual(body.images[0].pageCount, 2);
+  assert.deepStrictEqual(body.pageDetails.map(page => [page.width, page.height]), [[200, 300], [200, 300]]);
+
+  const tiffPath = downloadPath(body.images[0].url);
+  assert.strictEqual((await sharp(tiffPath).metadata()).pages, 2);
+});
+
+test('rejects quality presets that are not its own', async () => {
+  for (const imageQuality of ['constructor', 'toString', 'ultra']) {
+    const upload = await uploadFile(await createPdf(1), { fieldname: 'pdf' });
+    const { statusCode, body } = await invokeHandler(pdfToImage, makeRequest({ file: upload, body: { imageQuality } }));
+    assert.strictEqual(statusCode, 400, imageQuality);
+    assert.match(body.details, /imageQuality must be one of low, medium, high/);
+    await assert.rejects(fsp.access(upload.path), { code: 'ENOENT' });
+  }
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const crypto = require('crypto');
+const { PDFDocument, PDFHexString } = require('pdf-lib');
+const { createPdf, uploadFile, makeRequest, downloadPath, installFakeQpdf } = require('./helpers');
+const { decryptArgs } = require('../services/qpdf');
+const { invokeHandler } = require('../services/invokeHandler');
+const { unprotectPDF } = require('../controllers/pdfOperations');
+
+// Password padding string of the standard security handler
+const PADDING = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+const pad = (password) => Buffer.concat([Buffer.from(password, 'latin1'), PADDING]).subarray(0, 32);
+const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+
+const rc4 = (key, data) => {
+  const s = [...Array(256).keys()];
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) % 256;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+
+  const out = Buffer.alloc(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) % 256;
+    j = (j + s[i]) % 256;
+    [s[i], s[j]] = [s[j], s[i]];
+    out[k] = data[k] ^ s[(s[i] + s[j]) % 256];
+  }
+  return out;
+};
+
+// An RC4 40-bit (revision 2) encrypted PDF. Only the /Encrypt dictionary is
+// real, which is all opening the file and checking its password look at.
+const encryptedPdf = async ({ userPassword = '', ownerPassword = 'owner', permissions = -44 } = {}) => {
+  const doc = await PDFDocument.load(await createPdf(1));
+  const id = crypto.randomBytes(16);
+  const ownerValue = rc4(md5(pad(ownerPassword)).subarray(0, 5), pad(userPassword));
+  const p = Buffer.alloc(4);
+  p.writeInt32LE(permissions);
+  const key = md5(pad(userPassword), ownerValue, p, id).subarray(0, 5);
+
+  const { context } = doc;
+  context.trailerInfo.ID = context.obj([PDFHexString.of(id.toString('hex')), PDFHexString.of(id.toString('hex'))]);
+  context.trailerInfo.Encrypt = context.register(context.obj({
+    Filter: 'Standard',
+    V: 1,
+    R: 2,
+    O: PDFHexString.of(ownerValue.toString('hex')),
+    U: PDFHexString.of(rc4(key, PADDING).toString('hex')),
+    P: permissions
+  }));
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+};
+
+const unprotect = async (bytes, body = {}) => {
+  const upload = await uploadFile(bytes, { fieldname: 'pdf', originalname: 'locked.pdf' });
+  const result = await invokeHandler(unprotectPDF, makeRequest({ file: upload, body }));
+  return { ...result, upload };
+};
+
+test('decryptArgs only passes a password when there is one', () => {
+  assert.deepStrictEqual(decryptArgs('open sesame', '/in.pdf', '/out.pdf'), ['--password=open sesame', '--decrypt', '/in.pdf', '/out.pdf']);
+  assert.deepStrictEqual(decryptArgs(undefined, '/in.pdf', '/out.pdf'), ['--decrypt', '/in.pdf', '/out.pdf']);
+});
+
+test('decrypts with the password through qpdf', async () => {
+  const qpdf = await installFakeQpdf();
+  const { statusCode, body, upload } = await unprotect(await encryptedPdf({ userPassword: 'open sesame' }), { password: 'open sesame' });
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  assert.deepStrictEqual(await qpdf.lastArgs(), ['--password=open sesame', '--decrypt', upload.path, downloadPath(body.url)]);
+  assert.doesNotMatch(await qpdf.lastCommandLine(), /sesame/);
+  assert.strictEqual(body.passwordUsed, true);
+  assert.deepStrictEqual(
+    [body.removedEncryption.algorithm, body.removedEncryption.keyLength, body.removedEncryption.userPasswordRequired],
+    ['RC4', 40, true]
+  );
+  await assert.rejects(fsp.access(upload.path), { code: 'ENOENT' });
+});
+
+test('removes owner-only restrictions without a password', async () => {
+  const qpdf = await installFakeQpdf();
+  const { statusCode, body, upload } = await unprotect(await encryptedPdf());
+
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  assert.deepStrictEqual(await qpdf.lastArgs(), ['--decrypt', upload.path, downloadPath(body.url)]);
+  assert.strictEqual(body.passwordUsed, false);
+  assert.strictEqual(body.removedEncryption.userPasswordRequired, false);
+});
+
+test('asks for the password before running qpdf', async () => {
+  await installFakeQpdf({ exitCode: 2 });
+  const bytes = await encryptedPdf({ userPassword: 'open sesame' });
+
+  let { statusCode, body, upload } = await unprotect(bytes);
+  assert.strictEqual(statusCode, 401);
+  assert.strictEqual(body.error, 'Password is required');
+  await assert.rejects(fsp.access(upload.path), { code: 'ENOENT' });
+
+  ({ statusCode, body } = await unprotect(bytes, { password: 'guess' }));
+  assert.strictEqual(statusCode, 401);
+  assert.strictEqual(body.error, 'Incorrect password for the PDF');
+});
+
+test('refuses files that are not encrypted', async () => {
+  const { statusCode, body, upload } = await unprotect(await createPdf(1));
+
+  assert.strictEqual(statusCode, 400);
+  assert.strictEqual(body.error, 'PDF is not encrypted');
+  await assert.rejects(fsp.access(upload.path), { code: 'ENOENT' });
+});
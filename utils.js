@@ -1,4 +1,8 @@
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
 
 // Utility function to delete file
 function delfile(filepath) {
@@ -7,6 +11,155 @@ function delfile(filepath) {
   });
 }
 
+// Parse a page range spec like "1-3,7,10-end" into groups of zero-based
+// page indices, one group per comma-separated entry. Throws on anything
+// that falls outside the document.
+function parsePageRanges(spec, pageCount) {
+  const resolvePage = (token) => {
+    const value = token.trim().toLowerCase();
+    if (value === 'end' || value === 'last') return pageCount;
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`Invalid page number: "${token.trim()}"`);
+    }
+    return parseInt(value, 10);
+  };
+
+  const groups = String(spec)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [startToken, endToken] = part.includes('-') ? part.split('-') : [part, part];
+      const start = resolvePage(startToken);
+      const end = endToken.trim() === '' ? pageCount : resolvePage(endToken);
+
+      if (start < 1 || end > pageCount || start > end) {
+        throw new Error(`Page range "${part}" is outside the document (1-${pageCount})`);
+      }
+
+      const indices = [];
+      for (let page = start; page <= end; page++) {
+        indices.push(page - 1);
+      }
+      return indices;
+    });
+
+  if (groups.length === 0) {
+    throw new Error('No pages selected');
+  }
+
+  return groups;
+}
+
+// Write a ZIP archive containing the given files ({ path, name })
+function createZip(zipPath, files) {
+  return new Promise((resolve, reject) => {
+    const zipOutput = fs.createWriteStream(zipPath);
+    const archive = archiver('zip', {
+      zlib: { level: 9 } // Maximum compression
+    });
+
+    zipOutput.on('close', resolve);
+    zipOutput.on('error', reject);
+    archive.on('error', reject);
+
+    archive.pipe(zipOutput);
+    files.forEach(file => archive.file(file.path, { name: file.name }));
+    archive.finalize();
+  });
+}
+
+// Unpack the files of a ZIP archive into destDir under generated names, the
+// entry names are never used as paths. Folders, dotfiles and macOS
+// metadata are skipped. Resolves to [{ path, name, size }]; anything
+// extracted so far is removed again if the archive is unreadable or holds
+// more than maxFiles files or maxBytes of uncompressed data.
+function extractZip(zipPath, destDir, { maxFiles = 500, maxBytes = 1024 * 1024 * 1024 } = {}) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true }, (err, zipfile) => {
+      if (err) return reject(err);
+
+      const extracted = [];
+      let totalBytes = 0;
+      let settled = false;
+
+      const fail = (error, partialPath) => {
+        if (settled) return;
+        settled = true;
+        zipfile.close();
+        const leftovers = [...extracted.map(file => file.path), partialPath].filter(Boolean);
+        Promise.all(leftovers.map(file => fs.promises.unlink(file).catch(() => {})))
+          .then(() => reject(error));
+      };
+
+      zipfile.on('error', fail);
+      zipfile.on('end', () => {
+        if (settled) return;
+        settled = true;
+        resolve(extracted);
+      });
+
+      zipfile.on('entry', (entry) => {
+        const name = path.posix.basename(entry.fileName);
+        if (entry.fileName.endsWith('/') || entry.fileName.startsWith('__MACOSX/') || name.startsWith('.')) {
+          zipfile.readEntry();
+          return;
+        }
+
+        if (extracted.length >= maxFiles) {
+          return fail(new Error(`ZIP archive holds more than ${maxFiles} files`));
+        }
+        totalBytes += entry.uncompressedSize;
+        if (totalBytes > maxBytes) {
+          return fail(new Error(`ZIP archive unpacks to more than ${Math.round(maxBytes / 1024 / 1024)}MB`));
+        }
+
+        const filePath = path.join(destDir, `zip-${Date.now()}-${crypto.randomBytes(4).toString('hex')}${path.extname(name)}`);
+        zipfile.openReadStream(entry, (err, stream) => {
+          if (err) return fail(err);
+
+          const output = fs.createWriteStream(filePath);
+          stream.on('error', (error) => fail(error, filePath));
+          output.on('error', (error) => fail(error, filePath));
+          output.on('finish', () => {
+            extracted.push({ path: filePath, name, size: entry.uncompressedSize });
+            zipfile.readEntry();
+          });
+          stream.pipe(output);
+        });
+      });
+
+      zipfile.readEntry();
+    });
+  });
+}
+
+// Read an optional numeric request option. Returns the fallback when the
+// value is missing and throws a client-facing message when it is out of range.
+function parseNumberOption(value, { name, min, max, fallback, integer = false }) {
+  if (value === undefined || value === null || value === '') return fallback;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+    throw new Error(`${name} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Build the user-facing name of an output from the uploaded file's name,
+// e.g. ("Report 2024.pdf", "compressed", ".pdf") -> "Report 2024-compressed.pdf"
+function outputName(originalName, suffix, extension) {
+  const base = path.basename(originalName || '', path.extname(originalName || ''))
+    .replace(/[\x00-\x1f\/\\:*?"<>|]+/g, '')
+    .trim() || 'document';
+  return `${base}${suffix ? `-${suffix}` : ''}${extension}`;
+}
+
 module.exports = {
-  delfile
-};
\ No newline at end of file
+  delfile,
+  outputName,
+  parsePageRanges,
+  parseNumberOption,
+  createZip,
+  extractZip
+};